@@ -10,6 +10,10 @@ CREATE TABLE IF NOT EXISTS profiles (
   email text UNIQUE NOT NULL,
   display_name text,
   avatar_url text,
+  preferred_language text DEFAULT 'en',
+  default_province text,
+  sync_conflict_resolution text DEFAULT 'timestamp'
+    CHECK (sync_conflict_resolution IN ('timestamp', 'local', 'cloud', 'manual')),
   created_at timestamptz DEFAULT now(),
   updated_at timestamptz DEFAULT now()
 );
@@ -27,20 +31,53 @@ CREATE POLICY "Users can update their own profile" ON profiles
 CREATE POLICY "Users can insert their own profile" ON profiles
   FOR INSERT WITH CHECK (auth.uid() = id);
 
+-- Create plans table: one per business a user tracks, each with its own progress
+CREATE TABLE IF NOT EXISTS plans (
+  id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  name text NOT NULL DEFAULT '',
+  created_at timestamptz DEFAULT now(),
+  updated_at timestamptz DEFAULT now()
+);
+
+-- Enable RLS on plans table
+ALTER TABLE plans ENABLE ROW LEVEL SECURITY;
+
+-- Plans RLS policies
+CREATE POLICY "Users can view their own plans" ON plans
+  FOR SELECT USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can update their own plans" ON plans
+  FOR UPDATE USING (auth.uid() = user_id);
+
+CREATE POLICY "Users can insert their own plans" ON plans
+  FOR INSERT WITH CHECK (auth.uid() = user_id);
+
+CREATE POLICY "Users can delete their own plans" ON plans
+  FOR DELETE USING (auth.uid() = user_id);
+
 -- Create user_progress table for business guide progress
 CREATE TABLE IF NOT EXISTS user_progress (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  plan_id uuid REFERENCES plans(id) ON DELETE CASCADE NOT NULL,
   province text NOT NULL,
   industry text NOT NULL DEFAULT 'general',
   hiring text NOT NULL DEFAULT 'no',
   revenue text NOT NULL DEFAULT 'gte30',
+  quarterly_revenue jsonb DEFAULT '{}',
+  structure text,
+  fiscal_year_end date,
+  incorporation_date date,
+  gst_filing_frequency text NOT NULL DEFAULT 'annual',
   completed jsonb DEFAULT '{}',
+  due_dates jsonb DEFAULT '{}',
+  last_change jsonb,
   version integer DEFAULT 1,
   created_at timestamptz DEFAULT now(),
   updated_at timestamptz DEFAULT now(),
-  -- Ensure one progress record per user
-  UNIQUE(user_id)
+  -- Ensure one progress record per plan
+  UNIQUE(plan_id)
 );
 
 -- Enable RLS on user_progress table
@@ -54,7 +91,10 @@ CREATE POLICY "Users can update their own progress" ON user_progress
   FOR UPDATE USING (auth.uid() = user_id);
 
 CREATE POLICY "Users can insert their own progress" ON user_progress
-  FOR INSERT WITH CHECK (auth.uid() = user_id);
+  FOR INSERT WITH CHECK (
+    auth.uid() = user_id AND
+    EXISTS (SELECT 1 FROM plans WHERE plans.id = plan_id AND plans.user_id = auth.uid())
+  );
 
 CREATE POLICY "Users can delete their own progress" ON user_progress
   FOR DELETE USING (auth.uid() = user_id);
@@ -63,11 +103,55 @@ CREATE POLICY "Users can delete their own progress" ON user_progress
 CREATE TABLE IF NOT EXISTS progress_history (
   id uuid PRIMARY KEY DEFAULT gen_random_uuid(),
   user_id uuid REFERENCES profiles(id) ON DELETE CASCADE NOT NULL,
+  plan_id uuid REFERENCES plans(id) ON DELETE CASCADE,
   progress_snapshot jsonb NOT NULL,
   change_description text,
+  change_set jsonb,
   created_at timestamptz DEFAULT now()
 );
 
+-- The preferred language was added later; add its column to existing databases
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS preferred_language text DEFAULT 'en';
+
+-- The default province was added later; add its column to existing databases
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS default_province text;
+
+-- The conflict strategy was added later; add its column to existing databases
+ALTER TABLE profiles ADD COLUMN IF NOT EXISTS sync_conflict_resolution text DEFAULT 'timestamp'
+  CHECK (sync_conflict_resolution IN ('timestamp', 'local', 'cloud', 'manual'));
+
+-- Quarterly revenue was added later; add its column to existing databases
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS quarterly_revenue jsonb DEFAULT '{}';
+
+-- Business structure and tax settings were added later; add their columns
+-- to existing databases. The default fills in gst_filing_frequency on
+-- existing rows.
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS structure text;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS fiscal_year_end date;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS incorporation_date date;
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS gst_filing_frequency text NOT NULL DEFAULT 'annual';
+
+-- Due dates were added later; add their column to existing databases
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS due_dates jsonb DEFAULT '{}';
+
+-- Change sets were added later; add their columns to existing databases
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS last_change jsonb;
+ALTER TABLE progress_history ADD COLUMN IF NOT EXISTS change_set jsonb;
+
+-- Plans were added later: give each existing progress row a plan of its own,
+-- with the user's ID as its ID, and allow more than one row per user
+ALTER TABLE user_progress ADD COLUMN IF NOT EXISTS plan_id uuid REFERENCES plans(id) ON DELETE CASCADE;
+ALTER TABLE progress_history ADD COLUMN IF NOT EXISTS plan_id uuid REFERENCES plans(id) ON DELETE CASCADE;
+INSERT INTO plans (id, user_id, created_at)
+  SELECT user_id, user_id, created_at FROM user_progress WHERE plan_id IS NULL
+  ON CONFLICT (id) DO NOTHING;
+UPDATE user_progress SET plan_id = user_id WHERE plan_id IS NULL;
+UPDATE progress_history SET plan_id = user_id
+  WHERE plan_id IS NULL AND EXISTS (SELECT 1 FROM plans WHERE plans.id = progress_history.user_id);
+ALTER TABLE user_progress ALTER COLUMN plan_id SET NOT NULL;
+ALTER TABLE user_progress DROP CONSTRAINT IF EXISTS user_progress_user_id_key;
+CREATE UNIQUE INDEX IF NOT EXISTS user_progress_plan_id_key ON user_progress(plan_id);
+
 -- Enable RLS on progress_history table
 ALTER TABLE progress_history ENABLE ROW LEVEL SECURITY;
 
@@ -109,6 +193,12 @@ CREATE TRIGGER update_profiles_updated_at
   BEFORE UPDATE ON profiles
   FOR EACH ROW EXECUTE PROCEDURE public.update_updated_at_column();
 
+-- Triggers to update updated_at on plans
+DROP TRIGGER IF EXISTS update_plans_updated_at ON plans;
+CREATE TRIGGER update_plans_updated_at
+  BEFORE UPDATE ON plans
+  FOR EACH ROW EXECUTE PROCEDURE public.update_updated_at_column();
+
 -- Triggers to update updated_at on user_progress
 DROP TRIGGER IF EXISTS update_user_progress_updated_at ON user_progress;
 CREATE TRIGGER update_user_progress_updated_at
@@ -124,20 +214,41 @@ BEGIN
       OLD.industry != NEW.industry OR 
       OLD.hiring != NEW.hiring OR 
       OLD.revenue != NEW.revenue OR 
-      OLD.completed != NEW.completed) THEN
+      OLD.quarterly_revenue IS DISTINCT FROM NEW.quarterly_revenue OR 
+      OLD.structure IS DISTINCT FROM NEW.structure OR 
+      OLD.fiscal_year_end IS DISTINCT FROM NEW.fiscal_year_end OR 
+      OLD.incorporation_date IS DISTINCT FROM NEW.incorporation_date OR 
+      OLD.gst_filing_frequency IS DISTINCT FROM NEW.gst_filing_frequency OR 
+      OLD.completed != NEW.completed OR 
+      OLD.due_dates IS DISTINCT FROM NEW.due_dates) THEN
     
-    INSERT INTO public.progress_history (user_id, progress_snapshot, change_description)
+    INSERT INTO public.progress_history (user_id, plan_id, progress_snapshot, change_description, change_set)
     VALUES (
       NEW.user_id,
+      NEW.plan_id,
       jsonb_build_object(
         'province', NEW.province,
         'industry', NEW.industry,
         'hiring', NEW.hiring,
         'revenue', NEW.revenue,
+        'quarterly_revenue', NEW.quarterly_revenue,
+        'structure', NEW.structure,
+        'fiscal_year_end', NEW.fiscal_year_end,
+        'incorporation_date', NEW.incorporation_date,
+        'gst_filing_frequency', NEW.gst_filing_frequency,
         'completed', NEW.completed,
+        'due_dates', NEW.due_dates,
         'version', NEW.version
       ),
-      'Progress updated'
+      CASE NEW.last_change->>'reason'
+        WHEN 'import' THEN 'Progress imported'
+        WHEN 'merge' THEN 'Progress merged with another device'
+        WHEN 'restore' THEN 'Progress restored from history'
+        WHEN 'reset' THEN 'Progress reset'
+        WHEN 'offline' THEN 'Offline changes saved'
+        ELSE 'Progress updated'
+      END,
+      NEW.last_change
     );
     
     -- Increment version number
@@ -154,18 +265,38 @@ CREATE TRIGGER save_progress_history_trigger
   BEFORE UPDATE ON user_progress
   FOR EACH ROW EXECUTE PROCEDURE public.save_progress_history();
 
+-- Broadcast user_progress changes over Realtime so other devices update live
+-- (RLS still limits each user to their own row)
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'user_progress'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE user_progress;
+  END IF;
+END $$;
+
 -- Indexes for better performance
+CREATE INDEX IF NOT EXISTS idx_plans_user_id ON plans(user_id);
 CREATE INDEX IF NOT EXISTS idx_user_progress_user_id ON user_progress(user_id);
+CREATE INDEX IF NOT EXISTS idx_progress_history_plan_id ON progress_history(plan_id);
 CREATE INDEX IF NOT EXISTS idx_progress_history_user_id ON progress_history(user_id);
 CREATE INDEX IF NOT EXISTS idx_progress_history_created_at ON progress_history(created_at);
 
 -- Comments for documentation
 COMMENT ON TABLE profiles IS 'User profile information';
-COMMENT ON TABLE user_progress IS 'User business guide progress data';
+COMMENT ON TABLE plans IS 'Business plans a user tracks, e.g. one per venture or a what-if variant; an empty name shows as the default plan name';
+COMMENT ON TABLE user_progress IS 'User business guide progress data, one row per plan';
 COMMENT ON TABLE progress_history IS 'Historical snapshots of user progress';
+COMMENT ON COLUMN user_progress.version IS 'Bumped by save_progress_history on each change; clients only write when the row is still at the version they last read';
+COMMENT ON COLUMN user_progress.last_change IS 'Change set sent by the client with each save: reason, changed item paths, steps completed and uncompleted, and the device';
+COMMENT ON COLUMN progress_history.change_set IS 'Copy of user_progress.last_change for the save that produced this snapshot';
+COMMENT ON COLUMN user_progress.completed IS 'Completion by step key; "_stamps" holds when each answer, quarter and step last changed, for the three-way merge';
 
 -- Grant necessary permissions (should be automatic with RLS but explicit is better)
 GRANT USAGE ON SCHEMA public TO anon, authenticated;
 GRANT ALL ON public.profiles TO authenticated;
+GRANT ALL ON public.plans TO authenticated;
 GRANT ALL ON public.user_progress TO authenticated;
 GRANT ALL ON public.progress_history TO authenticated;
\ No newline at end of file
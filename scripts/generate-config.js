@@ -0,0 +1,146 @@
+/**
+ * Config Generation Script
+ * Writes config.json, the runtime configuration the app reads on load, for
+ * the dev, preview or production profile from environment variables
+ *
+ * Usage: node scripts/generate-config.js [dev|preview|production]
+ *
+ * The profile is the argument, else APP_ENV, else the one for Netlify's
+ * deploy CONTEXT, else dev. Each variable below can be set for one profile
+ * by prefixing it with the profile name (e.g. PREVIEW_SUPABASE_URL), which
+ * wins over the plain name:
+ *
+ * - SUPABASE_URL, SUPABASE_ANON_KEY: the Supabase project. Without them the
+ *   app runs in local-only mode
+ * - SITE_URL: where the site is served, for auth redirects. Defaults to
+ *   Netlify's URL in production and DEPLOY_PRIME_URL in previews; in dev
+ *   the page's own origin is used, whatever port it is served on
+ * - BACKEND: 'fake' to use the in-memory stand-in for Supabase
+ */
+
+import fs from 'fs';
+
+const CONFIG_FILE = 'config.json';
+
+const PRODUCTION_URL = 'https://startabusiness.netlify.app';
+
+// Default site URL of each profile
+const PROFILES = {
+  dev: { siteUrl: () => null },
+  preview: { siteUrl: () => process.env.DEPLOY_PRIME_URL || null },
+  production: { siteUrl: () => process.env.URL || PRODUCTION_URL }
+};
+
+// Profiles built by each Netlify deploy context
+const NETLIFY_CONTEXTS = {
+  production: 'production',
+  'deploy-preview': 'preview',
+  'branch-deploy': 'preview'
+};
+
+const BACKENDS = ['supabase', 'fake'];
+
+/**
+ * Work out the profile to build
+ * @returns {string} Profile name
+ */
+function getProfile() {
+  const profile = process.argv[2] || process.env.APP_ENV || NETLIFY_CONTEXTS[process.env.CONTEXT] || 'dev';
+  if (!PROFILES[profile]) {
+    throw new Error(`Unknown profile "${profile}" (expected ${Object.keys(PROFILES).join(', ')})`);
+  }
+  return profile;
+}
+
+/**
+ * Read a variable, preferring the profile's own
+ * @param {string} profile - Profile name
+ * @param {string} name - Variable name
+ * @returns {string|null} Value
+ */
+function readVariable(profile, name) {
+  return process.env[`${profile.toUpperCase()}_${name}`] || process.env[name] || null;
+}
+
+/**
+ * Check a URL read from a variable
+ * @param {string} name - Variable name, for the error
+ * @param {string|null} value - URL
+ * @returns {string|null} URL without a trailing slash
+ */
+function checkUrl(name, value) {
+  if (!value) {
+    return null;
+  }
+  let url;
+  try {
+    url = new URL(value);
+  } catch (error) {
+    throw new Error(`${name} is not a URL: ${value}`);
+  }
+  if (url.protocol !== 'https:' && !['localhost', '127.0.0.1'].includes(url.hostname)) {
+    throw new Error(`${name} must use https: ${value}`);
+  }
+  return value.replace(/\/$/, '');
+}
+
+/**
+ * Build the config of a profile
+ * @param {string} profile - Profile name
+ * @returns {Object} Config
+ */
+function buildConfig(profile) {
+  const config = { profile };
+
+  const url = checkUrl('SUPABASE_URL', readVariable(profile, 'SUPABASE_URL'));
+  const anonKey = readVariable(profile, 'SUPABASE_ANON_KEY');
+  if (url && anonKey) {
+    config.supabase = { url, anonKey };
+  } else if (url || anonKey) {
+    throw new Error('Set both SUPABASE_URL and SUPABASE_ANON_KEY, or neither');
+  }
+
+  const backend = readVariable(profile, 'BACKEND');
+  if (backend) {
+    if (!BACKENDS.includes(backend)) {
+      throw new Error(`Unknown backend "${backend}" (expected ${BACKENDS.join(', ')})`);
+    }
+    config.backend = backend;
+  }
+
+  const siteUrl = checkUrl('SITE_URL', readVariable(profile, 'SITE_URL') || PROFILES[profile].siteUrl());
+  if (siteUrl) {
+    config.siteUrl = siteUrl;
+    config.auth = {
+      redirectTo: siteUrl,
+      passwordResetRedirectTo: `${siteUrl}/auth/reset-password`,
+      emailConfirmRedirectTo: `${siteUrl}/auth/confirm`
+    };
+  }
+
+  return config;
+}
+
+/**
+ * Main generation function
+ */
+function generateConfig() {
+  try {
+    const profile = getProfile();
+    const config = buildConfig(profile);
+    fs.writeFileSync(CONFIG_FILE, JSON.stringify(config, null, 2));
+
+    console.log(`✓ Wrote ${CONFIG_FILE} for the ${profile} profile`);
+    if (!config.supabase && config.backend !== 'fake') {
+      console.warn('⚠️  No Supabase project configured - the app will run in local-only mode');
+    }
+  } catch (error) {
+    console.error('\n❌ Config generation failed:', error.message);
+    process.exit(1);
+  }
+}
+
+// Run generation if called directly
+if (import.meta.url === `file://${process.argv[1]}`) {
+  generateConfig();
+}
\ No newline at end of file
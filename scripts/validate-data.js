@@ -5,9 +5,225 @@
 
 import fs from 'fs';
 import path from 'path';
+import { COMPOSITE_KEYS } from '../src/scripts/rules-engine.js';
 
 const DATA_DIR = 'src/data';
 
+// Facts that step, panel and kicker conditions may refer to
+const CONDITION_FACTS = ['province', 'industry', 'hiring', 'revenue', 'gstRequired', 'smallSupplier', 'structure'];
+
+// Panel types understood by UIComponents.generatePanel (undefined = standard panel)
+const PANEL_TYPES = [undefined, 'structures', 'info', 'salesTax', 'smallSupplier', 'taxCalculator', 'deadlines'];
+
+// Current sales tax rates (%) for all 13 provinces and territories.
+// HST provinces charge a single harmonized rate in place of GST and PST.
+const EXPECTED_SALES_TAX = {
+  AB: { gst: 5, hst: null, pst: null },
+  BC: { gst: 5, hst: null, pst: 7 },
+  MB: { gst: 5, hst: null, pst: 7 },
+  NB: { gst: 5, hst: 15, pst: null },
+  NL: { gst: 5, hst: 15, pst: null },
+  NS: { gst: 5, hst: 14, pst: null },
+  NT: { gst: 5, hst: null, pst: null },
+  NU: { gst: 5, hst: null, pst: null },
+  ON: { gst: 5, hst: 13, pst: null },
+  PE: { gst: 5, hst: 15, pst: null },
+  QC: { gst: 5, hst: null, pst: 9.975 },
+  SK: { gst: 5, hst: null, pst: 6 },
+  YT: { gst: 5, hst: null, pst: null }
+};
+
+// Reference dates a provincial annual return deadline can be counted from
+const ANNUAL_RETURN_BASES = ['fiscalYearEnd', 'anniversary'];
+
+/**
+ * Validate a rules engine condition
+ * @param {Object} condition - Condition object
+ * @param {string} where - Location for error messages
+ */
+function validateCondition(condition, where) {
+  if (condition === undefined) return;
+
+  if (typeof condition !== 'object' || condition === null || Array.isArray(condition)) {
+    throw new Error(`Condition must be an object in ${where}`);
+  }
+
+  Object.entries(condition).forEach(([key, value]) => {
+    if (key === 'not') {
+      validateCondition(value, where);
+    } else if (COMPOSITE_KEYS.includes(key)) {
+      if (!Array.isArray(value)) {
+        throw new Error(`"${key}" must be an array of conditions in ${where}`);
+      }
+      value.forEach(item => validateCondition(item, where));
+    } else if (!CONDITION_FACTS.includes(key)) {
+      throw new Error(`Unknown condition fact "${key}" in ${where}`);
+    }
+  });
+}
+
+/**
+ * Validate that a resource path (e.g. "federal.bn") exists in resources.json
+ * or, for "industry.*" paths, in the industry's default resources
+ * @param {string} resourcePath - Dotted resource path
+ * @param {Object} resources - Parsed resources.json
+ * @param {string} where - Location for error messages
+ * @param {Object|null} industryResources - Default resources of the industry being validated
+ */
+function validateResourcePath(resourcePath, resources, where, industryResources = null) {
+  const [scope, field] = resourcePath.split('.');
+
+  if (scope === 'industry') {
+    if (!industryResources || !industryResources[field]) {
+      throw new Error(`Unknown industry resource "${field}" in ${where}`);
+    }
+  } else if (scope === 'federal') {
+    if (!resources.federal[field]) {
+      throw new Error(`Unknown federal resource "${field}" in ${where}`);
+    }
+  } else if (scope === 'provincial') {
+    Object.entries(resources.provincial).forEach(([code, province]) => {
+      if (!province[field]) {
+        throw new Error(`Provincial resource "${field}" missing for ${code} (used in ${where})`);
+      }
+    });
+  } else {
+    throw new Error(`Unknown resource scope "${scope}" in ${where}`);
+  }
+}
+
+/**
+ * Validate the resource paths referenced by [label](path) links and {{path}} placeholders
+ * @param {string} text - Text from step data
+ * @param {Object} resources - Parsed resources.json
+ * @param {string} where - Location for error messages
+ * @param {Object|null} industryResources - Default resources of the industry being validated
+ */
+function validateTextReferences(text, resources, where, industryResources = null) {
+  if (!text) return;
+
+  const references = [
+    ...[...text.matchAll(/\[[^\]]+\]\(([\w.]+)\)/g)].map(match => match[1]),
+    ...[...text.matchAll(/\{\{\s*([\w.]+)\s*\}\}/g)].map(match => match[1])
+  ];
+  references.forEach(reference => validateResourcePath(reference, resources, where, industryResources));
+}
+
+/**
+ * Validate the panels of a step
+ * @param {Object} step - Step definition
+ * @param {Object} resources - Parsed resources.json
+ * @param {Object|null} industryResources - Default resources of the industry being validated
+ */
+function validatePanels(step, resources, industryResources = null) {
+  if (!Array.isArray(step.panels) || step.panels.length === 0) {
+    throw new Error(`Step ${step.key} must have at least one panel`);
+  }
+
+  step.panels.forEach((panel, index) => {
+    const where = `step ${step.key} panel ${index}`;
+
+    if (!PANEL_TYPES.includes(panel.type)) {
+      throw new Error(`Unknown panel type "${panel.type}" in ${where}`);
+    }
+
+    validateCondition(panel.when, where);
+    [panel.title, panel.text, ...(panel.items || [])]
+      .forEach(text => validateTextReferences(text, resources, where, industryResources));
+
+    (panel.links || []).forEach(link => {
+      if (!link.label || !link.resource) {
+        throw new Error(`Links need a label and resource in ${where}`);
+      }
+      validateResourcePath(link.resource, resources, where, industryResources);
+    });
+  });
+}
+
+/**
+ * Validate the kickers and conditions shared by base and industry steps
+ * @param {Object} step - Step definition
+ */
+function validateStepRules(step) {
+  validateCondition(step.when, `step ${step.key}`);
+  (step.kickers || []).forEach((kicker, kickerIndex) => {
+    if (!kicker.text) {
+      throw new Error(`Missing text in kicker ${kickerIndex} of step ${step.key}`);
+    }
+    validateCondition(kicker.when, `step ${step.key} kicker ${kickerIndex}`);
+  });
+}
+
+/**
+ * Validate the structured sales tax data of every province and territory
+ * against the expected rates
+ * @param {Object} provincial - Provincial resources keyed by code
+ */
+function validateSalesTax(provincial) {
+  Object.keys(EXPECTED_SALES_TAX).forEach(code => {
+    if (!provincial[code]) {
+      throw new Error(`Missing provincial resources for ${code}`);
+    }
+  });
+
+  Object.entries(provincial).forEach(([code, province]) => {
+    const tax = province.tax;
+    const expected = EXPECTED_SALES_TAX[code];
+    if (!expected) {
+      throw new Error(`No expected sales tax rates for ${code}; add it to EXPECTED_SALES_TAX`);
+    }
+
+    ['gst', 'hst', 'pst'].forEach(field => {
+      if (tax[field] !== expected[field]) {
+        throw new Error(`${code} ${field.toUpperCase()} rate is ${tax[field]}, expected ${expected[field]}`);
+      }
+    });
+
+    if (tax.hst && tax.pst) {
+      throw new Error(`${code} cannot have both HST and a provincial sales tax`);
+    }
+
+    if (tax.pst) {
+      if (!tax.pstName) {
+        throw new Error(`Missing pstName for ${code}`);
+      }
+      if (!/^https:\/\//.test(tax.registrationUrl || '')) {
+        throw new Error(`Missing or invalid registrationUrl for ${code}`);
+      }
+    } else if (tax.pstName || tax.registrationUrl) {
+      throw new Error(`${code} has no provincial sales tax but sets pstName or registrationUrl`);
+    }
+
+    const threshold = tax.registrationThreshold;
+    if (threshold !== null && (!Number.isInteger(threshold) || threshold <= 0)) {
+      throw new Error(`registrationThreshold for ${code} must be a positive whole-dollar amount or null`);
+    }
+    if (threshold !== null && !tax.pst) {
+      throw new Error(`${code} has a registrationThreshold but no provincial sales tax`);
+    }
+  });
+}
+
+/**
+ * Validate the provincial annual return rule used by the deadline calendar
+ * @param {string} code - Province code
+ * @param {Object} annualReturn - { name, basis, monthsAfter, endOfMonth }
+ */
+function validateAnnualReturn(code, annualReturn) {
+  if (!annualReturn.name) {
+    throw new Error(`Missing annualReturn name for ${code}`);
+  }
+  if (!ANNUAL_RETURN_BASES.includes(annualReturn.basis)) {
+    throw new Error(`Invalid annualReturn basis for ${code}: ${annualReturn.basis}`);
+  }
+  if (!Number.isInteger(annualReturn.monthsAfter) || annualReturn.monthsAfter < 0 || annualReturn.monthsAfter > 12) {
+    throw new Error(`annualReturn monthsAfter for ${code} must be a whole number of months between 0 and 12`);
+  }
+  if (annualReturn.endOfMonth !== undefined && typeof annualReturn.endOfMonth !== 'boolean') {
+    throw new Error(`annualReturn endOfMonth for ${code} must be a boolean`);
+  }
+}
+
 /**
  * Validate resources.json
  */
@@ -17,8 +233,9 @@ function validateResources() {
   const resourcesPath = path.join(DATA_DIR, 'resources.json');
   const resources = JSON.parse(fs.readFileSync(resourcesPath, 'utf8'));
   
-  const requiredProvincialFields = ['name', 'register', 'workersComp', 'taxNote'];
-  const requiredFederalFields = ['bn', 'craMyBiz', 'gstHst', 'nameSearch', 'corpFed', 'casl', 'pipeda', 'trademarks'];
+  const requiredProvincialFields = ['name', 'register', 'workersComp', 'tax', 'annualReturn'];
+  const requiredFederalFields = ['bn', 'craMyBiz', 'gstHst', 'nameSearch', 'corpFed', 'casl', 'pipeda', 'trademarks',
+    'payroll', 'corporateTax', 'selfEmployedTax'];
   
   // Validate provincial resources
   Object.entries(resources.provincial).forEach(([code, province]) => {
@@ -27,8 +244,11 @@ function validateResources() {
         throw new Error(`Missing ${field} for province ${code}`);
       }
     });
+    validateAnnualReturn(code, province.annualReturn);
   });
   
+  validateSalesTax(resources.provincial);
+
   // Validate federal resources
   requiredFederalFields.forEach(field => {
     if (!resources.federal[field]) {
@@ -77,6 +297,7 @@ function validateSteps() {
   
   const stepsPath = path.join(DATA_DIR, 'steps.json');
   const data = JSON.parse(fs.readFileSync(stepsPath, 'utf8'));
+  const resources = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'resources.json'), 'utf8'));
   
   if (!Array.isArray(data.steps)) {
     throw new Error('steps must be an array');
@@ -94,6 +315,9 @@ function validateSteps() {
     if (typeof step.order !== 'number') {
       throw new Error(`Order must be a number in step ${step.key}`);
     }
+
+    validateStepRules(step);
+    validatePanels(step, resources);
   });
   
   // Check for unique keys and orders
@@ -122,6 +346,176 @@ function validateSteps() {
   console.log('✓ Steps validation passed');
 }
 
+/**
+ * Validate industries.json
+ */
+function validateIndustries() {
+  console.log('Validating industries.json...');
+
+  const data = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'industries.json'), 'utf8'));
+  const resources = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'resources.json'), 'utf8'));
+  const stepsData = JSON.parse(fs.readFileSync(path.join(DATA_DIR, 'steps.json'), 'utf8'));
+
+  const industryValues = stepsData.industryTypes.map(industry => industry.value);
+  const baseStepKeys = stepsData.steps.map(step => step.key);
+
+  ['municipal', 'provincialFederal'].forEach(group => {
+    if (!Array.isArray(data.permits?.[group])) {
+      throw new Error(`permits.${group} must be an array`);
+    }
+  });
+
+  Object.entries(data.industries).forEach(([industry, config]) => {
+    if (!industryValues.includes(industry)) {
+      throw new Error(`Industry "${industry}" is not listed in steps.json industryTypes`);
+    }
+
+    const industryResources = config.resources || {};
+    const validatePermits = (permits, where) => {
+      (permits || []).forEach((permit, index) => {
+        if (!permit.label) {
+          throw new Error(`Missing label in permit ${index} of ${where}`);
+        }
+        if (permit.resource) {
+          validateResourcePath(permit.resource, resources, where, industryResources);
+        }
+      });
+    };
+
+    validatePermits(config.permits, `industry ${industry}`);
+
+    Object.entries(config.provincial || {}).forEach(([code, overrides]) => {
+      if (!resources.provincial[code]) {
+        throw new Error(`Unknown province ${code} in industry ${industry}`);
+      }
+      // Province overrides may only replace resources that have a default
+      Object.keys(overrides.resources || {}).forEach(field => {
+        if (!industryResources[field]) {
+          throw new Error(`Industry ${industry} override for ${code} has no default resource "${field}"`);
+        }
+      });
+      validatePermits(overrides.permits, `industry ${industry} (${code})`);
+    });
+
+    const knownKeys = [...baseStepKeys];
+    (config.steps || []).forEach((step, index) => {
+      ['key', 'label', 'title', 'kicker', 'after'].forEach(field => {
+        if (!step[field]) {
+          throw new Error(`Missing ${field} in step ${index} of industry ${industry}`);
+        }
+      });
+
+      if (knownKeys.includes(step.key)) {
+        throw new Error(`Duplicate step key ${step.key} in industry ${industry}`);
+      }
+      if (!knownKeys.includes(step.after)) {
+        throw new Error(`Step ${step.key} is placed after unknown step ${step.after}`);
+      }
+      knownKeys.push(step.key);
+
+      validateStepRules(step);
+      validatePanels(step, resources, industryResources);
+    });
+  });
+
+  console.log('✓ Industries validation passed');
+}
+
+/**
+ * Collect the dotted leaf keys of a message catalog
+ * @param {Object} catalog - Message catalog
+ * @param {string} prefix - Key prefix
+ * @returns {Array<string>} Leaf keys
+ */
+function collectMessageKeys(catalog, prefix = '') {
+  return Object.entries(catalog).flatMap(([key, value]) => {
+    const fullKey = prefix ? `${prefix}.${key}` : key;
+    return value && typeof value === 'object' ? collectMessageKeys(value, fullKey) : [fullKey];
+  });
+}
+
+/**
+ * Validate that a translation overlay only contains fields and items that exist
+ * in the base data (see mergeLocalized in data-manager.js)
+ * @param {*} base - Base (English) data
+ * @param {*} overlay - Translated overlay
+ * @param {string} where - Location for error messages
+ */
+function validateOverlay(base, overlay, where) {
+  if (Array.isArray(overlay)) {
+    if (!Array.isArray(base)) {
+      throw new Error(`Unexpected array at ${where}`);
+    }
+
+    overlay.forEach((item, index) => {
+      const identityKey = item && typeof item === 'object'
+        ? ['key', 'id', 'value'].find(key => item[key] !== undefined)
+        : undefined;
+      const match = identityKey
+        ? base.find(candidate => candidate && candidate[identityKey] === item[identityKey])
+        : base[index];
+
+      if (match === undefined) {
+        const label = identityKey ? `${identityKey} "${item[identityKey]}"` : `item ${index}`;
+        throw new Error(`Unknown ${label} at ${where}`);
+      }
+      validateOverlay(match, item, `${where}[${index}]`);
+    });
+  } else if (overlay && typeof overlay === 'object') {
+    if (!base || typeof base !== 'object' || Array.isArray(base)) {
+      throw new Error(`Unexpected object at ${where}`);
+    }
+
+    Object.entries(overlay).forEach(([key, value]) => {
+      if (!(key in base)) {
+        throw new Error(`Unknown field "${key}" at ${where}`);
+      }
+      validateOverlay(base[key], value, `${where}.${key}`);
+    });
+  } else if (typeof overlay !== typeof base) {
+    throw new Error(`Expected ${typeof base} at ${where}`);
+  }
+}
+
+/**
+ * Validate locale folders: every locale's ui.json must have the same keys as
+ * English, and data overlays must match the structure of the base files
+ */
+function validateLocales() {
+  console.log('Validating locales...');
+
+  const localesDir = path.join(DATA_DIR, 'locales');
+  const englishKeys = collectMessageKeys(JSON.parse(fs.readFileSync(path.join(localesDir, 'en', 'ui.json'), 'utf8')));
+
+  fs.readdirSync(localesDir).filter(locale => locale !== 'en').forEach(locale => {
+    const localeDir = path.join(localesDir, locale);
+    const keys = collectMessageKeys(JSON.parse(fs.readFileSync(path.join(localeDir, 'ui.json'), 'utf8')));
+
+    englishKeys.forEach(key => {
+      if (!keys.includes(key)) {
+        throw new Error(`Missing message "${key}" in ${locale}/ui.json`);
+      }
+    });
+    keys.forEach(key => {
+      if (!englishKeys.includes(key)) {
+        throw new Error(`Unknown message "${key}" in ${locale}/ui.json`);
+      }
+    });
+
+    fs.readdirSync(localeDir).filter(file => file !== 'ui.json').forEach(file => {
+      const basePath = path.join(DATA_DIR, file);
+      if (!fs.existsSync(basePath)) {
+        throw new Error(`${locale}/${file} has no base file in ${DATA_DIR}`);
+      }
+      const base = JSON.parse(fs.readFileSync(basePath, 'utf8'));
+      const overlay = JSON.parse(fs.readFileSync(path.join(localeDir, file), 'utf8'));
+      validateOverlay(base, overlay, `${locale}/${file}`);
+    });
+  });
+
+  console.log('✓ Locales validation passed');
+}
+
 /**
  * Main validation function
  */
@@ -130,6 +524,8 @@ function validateAll() {
     validateResources();
     validateBusinessStructures();
     validateSteps();
+    validateIndustries();
+    validateLocales();
     console.log('\n✅ All data validation passed!');
   } catch (error) {
     console.error('\n❌ Validation failed:', error.message);
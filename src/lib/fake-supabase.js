@@ -0,0 +1,1075 @@
+/**
+ * Fake Supabase Module
+ * In-memory stand-in for the parts of supabase-js the guide uses, so the
+ * app works with no network: email/password and magic link sign-in, the
+ * profiles, plans, user_progress and progress_history tables with the
+ * triggers, cascades, unique keys and row level security policies of
+ * database/schema.sql, and Realtime changes to user_progress.
+ *
+ * Users, tables and the session are kept in localStorage, so they survive
+ * a reload and are shared by tabs. No email is sent: sign-up and magic
+ * links sign in straight away. Passwords are stored as typed, so use test
+ * accounts only.
+ */
+
+import { createId } from './ids.js';
+
+const STORAGE_KEY = 'fake-supabase';
+
+// How long an access token lasts, in seconds
+const SESSION_LIFETIME = 3600;
+
+// Progress columns whose changes the history trigger saves
+const PROGRESS_COLUMNS = ['province', 'industry', 'hiring', 'revenue', 'quarterly_revenue', 'structure',
+  'fiscal_year_end', 'incorporation_date', 'gst_filing_frequency', 'completed', 'due_dates'];
+
+// change_description the history trigger gives each last_change reason
+const CHANGE_DESCRIPTIONS = {
+  import: 'Progress imported',
+  merge: 'Progress merged with another device',
+  restore: 'Progress restored from history',
+  reset: 'Progress reset',
+  offline: 'Offline changes saved'
+};
+
+// Tables as created by database/schema.sql. owner is the column row level
+// security compares with the signed-in user; policies are the operations
+// that have one.
+const TABLES = {
+  profiles: {
+    owner: 'id',
+    policies: ['select', 'insert', 'update'],
+    unique: ['id', 'email'],
+    required: ['id', 'email'],
+    defaults: () => ({
+      display_name: null,
+      avatar_url: null,
+      preferred_language: 'en',
+      default_province: null,
+      sync_conflict_resolution: 'timestamp'
+    })
+  },
+  plans: {
+    owner: 'user_id',
+    policies: ['select', 'insert', 'update', 'delete'],
+    unique: ['id'],
+    required: ['user_id', 'name'],
+    references: { user_id: 'profiles' },
+    defaults: () => ({ name: '' })
+  },
+  user_progress: {
+    owner: 'user_id',
+    policies: ['select', 'insert', 'update', 'delete'],
+    unique: ['id', 'plan_id'],
+    required: ['user_id', 'plan_id', 'province', 'industry', 'hiring', 'revenue', 'gst_filing_frequency'],
+    references: { user_id: 'profiles', plan_id: 'plans' },
+    defaults: () => ({
+      industry: 'general',
+      hiring: 'no',
+      revenue: 'gte30',
+      quarterly_revenue: {},
+      structure: null,
+      fiscal_year_end: null,
+      incorporation_date: null,
+      gst_filing_frequency: 'annual',
+      completed: {},
+      due_dates: {},
+      last_change: null,
+      version: 1
+    })
+  },
+  progress_history: {
+    owner: 'user_id',
+    policies: ['select', 'insert'],
+    unique: ['id'],
+    required: ['user_id', 'progress_snapshot'],
+    references: { user_id: 'profiles', plan_id: 'plans' },
+    defaults: () => ({ plan_id: null, change_description: null, change_set: null })
+  }
+};
+
+let lastTimestamp = 0;
+
+/**
+ * Get the current time for a row. Each call is later than the last, so
+ * rows written together still sort in the order they were written.
+ * @returns {string} ISO timestamp
+ */
+function timestamp() {
+  lastTimestamp = Math.max(Date.now(), lastTimestamp + 1);
+  return new Date(lastTimestamp).toISOString();
+}
+
+/**
+ * Compare two JSON values, ignoring key order as jsonb does
+ * @param {*} a - Value
+ * @param {*} b - Value
+ * @returns {boolean} Whether they are equal
+ */
+function isEqual(a, b) {
+  if (a === b) {
+    return true;
+  }
+  if (!a || !b || typeof a !== 'object' || typeof b !== 'object' || Array.isArray(a) !== Array.isArray(b)) {
+    return false;
+  }
+  const keys = Object.keys(a);
+  return keys.length === Object.keys(b).length && keys.every(key => isEqual(a[key], b[key]));
+}
+
+/**
+ * Create an error shaped like the ones PostgREST returns
+ * @param {string} code - Postgres or PostgREST error code
+ * @param {string} message - Message
+ * @param {number} status - HTTP status
+ * @returns {Object} Error
+ */
+function createDatabaseError(code, message, status) {
+  return { code, message, details: null, hint: null, status };
+}
+
+/**
+ * Create an error shaped like the ones the auth API returns
+ * @param {string} message - Message
+ * @param {number} status - HTTP status
+ * @returns {Error} Error
+ */
+function createAuthError(message, status = 400) {
+  const error = new Error(message);
+  error.name = 'AuthApiError';
+  error.status = status;
+  return error;
+}
+
+/**
+ * Query on one table, built up by chaining like a supabase-js query and
+ * run when awaited
+ */
+class FakeQuery {
+  /**
+   * @param {FakeSupabaseClient} client - Client the query runs on
+   * @param {string} table - Table name
+   */
+  constructor(client, table) {
+    this.client = client;
+    this.table = table;
+    this.action = 'select';
+    this.values = null;
+    this.onConflict = 'id';
+    this.columns = null;
+    this.filters = [];
+    this.ordering = null;
+    this.maxRows = null;
+    this.result = 'many';
+  }
+
+  /**
+   * Return rows, or choose the columns to return
+   * @param {string} columns - Comma-separated columns, or '*'
+   * @returns {FakeQuery} This query
+   */
+  select(columns = '*') {
+    this.columns = columns;
+    return this;
+  }
+
+  /**
+   * Insert rows
+   * @param {Object|Array<Object>} values - Row or rows
+   * @returns {FakeQuery} This query
+   */
+  insert(values) {
+    this.action = 'insert';
+    this.values = [].concat(values);
+    return this;
+  }
+
+  /**
+   * Update the rows matching the filters
+   * @param {Object} values - Columns to set
+   * @returns {FakeQuery} This query
+   */
+  update(values) {
+    this.action = 'update';
+    this.values = values;
+    return this;
+  }
+
+  /**
+   * Insert rows, updating those that already exist
+   * @param {Object|Array<Object>} values - Row or rows
+   * @param {Object} options - { onConflict }: the unique column to match on
+   * @returns {FakeQuery} This query
+   */
+  upsert(values, { onConflict = 'id' } = {}) {
+    this.action = 'upsert';
+    this.values = [].concat(values);
+    this.onConflict = onConflict;
+    return this;
+  }
+
+  /**
+   * Delete the rows matching the filters
+   * @returns {FakeQuery} This query
+   */
+  delete() {
+    this.action = 'delete';
+    return this;
+  }
+
+  /**
+   * Only match rows where a column has a value
+   * @param {string} column - Column
+   * @param {*} value - Value
+   * @returns {FakeQuery} This query
+   */
+  eq(column, value) {
+    this.filters.push({ column, value });
+    return this;
+  }
+
+  /**
+   * Sort the returned rows
+   * @param {string} column - Column
+   * @param {Object} options - { ascending }
+   * @returns {FakeQuery} This query
+   */
+  order(column, { ascending = true } = {}) {
+    this.ordering = { column, ascending };
+    return this;
+  }
+
+  /**
+   * Return at most a number of rows
+   * @param {number} count - Rows
+   * @returns {FakeQuery} This query
+   */
+  limit(count) {
+    this.maxRows = count;
+    return this;
+  }
+
+  /**
+   * Return one row, failing if there is not exactly one
+   * @returns {FakeQuery} This query
+   */
+  single() {
+    this.result = 'single';
+    return this;
+  }
+
+  /**
+   * Return one row or null, failing if there is more than one
+   * @returns {FakeQuery} This query
+   */
+  maybeSingle() {
+    this.result = 'maybeSingle';
+    return this;
+  }
+
+  /**
+   * Run the query when it is awaited
+   * @param {Function} resolve - Fulfillment handler
+   * @param {Function} reject - Rejection handler
+   * @returns {Promise<Object>} { data, error, status }
+   */
+  then(resolve, reject) {
+    return Promise.resolve()
+      .then(() => this.client.runQuery(this))
+      .then(resolve, reject);
+  }
+}
+
+/**
+ * Realtime channel; only postgres_changes on user_progress are sent
+ */
+class FakeChannel {
+  /**
+   * @param {FakeSupabaseClient} client - Client the channel belongs to
+   * @param {string} name - Channel name
+   */
+  constructor(client, name) {
+    this.client = client;
+    this.topic = `realtime:${name}`;
+    this.bindings = [];
+    this.statusCallback = () => {};
+    this.joined = false;
+  }
+
+  /**
+   * Listen for changes to a table
+   * @param {string} type - 'postgres_changes'
+   * @param {Object} filter - { event, table, filter } where filter is
+   *   "column=eq.value"
+   * @param {Function} callback - Receives each change
+   * @returns {FakeChannel} This channel
+   */
+  on(type, filter, callback) {
+    if (type === 'postgres_changes') {
+      this.bindings.push({ ...filter, callback });
+    }
+    return this;
+  }
+
+  /**
+   * Start receiving changes
+   * @param {Function} callback - Receives the channel status
+   * @returns {FakeChannel} This channel
+   */
+  subscribe(callback = () => {}) {
+    this.statusCallback = callback;
+    this.joined = true;
+    this.client.channels.add(this);
+    setTimeout(() => this.joined && callback('SUBSCRIBED'), 0);
+    return this;
+  }
+
+  /**
+   * Stop receiving changes
+   * @returns {Promise<string>} 'ok'
+   */
+  async unsubscribe() {
+    if (this.joined) {
+      this.joined = false;
+      this.client.channels.delete(this);
+      this.statusCallback('CLOSED');
+    }
+    return 'ok';
+  }
+
+  /**
+   * Send a change to the callbacks listening for it
+   * @param {Object} payload - Change ({ table, eventType, new, old })
+   */
+  deliver(payload) {
+    this.bindings.forEach(binding => {
+      if (binding.table !== payload.table || (binding.event !== '*' && binding.event !== payload.eventType)) {
+        return;
+      }
+      if (binding.filter) {
+        const [column, value] = binding.filter.split('=eq.');
+        const row = payload.eventType === 'DELETE' ? payload.old : payload.new;
+        if (String(row[column]) !== value) {
+          return;
+        }
+      }
+      binding.callback(structuredClone(payload));
+    });
+  }
+}
+
+/**
+ * Auth API on the fake users and session
+ */
+class FakeAuth {
+  /**
+   * @param {FakeSupabaseClient} client - Client the auth belongs to
+   */
+  constructor(client) {
+    this.client = client;
+    this.listeners = [];
+  }
+
+  /**
+   * Get the session
+   * @returns {Promise<Object>} { data: { session }, error }
+   */
+  async getSession() {
+    return { data: { session: this.client.read().session }, error: null };
+  }
+
+  /**
+   * Get the signed-in user
+   * @returns {Promise<Object>} { data: { user }, error }
+   */
+  async getUser() {
+    const session = this.client.read().session;
+    if (!session) {
+      return { data: { user: null }, error: createAuthError('Auth session missing!', 400) };
+    }
+    return { data: { user: session.user }, error: null };
+  }
+
+  /**
+   * Create a user and sign them in; there is no email to confirm
+   * @param {Object} credentials - { email, password, options: { data } }
+   * @returns {Promise<Object>} { data: { user, session }, error }
+   */
+  async signUp({ email, password, options = {} }) {
+    const error = this.checkEmail(email) || this.checkPassword(password);
+    if (error) {
+      return { data: { user: null, session: null }, error };
+    }
+
+    const db = this.client.read();
+    if (db.users.some(user => user.email === email.toLowerCase())) {
+      return { data: { user: null, session: null }, error: createAuthError('User already registered', 422) };
+    }
+
+    const user = this.createUser(db, email, password, options.data);
+    const session = this.startSession(db, user);
+    this.client.write(db);
+    this.notify('SIGNED_IN', session);
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  /**
+   * Sign in with email and password
+   * @param {Object} credentials - { email, password }
+   * @returns {Promise<Object>} { data: { user, session }, error }
+   */
+  async signInWithPassword({ email, password }) {
+    const db = this.client.read();
+    const user = db.users.find(item => item.email === String(email).toLowerCase());
+    if (!user || user.password !== password) {
+      return { data: { user: null, session: null }, error: createAuthError('Invalid login credentials', 400) };
+    }
+
+    const session = this.startSession(db, user);
+    this.client.write(db);
+    this.notify('SIGNED_IN', session);
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  /**
+   * Sign in with a magic link. No email is sent: the user, created if new,
+   * is signed in straight away.
+   * @param {Object} credentials - { email }
+   * @returns {Promise<Object>} { data: { user, session }, error }
+   */
+  async signInWithOtp({ email }) {
+    const error = this.checkEmail(email);
+    if (error) {
+      return { data: { user: null, session: null }, error };
+    }
+
+    const db = this.client.read();
+    const user = db.users.find(item => item.email === email.toLowerCase()) ||
+      this.createUser(db, email, null, {});
+    const session = this.startSession(db, user);
+    this.client.write(db);
+
+    console.info(`Fake Supabase: signed in ${user.email} without sending a magic link`);
+    setTimeout(() => this.notify('SIGNED_IN', session), 0);
+    return { data: { user: null, session: null }, error: null };
+  }
+
+  /**
+   * Sign out
+   * @returns {Promise<Object>} { error }
+   */
+  async signOut() {
+    const db = this.client.read();
+    db.session = null;
+    this.client.write(db);
+    this.notify('SIGNED_OUT', null);
+    return { error: null };
+  }
+
+  /**
+   * Pretend to send a password reset email
+   * @param {string} email - Email
+   * @returns {Promise<Object>} { data, error }
+   */
+  async resetPasswordForEmail(email) {
+    const error = this.checkEmail(email);
+    if (error) {
+      return { data: null, error };
+    }
+    console.info(`Fake Supabase: no password reset email sent to ${email}; change the password from Profile Settings`);
+    return { data: {}, error: null };
+  }
+
+  /**
+   * Change the signed-in user's email, password or metadata. Email
+   * changes apply at once, as there is no email to confirm.
+   * @param {Object} attributes - { email, password, data }
+   * @returns {Promise<Object>} { data: { user }, error }
+   */
+  async updateUser(attributes) {
+    const db = this.client.read();
+    const user = db.session && db.users.find(item => item.id === db.session.user.id);
+    if (!user) {
+      return { data: { user: null }, error: createAuthError('Auth session missing!', 401) };
+    }
+
+    if (attributes.email !== undefined) {
+      const email = String(attributes.email).toLowerCase();
+      const error = this.checkEmail(email);
+      if (error) {
+        return { data: { user: null }, error };
+      }
+      if (db.users.some(item => item.email === email && item.id !== user.id)) {
+        return { data: { user: null }, error: createAuthError('A user with this email address has already been registered', 422) };
+      }
+      user.email = email;
+    }
+    if (attributes.password !== undefined) {
+      const error = this.checkPassword(attributes.password);
+      if (error) {
+        return { data: { user: null }, error };
+      }
+      if (attributes.password === user.password) {
+        return { data: { user: null }, error: createAuthError('New password should be different from the old password.', 422) };
+      }
+      user.password = attributes.password;
+    }
+    if (attributes.data) {
+      user.user_metadata = { ...user.user_metadata, ...attributes.data };
+    }
+    user.updated_at = timestamp();
+
+    db.session.user = this.toPublicUser(user);
+    this.client.write(db);
+    this.notify('USER_UPDATED', db.session);
+    return { data: { user: db.session.user }, error: null };
+  }
+
+  /**
+   * Replace the session's tokens
+   * @returns {Promise<Object>} { data: { user, session }, error }
+   */
+  async refreshSession() {
+    const db = this.client.read();
+    const user = db.session && db.users.find(item => item.id === db.session.user.id);
+    if (!user) {
+      return { data: { user: null, session: null }, error: createAuthError('Invalid Refresh Token: Refresh Token Not Found', 400) };
+    }
+
+    const session = this.startSession(db, user);
+    this.client.write(db);
+    this.notify('TOKEN_REFRESHED', session);
+    return { data: { user: session.user, session }, error: null };
+  }
+
+  /**
+   * Listen for sign-in, sign-out and session changes. The current session
+   * is sent first as INITIAL_SESSION, as supabase-js does.
+   * @param {Function} callback - Called with (event, session)
+   * @returns {Object} { data: { subscription: { unsubscribe } } }
+   */
+  onAuthStateChange(callback) {
+    this.listeners.push(callback);
+    setTimeout(() => {
+      if (this.listeners.includes(callback)) {
+        callback('INITIAL_SESSION', this.client.read().session);
+      }
+    }, 0);
+
+    return {
+      data: {
+        subscription: {
+          unsubscribe: () => {
+            this.listeners = this.listeners.filter(item => item !== callback);
+          }
+        }
+      }
+    };
+  }
+
+  /**
+   * Add a user, and their profile as the handle_new_user trigger does
+   * @param {Object} db - Stored data
+   * @param {string} email - Email
+   * @param {string|null} password - Password, or null for magic links only
+   * @param {Object} metadata - User metadata
+   * @returns {Object} User
+   */
+  createUser(db, email, password, metadata = {}) {
+    const now = timestamp();
+    const user = {
+      id: createId(),
+      email: email.toLowerCase(),
+      password,
+      user_metadata: { ...metadata },
+      created_at: now,
+      updated_at: now,
+      email_confirmed_at: now
+    };
+    db.users.push(user);
+
+    db.tables.profiles.push({
+      ...TABLES.profiles.defaults(),
+      id: user.id,
+      email: user.email,
+      display_name: metadata?.display_name || user.email.split('@')[0],
+      created_at: now,
+      updated_at: now
+    });
+    return user;
+  }
+
+  /**
+   * Start a session for a user
+   * @param {Object} db - Stored data
+   * @param {Object} user - User
+   * @returns {Object} Session
+   */
+  startSession(db, user) {
+    db.session = {
+      access_token: `fake-access-${createId()}`,
+      refresh_token: `fake-refresh-${createId()}`,
+      token_type: 'bearer',
+      expires_in: SESSION_LIFETIME,
+      expires_at: Math.floor(Date.now() / 1000) + SESSION_LIFETIME,
+      user: this.toPublicUser(user)
+    };
+    return db.session;
+  }
+
+  /**
+   * Get a user as the auth API returns them, without the password
+   * @param {Object} user - Stored user
+   * @returns {Object} User
+   */
+  toPublicUser(user) {
+    const { password, ...publicUser } = user;
+    return { ...publicUser, aud: 'authenticated', role: 'authenticated', app_metadata: { provider: 'email' } };
+  }
+
+  /**
+   * Check an email address
+   * @param {string} email - Email
+   * @returns {Error|null} Error, or null if it is valid
+   */
+  checkEmail(email) {
+    return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email || '')
+      ? null
+      : createAuthError(`Unable to validate email address: invalid format`, 400);
+  }
+
+  /**
+   * Check a password against the default minimum length
+   * @param {string} password - Password
+   * @returns {Error|null} Error, or null if it is long enough
+   */
+  checkPassword(password) {
+    return String(password || '').length >= 6
+      ? null
+      : createAuthError('Password should be at least 6 characters.', 422);
+  }
+
+  /**
+   * Tell listeners about an auth event
+   * @param {string} event - Event name
+   * @param {Object|null} session - Session
+   */
+  notify(event, session) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event, session);
+      } catch (error) {
+        console.error('Error in auth state listener:', error);
+      }
+    });
+  }
+}
+
+/**
+ * Client with the auth, from(), channel() and removeChannel() parts of a
+ * supabase-js client
+ */
+export class FakeSupabaseClient {
+  /**
+   * @param {Object} options - { storageKey }: where to keep the data, or
+   *   null to keep it in memory only
+   */
+  constructor({ storageKey = STORAGE_KEY } = {}) {
+    this.storageKey = storageKey;
+    this.memory = null;
+    this.channels = new Set();
+    this.auth = new FakeAuth(this);
+
+    // Changes made in other tabs reach this tab's channels
+    this.broadcast = window.BroadcastChannel && storageKey ? new BroadcastChannel(storageKey) : null;
+    this.broadcast?.addEventListener('message', (event) => this.deliver(event.data, false));
+  }
+
+  /**
+   * Start a query on a table
+   * @param {string} table - Table name
+   * @returns {FakeQuery} Query
+   */
+  from(table) {
+    return new FakeQuery(this, table);
+  }
+
+  /**
+   * Create a Realtime channel
+   * @param {string} name - Channel name
+   * @returns {FakeChannel} Channel
+   */
+  channel(name) {
+    return new FakeChannel(this, name);
+  }
+
+  /**
+   * Close a Realtime channel
+   * @param {FakeChannel} channel - Channel
+   * @returns {Promise<string>} 'ok'
+   */
+  async removeChannel(channel) {
+    return channel.unsubscribe();
+  }
+
+  /**
+   * Run a query
+   * @param {FakeQuery} query - Query
+   * @returns {Object} { data, error, status }
+   */
+  runQuery(query) {
+    const table = TABLES[query.table];
+    if (!table) {
+      return this.fail(createDatabaseError('42P01', `relation "public.${query.table}" does not exist`, 404));
+    }
+
+    const db = this.read();
+    const userId = db.session?.user.id ?? null;
+    const changes = [];
+    let rows;
+
+    try {
+      if (query.action === 'select') {
+        rows = this.visibleRows(db, query, userId, 'select');
+      } else if (query.action === 'insert') {
+        rows = query.values.map(values => this.insertRow(db, query.table, values, userId, changes));
+      } else if (query.action === 'upsert') {
+        rows = query.values.map(values => {
+          const existing = db.tables[query.table].find(row => values[query.onConflict] !== undefined &&
+            row[query.onConflict] === values[query.onConflict]);
+          if (!existing) {
+            return this.insertRow(db, query.table, values, userId, changes);
+          }
+          if (!this.isAllowed(query.table, existing, userId, 'update')) {
+            throw this.policyError(query.table);
+          }
+          return this.updateRow(db, query.table, existing, values, changes);
+        });
+      } else if (query.action === 'update') {
+        rows = this.visibleRows(db, query, userId, 'update')
+          .map(row => this.updateRow(db, query.table, row, query.values, changes));
+      } else {
+        rows = this.visibleRows(db, query, userId, 'delete');
+        rows.forEach(row => this.deleteRow(db, query.table, row, changes));
+      }
+    } catch (error) {
+      return this.fail(error);
+    }
+
+    this.write(db);
+    changes.forEach(change => this.deliver(change, true));
+
+    const status = { select: 200, insert: 201, upsert: 201 }[query.action] ?? (query.columns ? 200 : 204);
+    if (query.action !== 'select' && query.columns === null) {
+      return { data: null, error: null, status };
+    }
+    return this.shape(query, rows, status);
+  }
+
+  /**
+   * Get the rows a query's filters match that the user may see or change
+   * @param {Object} db - Stored data
+   * @param {FakeQuery} query - Query
+   * @param {string|null} userId - Signed-in user
+   * @param {string} operation - 'select', 'update' or 'delete'
+   * @returns {Array<Object>} Rows
+   */
+  visibleRows(db, query, userId, operation) {
+    return db.tables[query.table].filter(row =>
+      this.isAllowed(query.table, row, userId, operation) &&
+      query.filters.every(filter => String(row[filter.column]) === String(filter.value)));
+  }
+
+  /**
+   * Check a row against a table's row level security policies
+   * @param {string} tableName - Table name
+   * @param {Object} row - Row
+   * @param {string|null} userId - Signed-in user
+   * @param {string} operation - 'select', 'insert', 'update' or 'delete'
+   * @returns {boolean} Whether the operation is allowed
+   */
+  isAllowed(tableName, row, userId, operation) {
+    const table = TABLES[tableName];
+    return userId !== null && table.policies.includes(operation) && row[table.owner] === userId;
+  }
+
+  /**
+   * Insert a row, checking its policies and constraints
+   * @param {Object} db - Stored data
+   * @param {string} tableName - Table name
+   * @param {Object} values - Columns
+   * @param {string|null} userId - Signed-in user
+   * @param {Array<Object>} changes - Realtime changes, added to
+   * @returns {Object} Inserted row
+   */
+  insertRow(db, tableName, values, userId, changes) {
+    const table = TABLES[tableName];
+    const now = timestamp();
+    const row = { id: createId(), ...table.defaults(), created_at: now, updated_at: now, ...structuredClone(values) };
+    if (tableName === 'progress_history') {
+      delete row.updated_at;
+    }
+
+    if (!this.isAllowed(tableName, row, userId, 'insert')) {
+      throw this.policyError(tableName);
+    }
+    // The user_progress insert policy also requires the plan to be the user's
+    if (tableName === 'user_progress' && !db.tables.plans.some(plan => plan.id === row.plan_id && plan.user_id === userId)) {
+      throw this.policyError(tableName);
+    }
+    this.checkConstraints(db, tableName, row, null);
+
+    db.tables[tableName].push(row);
+    changes.push({ table: tableName, eventType: 'INSERT', new: row, old: {} });
+    return row;
+  }
+
+  /**
+   * Update a row, running its triggers
+   * @param {Object} db - Stored data
+   * @param {string} tableName - Table name
+   * @param {Object} row - Row to update
+   * @param {Object} values - Columns to set
+   * @param {Array<Object>} changes - Realtime changes, added to
+   * @returns {Object} Updated row
+   */
+  updateRow(db, tableName, row, values, changes) {
+    const updated = { ...row, ...structuredClone(values) };
+    if ('updated_at' in row) {
+      updated.updated_at = timestamp();
+    }
+    if (tableName === 'user_progress') {
+      this.saveProgressHistory(db, row, updated);
+    }
+    this.checkConstraints(db, tableName, updated, row);
+
+    const rows = db.tables[tableName];
+    rows[rows.indexOf(row)] = updated;
+    changes.push({ table: tableName, eventType: 'UPDATE', new: updated, old: { id: row.id } });
+    return updated;
+  }
+
+  /**
+   * Delete a row and, as ON DELETE CASCADE does, the rows that refer to it
+   * @param {Object} db - Stored data
+   * @param {string} tableName - Table name
+   * @param {Object} row - Row to delete
+   * @param {Array<Object>} changes - Realtime changes, added to
+   */
+  deleteRow(db, tableName, row, changes) {
+    db.tables[tableName] = db.tables[tableName].filter(item => item !== row);
+    changes.push({ table: tableName, eventType: 'DELETE', new: {}, old: { id: row.id, user_id: row.user_id, plan_id: row.plan_id } });
+
+    Object.entries(TABLES).forEach(([childName, child]) => {
+      Object.entries(child.references || {}).forEach(([column, parentName]) => {
+        if (parentName === tableName) {
+          db.tables[childName]
+            .filter(item => item[column] === row.id)
+            .forEach(item => this.deleteRow(db, childName, item, changes));
+        }
+      });
+    });
+  }
+
+  /**
+   * Check not-null, unique and foreign key constraints
+   * @param {Object} db - Stored data
+   * @param {string} tableName - Table name
+   * @param {Object} row - Row being written
+   * @param {Object|null} previous - Row it replaces, if updating
+   * @throws {Object} Database error
+   */
+  checkConstraints(db, tableName, row, previous) {
+    const table = TABLES[tableName];
+
+    table.required.forEach(column => {
+      if (row[column] === null || row[column] === undefined) {
+        throw createDatabaseError('23502', `null value in column "${column}" of relation "${tableName}" violates not-null constraint`, 400);
+      }
+    });
+
+    table.unique.forEach(column => {
+      if (db.tables[tableName].some(item => item !== previous && item[column] === row[column])) {
+        const constraint = column === 'id' ? `${tableName}_pkey` : `${tableName}_${column}_key`;
+        throw createDatabaseError('23505', `duplicate key value violates unique constraint "${constraint}"`, 409);
+      }
+    });
+
+    Object.entries(table.references || {}).forEach(([column, parentName]) => {
+      if (row[column] !== null && row[column] !== undefined && !db.tables[parentName].some(item => item.id === row[column])) {
+        throw createDatabaseError('23503', `insert or update on table "${tableName}" violates foreign key constraint "${tableName}_${column}_fkey"`, 409);
+      }
+    });
+  }
+
+  /**
+   * Keep a snapshot of changed progress and bump its version, as the
+   * save_progress_history trigger does
+   * @param {Object} db - Stored data
+   * @param {Object} previous - Row before the update
+   * @param {Object} row - Row after the update, changed in place
+   */
+  saveProgressHistory(db, previous, row) {
+    if (PROGRESS_COLUMNS.every(column => isEqual(previous[column] ?? null, row[column] ?? null))) {
+      return;
+    }
+
+    const snapshot = {};
+    [...PROGRESS_COLUMNS, 'version'].forEach(column => {
+      snapshot[column] = structuredClone(row[column] ?? null);
+    });
+
+    db.tables.progress_history.push({
+      id: createId(),
+      user_id: row.user_id,
+      plan_id: row.plan_id,
+      progress_snapshot: snapshot,
+      change_description: CHANGE_DESCRIPTIONS[row.last_change?.reason] || 'Progress updated',
+      change_set: structuredClone(row.last_change ?? null),
+      created_at: timestamp()
+    });
+
+    row.version = (previous.version ?? 0) + 1;
+  }
+
+  /**
+   * Pick columns, sort and limit rows, and apply single()/maybeSingle()
+   * @param {FakeQuery} query - Query
+   * @param {Array<Object>} rows - Rows
+   * @param {number} status - HTTP status on success
+   * @returns {Object} { data, error, status }
+   */
+  shape(query, rows, status) {
+    let data = [...rows];
+
+    if (query.ordering) {
+      const { column, ascending } = query.ordering;
+      data.sort((a, b) => {
+        const order = a[column] < b[column] ? -1 : a[column] > b[column] ? 1 : 0;
+        return ascending ? order : -order;
+      });
+    }
+    if (query.maxRows !== null) {
+      data = data.slice(0, query.maxRows);
+    }
+    if (query.columns && query.columns.trim() !== '*') {
+      const columns = query.columns.split(',').map(column => column.trim());
+      data = data.map(row => Object.fromEntries(columns.map(column => [column, row[column] ?? null])));
+    }
+    data = structuredClone(data);
+
+    if (query.result === 'many') {
+      return { data, error: null, status };
+    }
+    if (data.length > 1 || (data.length === 0 && query.result === 'single')) {
+      const error = createDatabaseError('PGRST116', 'JSON object requested, multiple (or no) rows returned', 406);
+      error.details = `The result contains ${data.length} rows`;
+      return this.fail(error);
+    }
+    return { data: data[0] ?? null, error: null, status };
+  }
+
+  /**
+   * Build the response of a failed query
+   * @param {Object} error - Database error
+   * @returns {Object} { data, error, status }
+   */
+  fail(error) {
+    return { data: null, error, status: error.status ?? 400 };
+  }
+
+  /**
+   * Create the error row level security raises for a refused write
+   * @param {string} tableName - Table name
+   * @returns {Object} Database error
+   */
+  policyError(tableName) {
+    return createDatabaseError('42501', `new row violates row-level security policy for table "${tableName}"`, 403);
+  }
+
+  /**
+   * Send a change to this tab's subscribed channels, as Realtime does for
+   * user_progress to users who may see the row
+   * @param {Object} change - { table, eventType, new, old }
+   * @param {boolean} local - Whether it was made in this tab, so other tabs
+   *   should hear about it too
+   */
+  deliver(change, local) {
+    if (change.table !== 'user_progress') {
+      return;
+    }
+    if (local) {
+      try {
+        this.broadcast?.postMessage(change);
+      } catch (error) {
+        console.error('Error messaging other tabs:', error);
+      }
+    }
+
+    const userId = this.read().session?.user.id;
+    const row = change.eventType === 'DELETE' ? change.old : change.new;
+    if (!userId || row.user_id !== userId) {
+      return;
+    }
+
+    const payload = {
+      schema: 'public',
+      table: change.table,
+      commit_timestamp: new Date().toISOString(),
+      eventType: change.eventType,
+      new: change.new,
+      old: change.old,
+      errors: null
+    };
+    setTimeout(() => this.channels.forEach(channel => channel.deliver(payload)), 0);
+  }
+
+  /**
+   * Read the users, tables and session. Read on every call, as other tabs
+   * write them too.
+   * @returns {Object} { users, tables, session }
+   */
+  read() {
+    let saved = structuredClone(this.memory);
+    if (this.storageKey) {
+      try {
+        saved = JSON.parse(localStorage.getItem(this.storageKey) || 'null');
+      } catch (error) {
+        console.warn('Error reading fake Supabase data:', error);
+      }
+    }
+
+    const tables = {};
+    Object.keys(TABLES).forEach(name => {
+      tables[name] = saved?.tables?.[name] || [];
+    });
+    return { users: saved?.users || [], tables, session: saved?.session || null };
+  }
+
+  /**
+   * Save the users, tables and session
+   * @param {Object} db - { users, tables, session }
+   */
+  write(db) {
+    this.memory = db;
+    if (!this.storageKey) {
+      return;
+    }
+    try {
+      localStorage.setItem(this.storageKey, JSON.stringify(db));
+    } catch (error) {
+      console.error('Error saving fake Supabase data:', error);
+    }
+  }
+}
+
+/**
+ * Create a fake client, in place of window.supabase.createClient
+ * @param {string} url - Project URL (unused)
+ * @param {string} anonKey - Anon key (unused)
+ * @param {Object} options - { storageKey }
+ * @returns {FakeSupabaseClient} Client
+ */
+export function createClient(url, anonKey, options = {}) {
+  return new FakeSupabaseClient(options);
+}
\ No newline at end of file
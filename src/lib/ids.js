@@ -0,0 +1,21 @@
+/**
+ * IDs
+ * Creates the random IDs used for plans, offline operations, tabs, devices
+ * and the fake backend's rows
+ */
+
+/**
+ * Create a random UUID (version 4). Plans are created in the cloud with the
+ * same ID, so the fallback for browsers without crypto.randomUUID is a
+ * valid UUID too.
+ * @returns {string} UUID
+ */
+export function createId() {
+  if (window.crypto?.randomUUID) {
+    return window.crypto.randomUUID();
+  }
+  return 'xxxxxxxx-xxxx-4xxx-yxxx-xxxxxxxxxxxx'.replace(/[xy]/g, (char) => {
+    const random = Math.random() * 16 | 0;
+    return (char === 'x' ? random : (random & 0x3 | 0x8)).toString(16);
+  });
+}
\ No newline at end of file
@@ -3,7 +3,21 @@
  * Initializes Supabase client with authentication and database access
  */
 
-import { supabaseConfig } from '../config/supabase-config.js';
+import { supabaseConfig, loadConfig } from '../config/supabase-config.js';
+
+// Error code thrown when a progress write is based on an outdated version
+export const VERSION_CONFLICT = 'VERSION_CONFLICT';
+
+// Kinds of request error told apart by classifyError(). Network and server
+// errors are worth retrying; auth and permission errors are not.
+export const ERROR_TYPES = {
+  NETWORK: 'network',
+  SERVER: 'server',
+  CONFLICT: 'conflict',
+  AUTH: 'auth',
+  PERMISSION: 'permission',
+  UNKNOWN: 'unknown'
+};
 
 /**
  * Supabase client class with built-in Supabase JS functionality
@@ -17,20 +31,33 @@ class SupabaseClient {
   }
 
   /**
-   * Initialize Supabase client by loading from CDN
+   * Initialize Supabase client by loading from CDN, or the in-memory
+   * stand-in when the config selects the fake backend
    * @returns {Promise<void>}
+   * @throws {Error} If no backend is configured
    */
   async initialize() {
     if (this.initialized) return;
 
     try {
-      // Load Supabase from CDN
-      if (!window.supabase) {
-        await this.loadSupabaseFromCDN();
+      await loadConfig();
+      if (supabaseConfig.backend === 'none') {
+        throw new Error('No Supabase project configured - add its URL and anon key to config.json');
+      }
+
+      let createClient;
+      if (supabaseConfig.backend === 'fake') {
+        ({ createClient } = await import('./fake-supabase.js'));
+      } else {
+        // Load Supabase from CDN
+        if (!window.supabase) {
+          await this.loadSupabaseFromCDN();
+        }
+        createClient = window.supabase.createClient;
       }
 
       // Create Supabase client with environment-aware configuration
-      this.client = window.supabase.createClient(
+      this.client = createClient(
         supabaseConfig.url,
         supabaseConfig.anonKey,
         {
@@ -44,7 +71,7 @@ class SupabaseClient {
       );
 
       this.initialized = true;
-      console.log('Supabase client initialized successfully');
+      console.log(`Supabase client initialized successfully (${supabaseConfig.backend} backend)`);
     } catch (error) {
       console.error('Failed to initialize Supabase client:', error);
       throw error;
@@ -185,6 +212,15 @@ class SupabaseClient {
     return await client.auth.updateUser(updates);
   }
 
+  /**
+   * Refresh the session with its refresh token
+   * @returns {Promise<Object>} Auth response
+   */
+  async refreshSession() {
+    const client = this.getClient();
+    return await client.auth.refreshSession();
+  }
+
   /**
    * Listen to auth state changes
    * @param {Function} callback - Callback function
@@ -236,62 +272,234 @@ class SupabaseClient {
   }
 
   /**
-   * Get user progress
+   * Get a user's plans, oldest first
+   * @param {string} userId - User ID
+   * @returns {Promise<Array>} Plans ({ id, name, created_at, updated_at })
+   */
+  async getPlans(userId) {
+    const client = this.getClient();
+    const { data, error, status } = await client
+      .from('plans')
+      .select('id, name, created_at, updated_at')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) throw this.withStatus(error, status);
+    return data || [];
+  }
+
+  /**
+   * Create a plan, or rename it if it exists
    * @param {string} userId - User ID
+   * @param {Object} plan - Plan ({ id, name })
+   * @returns {Promise<Object>} Saved plan
+   */
+  async savePlan(userId, plan) {
+    const client = this.getClient();
+    const { data, error, status } = await client
+      .from('plans')
+      .upsert({
+        id: plan.id,
+        user_id: userId,
+        name: plan.name,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'id' })
+      .select()
+      .single();
+
+    if (error) throw this.withStatus(error, status);
+    return data;
+  }
+
+  /**
+   * Delete a plan with its progress and history
+   * @param {string} planId - Plan ID
+   * @returns {Promise<void>}
+   */
+  async deletePlan(planId) {
+    const client = this.getClient();
+    const { error, status } = await client
+      .from('plans')
+      .delete()
+      .eq('id', planId);
+
+    if (error) throw this.withStatus(error, status);
+  }
+
+  /**
+   * Get the progress of one of a user's plans
+   * @param {string} userId - User ID
+   * @param {string} planId - Plan ID
    * @returns {Promise<Object|null>} Progress data
    */
-  async getUserProgress(userId) {
+  async getUserProgress(userId, planId) {
     const client = this.getClient();
-    const { data, error } = await client
+    const { data, error, status } = await client
       .from('user_progress')
       .select('*')
       .eq('user_id', userId)
+      .eq('plan_id', planId)
       .single();
 
     if (error && error.code !== 'PGRST116') { // PGRST116 = no rows returned
-      throw error;
+      throw this.withStatus(error, status);
     }
     return data;
   }
 
   /**
-   * Save user progress
+   * Save user progress. The write only succeeds if the row is still at the
+   * version the data is based on, so another tab or device is never
+   * overwritten; the save_progress_history trigger bumps the version.
    * @param {string} userId - User ID
+   * @param {string} planId - Plan ID
    * @param {Object} progressData - Progress data
+   * @param {number|null} expectedVersion - Version of the row the data is
+   *   based on, or null to create the row
    * @returns {Promise<Object>} Saved progress
+   * @throws {Error} With code VERSION_CONFLICT if the row has changed, or
+   *   already exists when creating it
    */
-  async saveUserProgress(userId, progressData) {
+  async saveUserProgress(userId, planId, progressData, expectedVersion = null) {
     const client = this.getClient();
-    
-    // Use upsert with explicit conflict resolution on user_id
-    const { data, error } = await client
+    const row = {
+      user_id: userId,
+      plan_id: planId,
+      ...progressData,
+      updated_at: new Date().toISOString()
+    };
+
+    if (expectedVersion === null) {
+      const { data, error, status } = await client
+        .from('user_progress')
+        .insert(row)
+        .select()
+        .single();
+
+      if (error?.code === '23505') { // unique_violation: created elsewhere first
+        throw this.createVersionConflict();
+      }
+      if (error) throw this.withStatus(error, status);
+      return data;
+    }
+
+    const { data, error, status } = await client
       .from('user_progress')
-      .upsert({
-        user_id: userId,
-        ...progressData,
-        updated_at: new Date().toISOString()
-      }, {
-        onConflict: 'user_id'
-      })
+      .update(row)
+      .eq('plan_id', planId)
+      .eq('version', expectedVersion)
       .select()
-      .single();
+      .maybeSingle();
 
-    if (error) throw error;
+    if (error) throw this.withStatus(error, status);
+    if (!data) {
+      throw this.createVersionConflict();
+    }
     return data;
   }
 
   /**
-   * Get progress history
+   * Create the error thrown when progress changed since it was read
+   * @returns {Error} Error with code VERSION_CONFLICT
+   */
+  createVersionConflict() {
+    const error = new Error('Progress was changed elsewhere since it was last read');
+    error.code = VERSION_CONFLICT;
+    return error;
+  }
+
+  /**
+   * Keep the HTTP status of a failed request on its error
+   * @param {Object} error - Error returned by Supabase
+   * @param {number} status - HTTP status (0 if the request never completed)
+   * @returns {Object} The error
+   */
+  withStatus(error, status) {
+    if (error && typeof error === 'object' && error.status === undefined) {
+      error.status = status;
+    }
+    return error;
+  }
+
+  /**
+   * Work out what kind of failure an error from a request is
+   * @param {Object} error - Error thrown by a request
+   * @returns {string} One of ERROR_TYPES
+   */
+  classifyError(error) {
+    const message = error?.message || '';
+    const code = error?.code || '';
+    const status = error?.status;
+
+    if (code === VERSION_CONFLICT) {
+      return ERROR_TYPES.CONFLICT;
+    }
+    // 42501 = insufficient_privilege, raised by row level security policies
+    if (code === '42501' || status === 403 || /row-level security/i.test(message)) {
+      return ERROR_TYPES.PERMISSION;
+    }
+    // PGRST301/PGRST302 = missing, invalid or expired JWT
+    if (code === 'PGRST301' || code === 'PGRST302' || status === 401 || /jwt|refresh token/i.test(message)) {
+      return ERROR_TYPES.AUTH;
+    }
+    if (status >= 500 || /^PGRST00/.test(code)) {
+      return ERROR_TYPES.SERVER;
+    }
+    if (status === 0 || error instanceof TypeError || /failed to fetch|network|load failed|timed? ?out/i.test(message)) {
+      return ERROR_TYPES.NETWORK;
+    }
+    return ERROR_TYPES.UNKNOWN;
+  }
+
+  /**
+   * Subscribe to inserts and updates of a user's progress rows (one per plan)
+   * @param {string} userId - User ID
+   * @param {Function} callback - Receives the new row
+   * @param {Function} onStatus - Receives the channel status
+   *   ('SUBSCRIBED', 'CHANNEL_ERROR', 'TIMED_OUT' or 'CLOSED')
+   * @returns {Object} Channel, to pass to unsubscribe()
+   */
+  subscribeToUserProgress(userId, callback, onStatus = () => {}) {
+    const client = this.getClient();
+    return client
+      .channel(`user_progress:${userId}`)
+      .on('postgres_changes', {
+        event: '*',
+        schema: 'public',
+        table: 'user_progress',
+        filter: `user_id=eq.${userId}`
+      }, (payload) => {
+        if (payload.eventType !== 'DELETE') {
+          callback(payload.new);
+        }
+      })
+      .subscribe((status) => onStatus(status));
+  }
+
+  /**
+   * Close a Realtime channel
+   * @param {Object} channel - Channel from a subscribe method
+   * @returns {Promise<void>}
+   */
+  async unsubscribe(channel) {
+    const client = this.getClient();
+    await client.removeChannel(channel);
+  }
+
+  /**
+   * Get the progress history of one of a user's plans
    * @param {string} userId - User ID
+   * @param {string} planId - Plan ID
    * @param {number} limit - Number of history entries to fetch
    * @returns {Promise<Array>} Progress history
    */
-  async getProgressHistory(userId, limit = 10) {
+  async getProgressHistory(userId, planId, limit = 10) {
     const client = this.getClient();
     const { data, error } = await client
       .from('progress_history')
       .select('*')
       .eq('user_id', userId)
+      .eq('plan_id', planId)
       .order('created_at', { ascending: false })
       .limit(limit);
 
@@ -7,6 +7,7 @@ import dataManager from './data-manager.js';
 import stateManager from './state-manager.js';
 import { UIComponents, DOM } from './ui-components.js';
 import { ModalManager } from './modal.js';
+import i18n, { t } from './i18n.js';
 
 /**
  * Main Application Class
@@ -27,8 +28,10 @@ class BusinessGuideApp {
     try {
       console.log('Initializing Business Guide App...');
       
-      // Load data first
-      await dataManager.loadData();
+      // Load translations and data first
+      await i18n.initialize(stateManager.getLanguage());
+      await dataManager.loadData(i18n.getLocale());
+      await stateManager.initialize();
       
       // Initialize UI components
       this.uiComponents = new UIComponents();
@@ -41,6 +44,7 @@ class BusinessGuideApp {
       this.setupEventListeners();
       
       // Initialize UI with current state
+      i18n.applyTranslations(document);
       this.uiComponents.initializeUI();
       
       this.initialized = true;
@@ -48,7 +52,7 @@ class BusinessGuideApp {
       
     } catch (error) {
       console.error('Failed to initialize application:', error);
-      this.showErrorMessage('Failed to load application data. Please refresh the page.');
+      this.showErrorMessage(t('notifications.loadDataError'));
     }
   }
 
@@ -61,13 +65,13 @@ class BusinessGuideApp {
     // Province selection
     elements.provinceEl.addEventListener('change', (event) => {
       stateManager.setProvince(event.target.value);
-      this.updateStateInfo('Saved');
+      this.updateStateInfo('status.saved');
     });
 
     // Industry selection
     elements.industryEl.addEventListener('change', (event) => {
       stateManager.setIndustry(event.target.value);
-      this.updateStateInfo('Saved');
+      this.updateStateInfo('status.saved');
     });
 
     // Hiring segment control
@@ -77,7 +81,7 @@ class BusinessGuideApp {
       const value = event.target.dataset.value;
       stateManager.setHiring(value);
       this.uiComponents.setSegmentValue(elements.hireSeg, value);
-      this.updateStateInfo('Saved');
+      this.updateStateInfo('status.saved');
     });
 
     // Revenue segment control  
@@ -87,7 +91,7 @@ class BusinessGuideApp {
       const value = event.target.dataset.value;
       stateManager.setRevenue(value);
       this.uiComponents.setSegmentValue(elements.revSeg, value);
-      this.updateStateInfo('Saved');
+      this.updateStateInfo('status.saved');
     });
 
     // Generate guide button
@@ -109,7 +113,7 @@ class BusinessGuideApp {
     
     // Validate required fields
     if (!state.province) {
-      alert('Please choose a province/territory.');
+      alert(t('notifications.chooseProvince'));
       return;
     }
 
@@ -129,7 +133,7 @@ class BusinessGuideApp {
       
     } catch (error) {
       console.error('Error generating guide:', error);
-      this.showErrorMessage('Error generating guide. Please try again.');
+      this.showErrorMessage(t('notifications.generateError'));
     }
   }
 
@@ -139,7 +143,7 @@ class BusinessGuideApp {
   resetApplication() {
     try {
       // Confirm with user
-      const confirmed = confirm('This will clear all your progress. Are you sure?');
+      const confirmed = confirm(t('notifications.confirmReset'));
       if (!confirmed) return;
 
       // Reset state
@@ -155,22 +159,22 @@ class BusinessGuideApp {
       // Clear guide content
       this.uiComponents.clearGuide();
       
-      this.updateStateInfo('Unsaved');
+      this.updateStateInfo('status.unsaved');
       
     } catch (error) {
       console.error('Error resetting application:', error);
-      this.showErrorMessage('Error resetting application.');
+      this.showErrorMessage(t('notifications.resetError'));
     }
   }
 
   /**
    * Update the state info indicator
-   * @param {string} status - Status text to display
+   * @param {string} status - Message key of the status to display
    */
   updateStateInfo(status) {
     const stateInfoEl = this.uiComponents.elements.stateInfoEl;
     if (stateInfoEl) {
-      stateInfoEl.textContent = status;
+      this.uiComponents.setTranslatedText(stateInfoEl, status);
     }
   }
 
@@ -4,6 +4,7 @@
  */
 
 import supabaseClient from '../lib/supabase.js';
+import { t } from './i18n.js';
 
 export class AuthManager {
   constructor() {
@@ -154,14 +155,14 @@ export class AuthManager {
         user: result.data?.user,
         needsEmailConfirmation: !result.data?.session,
         message: result.data?.session 
-          ? 'Account created successfully!'
-          : 'Please check your email to confirm your account.'
+          ? t('auth.accountCreated')
+          : t('auth.confirmEmail')
       };
     } catch (error) {
       console.error('Sign up error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to create account'
+        error: error.message || t('auth.errors.createAccountFailed')
       };
     }
   }
@@ -183,7 +184,7 @@ export class AuthManager {
       return {
         success: true,
         user: result.data?.user,
-        message: 'Signed in successfully!'
+        message: t('auth.signedIn')
       };
     } catch (error) {
       console.error('Sign in error:', error);
@@ -209,13 +210,13 @@ export class AuthManager {
 
       return {
         success: true,
-        message: 'Magic link sent! Check your email to sign in.'
+        message: t('auth.magicLinkSent')
       };
     } catch (error) {
       console.error('Magic link error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to send magic link'
+        error: error.message || t('auth.errors.magicLinkFailed')
       };
     }
   }
@@ -234,17 +235,36 @@ export class AuthManager {
 
       return {
         success: true,
-        message: 'Signed out successfully!'
+        message: t('auth.signedOut')
       };
     } catch (error) {
       console.error('Sign out error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to sign out'
+        error: error.message || t('auth.errors.signOutFailed')
       };
     }
   }
 
+  /**
+   * Get a new access token after the current one expired
+   * @returns {Promise<boolean>} Whether the session is usable again
+   */
+  async refreshSession() {
+    try {
+      const result = await supabaseClient.refreshSession();
+
+      if (result.error) {
+        throw result.error;
+      }
+
+      return !!result.data?.session;
+    } catch (error) {
+      console.error('Session refresh error:', error);
+      return false;
+    }
+  }
+
   /**
    * Reset password
    * @param {string} email - User email
@@ -260,13 +280,13 @@ export class AuthManager {
 
       return {
         success: true,
-        message: 'Password reset email sent! Check your inbox.'
+        message: t('auth.resetEmailSent')
       };
     } catch (error) {
       console.error('Password reset error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to send reset email'
+        error: error.message || t('auth.errors.resetFailed')
       };
     }
   }
@@ -280,7 +300,7 @@ export class AuthManager {
     if (!this.isAuthenticated || !this.currentUser) {
       return {
         success: false,
-        error: 'User not authenticated'
+        error: t('auth.notAuthenticated')
       };
     }
 
@@ -290,13 +310,55 @@ export class AuthManager {
       return {
         success: true,
         profile: result,
-        message: 'Profile updated successfully!'
+        message: t('auth.profileUpdated')
       };
     } catch (error) {
       console.error('Profile update error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to update profile'
+        error: error.message ? this.getAuthErrorMessage(error) : t('auth.errors.profileUpdateFailed')
+      };
+    }
+  }
+
+  /**
+   * Change the sign-in email and/or password. A new email takes effect once
+   * the user follows the confirmation link sent to it.
+   * @param {Object} updates - { email, password }; omit what is unchanged
+   * @returns {Promise<Object>} Update result
+   */
+  async updateAccount(updates) {
+    if (!this.isAuthenticated || !this.currentUser) {
+      return {
+        success: false,
+        error: t('auth.notAuthenticated')
+      };
+    }
+
+    const previousEmail = this.currentUser.email;
+
+    try {
+      const result = await supabaseClient.updateProfile(updates);
+
+      if (result.error) {
+        throw result.error;
+      }
+
+      if (result.data?.user) {
+        this.currentUser = result.data.user;
+      }
+
+      const needsEmailConfirmation = Boolean(updates.email) && updates.email !== previousEmail;
+      return {
+        success: true,
+        needsEmailConfirmation,
+        message: needsEmailConfirmation ? t('auth.emailChangeSent') : t('auth.accountUpdated')
+      };
+    } catch (error) {
+      console.error('Account update error:', error);
+      return {
+        success: false,
+        error: error.message ? this.getAuthErrorMessage(error) : t('auth.errors.accountUpdateFailed')
       };
     }
   }
@@ -326,7 +388,7 @@ export class AuthManager {
     if (!this.isAuthenticated || !this.currentUser) {
       return {
         success: false,
-        error: 'User not authenticated'
+        error: t('auth.notAuthenticated')
       };
     }
 
@@ -338,13 +400,13 @@ export class AuthManager {
 
       return {
         success: true,
-        message: 'Account deleted successfully'
+        message: t('auth.accountDeleted')
       };
     } catch (error) {
       console.error('Account deletion error:', error);
       return {
         success: false,
-        error: error.message || 'Failed to delete account'
+        error: error.message || t('auth.errors.deleteFailed')
       };
     }
   }
@@ -410,19 +472,28 @@ export class AuthManager {
     
     // Map common Supabase auth errors to user-friendly messages
     if (message.includes('Invalid login credentials')) {
-      return 'Invalid email or password. Please try again.';
+      return t('auth.errors.invalidCredentials');
     }
     if (message.includes('Email not confirmed')) {
-      return 'Please check your email and click the confirmation link.';
+      return t('auth.errors.emailNotConfirmed');
     }
     if (message.includes('User already registered')) {
-      return 'An account with this email already exists. Try signing in instead.';
+      return t('auth.errors.alreadyRegistered');
     }
     if (message.includes('Password should be at least')) {
-      return 'Password must be at least 6 characters long.';
+      return t('auth.errors.passwordTooShort');
     }
     if (message.includes('Unable to validate email address')) {
-      return 'Please enter a valid email address.';
+      return t('auth.errors.invalidEmail');
+    }
+    if (message.includes('should be different from the old password')) {
+      return t('auth.errors.samePassword');
+    }
+    if (message.includes('already been registered')) {
+      return t('auth.errors.emailTaken');
+    }
+    if (message.includes('rate limit')) {
+      return t('auth.errors.rateLimited');
     }
     
     return message;
@@ -4,13 +4,26 @@
  */
 
 import authManager from './auth-manager.js';
+import syncManager, { CONFLICT_STRATEGIES } from './sync-manager.js';
+import calendarExport from './calendar-export.js';
+import planExport from './plan-export.js';
+import progressImport from './progress-import.js';
+import progressHistory from './progress-history.js';
+import dataManager from './data-manager.js';
+import i18n, { t, SUPPORTED_LOCALES } from './i18n.js';
 import { DOM } from './ui-components.js';
 
+const DISPLAY_NAME_MAX_LENGTH = 60;
+const PASSWORD_MIN_LENGTH = 6;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
 export class AuthUI {
   constructor() {
     this.isInitialized = false;
     this.authModal = null;
+    this.profileModal = null;
     this.userMenu = null;
+    this.profile = null;
     this.currentAuthMode = 'login'; // 'login', 'register', 'reset'
   }
 
@@ -24,12 +37,16 @@ export class AuthUI {
       // Create auth modal
       this.createAuthModal();
       
+      // Create profile settings modal
+      this.createProfileModal();
+
       // Create user menu
       this.createUserMenu();
       
       // Listen to auth state changes
       authManager.addAuthStateListener((authState) => {
         this.updateUIForAuthState(authState);
+        this.loadProfile();
       });
 
       // Initial UI update
@@ -37,6 +54,7 @@ export class AuthUI {
         isAuthenticated: authManager.isUserAuthenticated(),
         user: authManager.getCurrentUser()
       });
+      this.loadProfile();
 
       this.isInitialized = true;
       console.log('Auth UI initialized');
@@ -55,8 +73,8 @@ export class AuthUI {
         <div class="auth-modal-overlay" id="authModalOverlay"></div>
         <div class="auth-modal-content">
           <div class="auth-modal-header">
-            <h3 id="authModalTitle">Sign In</h3>
-            <button class="auth-modal-close" id="authModalClose" aria-label="Close">×</button>
+            <h3 id="authModalTitle" data-i18n="auth.signIn">Sign In</h3>
+            <button class="auth-modal-close" id="authModalClose" aria-label="Close" data-i18n-aria-label="auth.close">×</button>
           </div>
           <div class="auth-modal-body">
             <div id="authError" class="auth-error" style="display: none;"></div>
@@ -65,49 +83,49 @@ export class AuthUI {
             <!-- Login Form -->
             <form id="loginForm" class="auth-form">
               <div class="auth-field">
-                <label for="loginEmail">Email</label>
+                <label for="loginEmail" data-i18n="auth.email">Email</label>
                 <input type="email" id="loginEmail" required autocomplete="email">
               </div>
               <div class="auth-field">
-                <label for="loginPassword">Password</label>
+                <label for="loginPassword" data-i18n="auth.password">Password</label>
                 <input type="password" id="loginPassword" required autocomplete="current-password">
               </div>
-              <button type="submit" class="auth-btn auth-btn-primary">Sign In</button>
-              <button type="button" id="magicLinkBtn" class="auth-btn auth-btn-secondary">Send Magic Link</button>
+              <button type="submit" class="auth-btn auth-btn-primary" data-i18n="auth.signIn">Sign In</button>
+              <button type="button" id="magicLinkBtn" class="auth-btn auth-btn-secondary" data-i18n="auth.sendMagicLink">Send Magic Link</button>
             </form>
 
             <!-- Register Form -->
             <form id="registerForm" class="auth-form" style="display: none;">
               <div class="auth-field">
-                <label for="registerEmail">Email</label>
+                <label for="registerEmail" data-i18n="auth.email">Email</label>
                 <input type="email" id="registerEmail" required autocomplete="email">
               </div>
               <div class="auth-field">
-                <label for="registerPassword">Password</label>
+                <label for="registerPassword" data-i18n="auth.password">Password</label>
                 <input type="password" id="registerPassword" required autocomplete="new-password" minlength="6">
               </div>
               <div class="auth-field">
-                <label for="registerDisplayName">Display Name (optional)</label>
+                <label for="registerDisplayName" data-i18n="auth.displayNameOptional">Display Name (optional)</label>
                 <input type="text" id="registerDisplayName" autocomplete="name">
               </div>
-              <button type="submit" class="auth-btn auth-btn-primary">Create Account</button>
+              <button type="submit" class="auth-btn auth-btn-primary" data-i18n="auth.createAccount">Create Account</button>
             </form>
 
             <!-- Reset Password Form -->
             <form id="resetForm" class="auth-form" style="display: none;">
               <div class="auth-field">
-                <label for="resetEmail">Email</label>
+                <label for="resetEmail" data-i18n="auth.email">Email</label>
                 <input type="email" id="resetEmail" required autocomplete="email">
               </div>
-              <button type="submit" class="auth-btn auth-btn-primary">Send Reset Link</button>
+              <button type="submit" class="auth-btn auth-btn-primary" data-i18n="auth.sendResetLink">Send Reset Link</button>
             </form>
 
             <!-- Form Toggle Links -->
             <div class="auth-toggle">
-              <button type="button" id="showRegister" class="auth-link">Create an account</button>
-              <button type="button" id="showLogin" class="auth-link" style="display: none;">Already have an account?</button>
-              <button type="button" id="showReset" class="auth-link">Forgot password?</button>
-              <button type="button" id="backToLogin" class="auth-link" style="display: none;">Back to sign in</button>
+              <button type="button" id="showRegister" class="auth-link" data-i18n="auth.showRegister">Create an account</button>
+              <button type="button" id="showLogin" class="auth-link" style="display: none;" data-i18n="auth.showLogin">Already have an account?</button>
+              <button type="button" id="showReset" class="auth-link" data-i18n="auth.showReset">Forgot password?</button>
+              <button type="button" id="backToLogin" class="auth-link" style="display: none;" data-i18n="auth.backToLogin">Back to sign in</button>
             </div>
           </div>
         </div>
@@ -117,6 +135,7 @@ export class AuthUI {
     // Add modal to page
     document.body.insertAdjacentHTML('beforeend', modalHTML);
     this.authModal = DOM.$('#authModal');
+    i18n.applyTranslations(this.authModal);
 
     // Set up event listeners
     this.setupAuthModalEvents();
@@ -154,6 +173,98 @@ export class AuthUI {
     });
   }
 
+  /**
+   * Create profile settings modal
+   */
+  createProfileModal() {
+    const languageOptions = SUPPORTED_LOCALES
+      .map(locale => `<option value="${locale.code}" lang="${locale.code}">${locale.label}</option>`)
+      .join('');
+    const conflictOptions = CONFLICT_STRATEGIES
+      .map(strategy => `<option value="${strategy}" data-i18n="profile.conflictStrategies.${strategy}"></option>`)
+      .join('');
+
+    const modalHTML = `
+      <div class="auth-modal" id="profileModal">
+        <div class="auth-modal-overlay" id="profileModalOverlay"></div>
+        <div class="auth-modal-content">
+          <div class="auth-modal-header">
+            <h3 data-i18n="profile.title">Profile Settings</h3>
+            <button class="auth-modal-close" id="profileModalClose" aria-label="Close" data-i18n-aria-label="auth.close">×</button>
+          </div>
+          <div class="auth-modal-body">
+            <div id="profileError" class="auth-error" style="display: none;"></div>
+            <div id="profileSuccess" class="auth-success" style="display: none;"></div>
+
+            <form id="profileForm" class="auth-form" novalidate>
+              <div class="profile-avatar-row">
+                <img id="profileAvatarPreview" class="profile-avatar" alt="" style="display: none;">
+                <div class="auth-field" data-profile-field="displayName">
+                  <label for="profileDisplayName" data-i18n="profile.displayName">Display Name</label>
+                  <input type="text" id="profileDisplayName" autocomplete="name" maxlength="${DISPLAY_NAME_MAX_LENGTH}">
+                  <div class="auth-field-error"></div>
+                </div>
+              </div>
+              <div class="auth-field" data-profile-field="avatarUrl">
+                <label for="profileAvatarUrl" data-i18n="profile.avatarUrl">Avatar URL</label>
+                <input type="url" id="profileAvatarUrl" autocomplete="photo" placeholder="https://">
+                <div class="auth-field-error"></div>
+              </div>
+              <div class="auth-field">
+                <label for="profileLanguage" data-i18n="profile.preferredLanguage">Preferred language</label>
+                <select id="profileLanguage">${languageOptions}</select>
+              </div>
+              <div class="auth-field">
+                <label for="profileProvince" data-i18n="profile.defaultProvince">Default province or territory</label>
+                <select id="profileProvince"></select>
+              </div>
+
+              <h4 class="profile-section-title" data-i18n="profile.syncSection">Sync</h4>
+              <div class="auth-field">
+                <label for="profileConflictResolution" data-i18n="profile.conflictResolution">When this device and the cloud disagree</label>
+                <select id="profileConflictResolution">${conflictOptions}</select>
+              </div>
+
+              <h4 class="profile-section-title" data-i18n="profile.signInDetails">Sign-in details</h4>
+              <div class="auth-field" data-profile-field="email">
+                <label for="profileEmail" data-i18n="auth.email">Email</label>
+                <input type="email" id="profileEmail" required autocomplete="email">
+                <div class="auth-field-error"></div>
+              </div>
+              <div class="auth-field" data-profile-field="password">
+                <label for="profilePassword" data-i18n="profile.newPassword">New password</label>
+                <input type="password" id="profilePassword" autocomplete="new-password" minlength="${PASSWORD_MIN_LENGTH}"
+                       data-i18n-placeholder="profile.passwordPlaceholder">
+                <div class="auth-field-error"></div>
+              </div>
+              <div class="auth-field" data-profile-field="confirmPassword">
+                <label for="profileConfirmPassword" data-i18n="profile.confirmPassword">Confirm new password</label>
+                <input type="password" id="profileConfirmPassword" autocomplete="new-password">
+                <div class="auth-field-error"></div>
+              </div>
+              <button type="submit" class="auth-btn auth-btn-primary" data-i18n="profile.save">Save Changes</button>
+            </form>
+          </div>
+        </div>
+      </div>
+    `;
+
+    document.body.insertAdjacentHTML('beforeend', modalHTML);
+    this.profileModal = DOM.$('#profileModal');
+    i18n.applyTranslations(this.profileModal);
+
+    DOM.$('#profileModalClose').addEventListener('click', () => this.closeProfileModal());
+    DOM.$('#profileModalOverlay').addEventListener('click', () => this.closeProfileModal());
+    DOM.$('#profileForm').addEventListener('submit', (e) => this.handleProfileSave(e));
+    DOM.$('#profileAvatarUrl').addEventListener('input', (e) => this.updateAvatarPreview(e.target.value.trim()));
+
+    this.profileModal.addEventListener('keydown', (e) => {
+      if (e.key === 'Escape') {
+        this.closeProfileModal();
+      }
+    });
+  }
+
   /**
    * Create user menu in header
    */
@@ -166,14 +277,15 @@ export class AuthUI {
       <div class="user-menu" id="userMenu">
         <!-- Not authenticated state -->
         <div id="notAuthenticatedMenu" class="auth-state-menu">
-          <button id="signInBtn" class="btn ghost">Sign In</button>
+          <button id="signInBtn" class="btn ghost" data-i18n="auth.signIn">Sign In</button>
         </div>
         
         <!-- Authenticated state -->
         <div id="authenticatedMenu" class="auth-state-menu" style="display: none;">
           <div class="user-dropdown">
             <button id="userMenuToggle" class="user-menu-toggle">
-              <span id="userDisplayName">User</span>
+              <img id="userAvatar" class="user-avatar" alt="" style="display: none;">
+              <span id="userDisplayName">${t('userMenu.user')}</span>
               <svg width="16" height="16" viewBox="0 0 24 24" fill="none">
                 <path d="M7 10l5 5 5-5" stroke="currentColor" stroke-width="2" stroke-linecap="round" stroke-linejoin="round"/>
               </svg>
@@ -181,14 +293,18 @@ export class AuthUI {
             <div id="userDropdown" class="user-dropdown-menu">
               <div class="user-info">
                 <div id="userEmail" class="user-email"></div>
-                <div id="syncStatus" class="sync-status">Synced</div>
+                <div id="syncStatus" class="sync-status">${t('sync.synced')}</div>
+                <div id="lastSyncTime" class="sync-time"></div>
               </div>
               <hr>
-              <button id="profileBtn" class="dropdown-item">Profile Settings</button>
-              <button id="exportDataBtn" class="dropdown-item">Export Data</button>
-              <button id="syncNowBtn" class="dropdown-item">Sync Now</button>
+              <button id="profileBtn" class="dropdown-item" data-i18n="userMenu.profileSettings">Profile Settings</button>
+              <button id="exportDataBtn" class="dropdown-item" data-i18n="userMenu.exportData">Export Data</button>
+              <button id="importDataBtn" class="dropdown-item" data-i18n="userMenu.importData">Import Data</button>
+              <button id="historyBtn" class="dropdown-item" data-i18n="userMenu.history">Progress History</button>
+              <button id="exportCalendarBtn" class="dropdown-item" data-i18n="userMenu.exportCalendar">Export Calendar (.ics)</button>
+              <button id="syncNowBtn" class="dropdown-item" data-i18n="userMenu.syncNow">Sync Now</button>
               <hr>
-              <button id="signOutBtn" class="dropdown-item danger">Sign Out</button>
+              <button id="signOutBtn" class="dropdown-item danger" data-i18n="userMenu.signOut">Sign Out</button>
             </div>
           </div>
         </div>
@@ -197,6 +313,7 @@ export class AuthUI {
 
     header.insertAdjacentHTML('beforeend', userMenuHTML);
     this.userMenu = DOM.$('#userMenu');
+    i18n.applyTranslations(this.userMenu);
 
     // Set up user menu events
     this.setupUserMenuEvents();
@@ -215,6 +332,9 @@ export class AuthUI {
     // Dropdown items
     DOM.$('#profileBtn')?.addEventListener('click', () => this.showProfileSettings());
     DOM.$('#exportDataBtn')?.addEventListener('click', () => this.exportUserData());
+    DOM.$('#importDataBtn')?.addEventListener('click', () => this.importUserData());
+    DOM.$('#historyBtn')?.addEventListener('click', () => this.showHistory());
+    DOM.$('#exportCalendarBtn')?.addEventListener('click', () => this.exportCalendar());
     DOM.$('#syncNowBtn')?.addEventListener('click', () => this.syncNow());
     DOM.$('#signOutBtn')?.addEventListener('click', () => this.handleSignOut());
 
@@ -271,20 +391,20 @@ export class AuthUI {
     // Show appropriate form and buttons
     switch (mode) {
       case 'login':
-        DOM.$('#authModalTitle').textContent = 'Sign In';
+        DOM.$('#authModalTitle').textContent = t('auth.signIn');
         DOM.$('#loginForm').style.display = 'block';
         DOM.$('#showRegister').style.display = 'inline-block';
         DOM.$('#showReset').style.display = 'inline-block';
         break;
       
       case 'register':
-        DOM.$('#authModalTitle').textContent = 'Create Account';
+        DOM.$('#authModalTitle').textContent = t('auth.createAccount');
         DOM.$('#registerForm').style.display = 'block';
         DOM.$('#showLogin').style.display = 'inline-block';
         break;
       
       case 'reset':
-        DOM.$('#authModalTitle').textContent = 'Reset Password';
+        DOM.$('#authModalTitle').textContent = t('auth.resetPassword');
         DOM.$('#resetForm').style.display = 'block';
         DOM.$('#backToLogin').style.display = 'inline-block';
         break;
@@ -304,7 +424,7 @@ export class AuthUI {
     const password = DOM.$('#loginPassword').value;
     
     if (!email || !password) {
-      this.showAuthError('Please fill in all fields');
+      this.showAuthError(t('auth.fillAllFields'));
       return;
     }
 
@@ -334,12 +454,12 @@ export class AuthUI {
     const displayName = DOM.$('#registerDisplayName').value.trim();
     
     if (!email || !password) {
-      this.showAuthError('Please fill in all required fields');
+      this.showAuthError(t('auth.fillRequiredFields'));
       return;
     }
 
     if (password.length < 6) {
-      this.showAuthError('Password must be at least 6 characters long');
+      this.showAuthError(t('auth.passwordTooShort'));
       return;
     }
 
@@ -373,7 +493,7 @@ export class AuthUI {
     const email = DOM.$('#resetEmail').value.trim();
     
     if (!email) {
-      this.showAuthError('Please enter your email address');
+      this.showAuthError(t('auth.enterEmail'));
       return;
     }
 
@@ -398,7 +518,7 @@ export class AuthUI {
     const email = DOM.$('#loginEmail').value.trim();
     
     if (!email) {
-      this.showAuthError('Please enter your email address first');
+      this.showAuthError(t('auth.enterEmailFirst'));
       return;
     }
 
@@ -444,11 +564,20 @@ export class AuthUI {
       notAuthMenu.style.display = 'none';
       authMenu.style.display = 'block';
       
-      // Update user info
-      const displayName = authState.user.user_metadata?.display_name || 
-                         authState.user.email?.split('@')[0] || 'User';
+      // Update user info, preferring the saved profile
+      const displayName = this.profile?.display_name || 
+                         authState.user.user_metadata?.display_name || 
+                         authState.user.email?.split('@')[0] || t('userMenu.user');
       DOM.$('#userDisplayName').textContent = displayName;
       DOM.$('#userEmail').textContent = authState.user.email;
+
+      const avatarEl = DOM.$('#userAvatar');
+      if (this.profile?.avatar_url) {
+        avatarEl.src = this.profile.avatar_url;
+        avatarEl.style.display = 'block';
+      } else {
+        avatarEl.style.display = 'none';
+      }
       
       // Update sync status
       this.updateSyncStatus('synced');
@@ -465,6 +594,10 @@ export class AuthUI {
   toggleUserDropdown() {
     const dropdown = DOM.$('#userDropdown');
     dropdown.classList.toggle('open');
+
+    if (dropdown.classList.contains('open')) {
+      this.updateLastSyncTime();
+    }
   }
 
   /**
@@ -476,35 +609,364 @@ export class AuthUI {
   }
 
   /**
-   * Show profile settings (placeholder)
+   * Load the signed-in user's profile and refresh the user menu with it
+   * @returns {Promise<void>}
+   */
+  async loadProfile() {
+    this.profile = authManager.isUserAuthenticated() ? await authManager.getUserProfile() : null;
+    this.updateUIForAuthState({
+      isAuthenticated: authManager.isUserAuthenticated(),
+      user: authManager.getCurrentUser()
+    });
+  }
+
+  /**
+   * Open the profile settings modal filled with the saved profile
+   * @returns {Promise<void>}
+   */
+  async showProfileSettings() {
+    this.closeUserDropdown();
+    this.clearProfileMessages();
+    this.showProfileFieldErrors({});
+    this.profileModal.classList.add('open');
+
+    this.setProfileLoading(true);
+    const profile = await authManager.getUserProfile();
+    this.setProfileLoading(false);
+
+    if (profile) {
+      this.profile = profile;
+    } else {
+      this.showProfileMessage('error', t('profile.loadFailed'));
+    }
+
+    this.fillProfileForm(profile || {});
+    setTimeout(() => DOM.$('#profileDisplayName')?.focus(), 100);
+  }
+
+  /**
+   * Close the profile settings modal
+   */
+  closeProfileModal() {
+    this.profileModal.classList.remove('open');
+    this.clearProfileMessages();
+    DOM.$('#profileForm').reset();
+  }
+
+  /**
+   * Fill the profile form
+   * @param {Object} profile - Profile row
+   */
+  fillProfileForm(profile) {
+    const user = authManager.getCurrentUser();
+    const provinceSelect = DOM.$('#profileProvince');
+
+    provinceSelect.innerHTML = `<option value="">${t('profile.noDefaultProvince')}</option>` +
+      dataManager.getProvinceCodes()
+        .map(code => `<option value="${code}">${dataManager.getProvincialResources(code).name}</option>`)
+        .join('');
+
+    DOM.$('#profileDisplayName').value = profile.display_name || user?.user_metadata?.display_name || '';
+    DOM.$('#profileAvatarUrl').value = profile.avatar_url || '';
+    DOM.$('#profileLanguage').value = i18n.resolveLocale(profile.preferred_language || i18n.getLocale());
+    provinceSelect.value = profile.default_province || '';
+    DOM.$('#profileConflictResolution').value = profile.sync_conflict_resolution || syncManager.conflictResolution;
+    DOM.$('#profileEmail').value = user?.email || '';
+    DOM.$('#profilePassword').value = '';
+    DOM.$('#profileConfirmPassword').value = '';
+
+    this.updateAvatarPreview(profile.avatar_url || '');
+  }
+
+  /**
+   * Read the profile form
+   * @returns {Object} Form values
+   */
+  getProfileFormValues() {
+    return {
+      displayName: DOM.$('#profileDisplayName').value.trim(),
+      avatarUrl: DOM.$('#profileAvatarUrl').value.trim(),
+      preferredLanguage: DOM.$('#profileLanguage').value,
+      defaultProvince: DOM.$('#profileProvince').value,
+      conflictResolution: DOM.$('#profileConflictResolution').value,
+      email: DOM.$('#profileEmail').value.trim(),
+      password: DOM.$('#profilePassword').value,
+      confirmPassword: DOM.$('#profileConfirmPassword').value
+    };
+  }
+
+  /**
+   * Validate the profile form
+   * @param {Object} values - Form values
+   * @returns {Object} Error messages keyed by field
+   */
+  validateProfileForm(values) {
+    const errors = {};
+
+    if (values.displayName.length > DISPLAY_NAME_MAX_LENGTH) {
+      errors.displayName = t('profile.errors.displayNameTooLong', { max: DISPLAY_NAME_MAX_LENGTH });
+    }
+    if (values.avatarUrl && !this.isHttpUrl(values.avatarUrl)) {
+      errors.avatarUrl = t('profile.errors.invalidAvatarUrl');
+    }
+    if (!EMAIL_PATTERN.test(values.email)) {
+      errors.email = t('auth.errors.invalidEmail');
+    }
+    if (values.password && values.password.length < PASSWORD_MIN_LENGTH) {
+      errors.password = t('auth.errors.passwordTooShort');
+    }
+    if (values.password !== values.confirmPassword) {
+      errors.confirmPassword = t('profile.errors.passwordMismatch');
+    }
+
+    return errors;
+  }
+
+  /**
+   * Handle profile form submission. Profile fields are saved to the profiles
+   * table; email and password changes go to the auth account.
+   * @param {Event} e - Form event
+   */
+  async handleProfileSave(e) {
+    e.preventDefault();
+    this.clearProfileMessages();
+
+    const values = this.getProfileFormValues();
+    const errors = this.validateProfileForm(values);
+    this.showProfileFieldErrors(errors);
+    if (Object.keys(errors).length > 0) return;
+
+    const profileUpdates = this.getProfileUpdates(values);
+    const accountUpdates = {};
+    if (values.email !== authManager.getCurrentUser()?.email) {
+      accountUpdates.email = values.email;
+    }
+    if (values.password) {
+      accountUpdates.password = values.password;
+    }
+
+    if (Object.keys(profileUpdates).length === 0 && Object.keys(accountUpdates).length === 0) {
+      this.showProfileMessage('success', t('profile.noChanges'));
+      return;
+    }
+
+    this.setProfileLoading(true);
+    const messages = [];
+
+    if (Object.keys(profileUpdates).length > 0) {
+      const result = await authManager.updateProfile(profileUpdates);
+      if (!result.success) {
+        this.showProfileMessage('error', result.error);
+        this.setProfileLoading(false);
+        return;
+      }
+
+      this.profile = result.profile;
+      messages.push(result.message);
+      this.handleProfileSaved(this.profile);
+    }
+
+    if (Object.keys(accountUpdates).length > 0) {
+      const result = await authManager.updateAccount(accountUpdates);
+      if (!result.success) {
+        this.showProfileMessage('error', result.error);
+        this.setProfileLoading(false);
+        return;
+      }
+
+      messages.push(result.message);
+      DOM.$('#profilePassword').value = '';
+      DOM.$('#profileConfirmPassword').value = '';
+    }
+
+    this.setProfileLoading(false);
+    this.showProfileMessage('success', messages.join(' '));
+    this.updateUIForAuthState({
+      isAuthenticated: authManager.isUserAuthenticated(),
+      user: authManager.getCurrentUser()
+    });
+  }
+
+  /**
+   * Get the profile columns that differ from the saved profile
+   * @param {Object} values - Form values
+   * @returns {Object} Profile updates
+   */
+  getProfileUpdates(values) {
+    const saved = this.profile || {};
+    const fields = {
+      display_name: values.displayName || null,
+      avatar_url: values.avatarUrl || null,
+      preferred_language: values.preferredLanguage,
+      default_province: values.defaultProvince || null,
+      sync_conflict_resolution: values.conflictResolution
+    };
+
+    return Object.fromEntries(
+      Object.entries(fields).filter(([column, value]) => value !== (saved[column] ?? null))
+    );
+  }
+
+  /**
+   * Called with the saved profile after it changes. The app replaces this to
+   * apply the new language and default province.
+   * @param {Object} profile - Saved profile
+   */
+  handleProfileSaved(profile) {
+    console.log('Profile saved:', profile?.id);
+  }
+
+  /**
+   * Show or hide the avatar preview
+   * @param {string} url - Avatar URL
+   */
+  updateAvatarPreview(url) {
+    const preview = DOM.$('#profileAvatarPreview');
+    if (url && this.isHttpUrl(url)) {
+      preview.src = url;
+      preview.style.display = 'block';
+    } else {
+      preview.removeAttribute('src');
+      preview.style.display = 'none';
+    }
+  }
+
+  /**
+   * Check for an absolute http(s) URL
+   * @param {string} value - URL
+   * @returns {boolean}
+   */
+  isHttpUrl(value) {
+    try {
+      return ['http:', 'https:'].includes(new URL(value).protocol);
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Show validation messages under the profile fields
+   * @param {Object} errors - Error messages keyed by field
+   */
+  showProfileFieldErrors(errors) {
+    DOM.$$('[data-profile-field]', this.profileModal).forEach(fieldEl => {
+      const message = errors[fieldEl.dataset.profileField] || '';
+      DOM.$('.auth-field-error', fieldEl).textContent = message;
+      fieldEl.classList.toggle('invalid', Boolean(message));
+    });
+  }
+
+  /**
+   * Show a profile success or error message
+   * @param {string} type - 'success' or 'error'
+   * @param {string} message - Message
+   */
+  showProfileMessage(type, message) {
+    const errorEl = DOM.$('#profileError');
+    const successEl = DOM.$('#profileSuccess');
+    const shownEl = type === 'error' ? errorEl : successEl;
+
+    errorEl.style.display = 'none';
+    successEl.style.display = 'none';
+    shownEl.textContent = message;
+    shownEl.style.display = 'block';
+  }
+
+  /**
+   * Clear profile messages
+   */
+  clearProfileMessages() {
+    DOM.$('#profileError').style.display = 'none';
+    DOM.$('#profileSuccess').style.display = 'none';
+  }
+
+  /**
+   * Set profile form loading state
+   * @param {boolean} loading - Loading state
+   */
+  setProfileLoading(loading) {
+    DOM.$$('.auth-btn', this.profileModal).forEach(btn => {
+      btn.disabled = loading;
+      btn.style.opacity = loading ? '0.6' : '1';
+    });
+  }
+
+  /**
+   * Open the plan export dialog
+   */
+  exportUserData() {
+    this.closeUserDropdown();
+    planExport.openDialog();
+  }
+
+  /**
+   * Open the progress import dialog
    */
-  showProfileSettings() {
+  importUserData() {
     this.closeUserDropdown();
-    // TODO: Implement profile settings modal
-    this.showNotification('Profile settings coming soon!', 'info');
+    progressImport.openDialog();
   }
 
   /**
-   * Export user data (placeholder)
+   * Open the progress history timeline
    */
-  async exportUserData() {
+  showHistory() {
     this.closeUserDropdown();
-    // TODO: Implement data export
-    this.showNotification('Data export coming soon!', 'info');
+    progressHistory.openDialog();
   }
 
   /**
-   * Sync now (placeholder)
+   * Download step due dates and filing deadlines as an .ics file
+   */
+  exportCalendar() {
+    this.closeUserDropdown();
+
+    const result = calendarExport.exportCalendar();
+    if (result.success) {
+      this.showNotification(t('calendar.exported', { count: result.count }), 'success');
+    } else if (result.message) {
+      this.showNotification(result.message, 'info');
+    } else {
+      this.showNotification(result.error, 'error');
+    }
+  }
+
+  /**
+   * Run a two-way sync and report how it went
+   * @returns {Promise<void>}
    */
   async syncNow() {
     this.closeUserDropdown();
-    this.updateSyncStatus('syncing');
-    
-    // TODO: Implement manual sync
-    setTimeout(() => {
-      this.updateSyncStatus('synced');
-      this.showNotification('Progress synced!', 'success');
-    }, 1000);
+
+    const syncButton = DOM.$('#syncNowBtn');
+    syncButton.disabled = true;
+
+    const result = await syncManager.forceSync();
+
+    syncButton.disabled = false;
+    this.updateSyncStatus(syncManager.getSyncStatus().syncStatus);
+
+    if (result.success) {
+      this.showNotification(result.message, 'success');
+    } else {
+      this.showNotification(result.error, 'error');
+    }
+  }
+
+  /**
+   * Re-translate the auth modal and user menu after a language change
+   */
+  applyTranslations() {
+    if (!this.isInitialized) return;
+
+    i18n.applyTranslations(this.authModal);
+    i18n.applyTranslations(this.profileModal);
+    i18n.applyTranslations(this.userMenu);
+    this.showAuthForm(this.currentAuthMode);
+    this.updateUIForAuthState({
+      isAuthenticated: authManager.isUserAuthenticated(),
+      user: authManager.getCurrentUser()
+    });
   }
 
   /**
@@ -516,15 +978,42 @@ export class AuthUI {
     if (!statusEl) return;
 
     const statusMap = {
-      synced: { text: 'Synced', class: 'sync-success' },
-      syncing: { text: 'Syncing...', class: 'sync-pending' },
-      error: { text: 'Sync Error', class: 'sync-error' },
-      offline: { text: 'Offline', class: 'sync-offline' }
+      synced: { text: t('sync.synced'), class: 'sync-success' },
+      syncing: { text: t('sync.syncing'), class: 'sync-pending' },
+      error: { text: t('sync.error'), class: 'sync-error' },
+      offline: { text: t('sync.offline'), class: 'sync-offline' },
+      paused: { text: t('sync.paused'), class: 'sync-paused' }
     };
 
     const statusInfo = statusMap[status] || statusMap.synced;
     statusEl.textContent = statusInfo.text;
     statusEl.className = `sync-status ${statusInfo.class}`;
+
+    this.updateLastSyncTime();
+  }
+
+  /**
+   * Show when progress last synced, why the last sync failed, or until when
+   * sync is paused after repeated failures
+   */
+  updateLastSyncTime() {
+    const timeEl = DOM.$('#lastSyncTime');
+    if (!timeEl) return;
+
+    const { lastSyncTime, lastSyncError, syncStatus, pausedUntil } = syncManager.getSyncStatus();
+    const lastSynced = lastSyncTime
+      ? t('sync.lastSynced', {
+        time: i18n.formatDate(lastSyncTime, { dateStyle: 'medium', timeStyle: 'short' })
+      })
+      : t('sync.neverSynced');
+
+    if (pausedUntil) {
+      timeEl.textContent = `${t('sync.pausedUntil', { time: i18n.formatDate(pausedUntil, { timeStyle: 'short' }) })} ${lastSynced}`;
+    } else if (syncStatus === 'error' && lastSyncError) {
+      timeEl.textContent = `${lastSyncError} ${lastSynced}`;
+    } else {
+      timeEl.textContent = lastSynced;
+    }
   }
 
   /**
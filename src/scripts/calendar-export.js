@@ -0,0 +1,216 @@
+/**
+ * Calendar Export Module
+ * Builds an iCalendar (.ics) file from step due dates and the filing
+ * deadlines that apply to the user's answers
+ */
+
+import dataManager from './data-manager.js';
+import enhancedStateManager from './enhanced-state-manager.js';
+import rulesEngine from './rules-engine.js';
+import deadlines from './deadlines.js';
+import { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+// Days before an event that reminders fire
+export const REMINDER_DAYS = [7, 1];
+
+const PRODUCT_ID = '-//Start a Business in Canada//Interactive Guide//EN';
+const UID_DOMAIN = 'start-a-business-in-canada';
+
+class CalendarExport {
+  /**
+   * Get the calendar events for the current state: one per scheduled step
+   * that is not yet complete and one per filing deadline
+   * @param {Object} state - Application state
+   * @returns {Array<Object>} Events ({ uid, date, summary, description, url })
+   */
+  getEvents(state = enhancedStateManager.getState()) {
+    const context = dataManager.getResourceContext(state);
+    const provincial = context.provincial;
+
+    const stepEvents = dataManager.getStepsForIndustry(state.industry)
+      .filter(step => state.dueDates[step.key] && !state.completed[step.key])
+      .map(step => ({
+        uid: `step-${step.key}`,
+        date: deadlines.parseDate(state.dueDates[step.key]),
+        summary: step.title,
+        description: t('calendar.stepDescription', { title: step.title }),
+        url: this.getStepUrl(step, context)
+      }))
+      .filter(event => event.date);
+
+    if (!provincial) {
+      return stepEvents;
+    }
+
+    const { deadlines: items } = deadlines.getDeadlines(state, {
+      gstRequired: enhancedStateManager.isGSTRequired(),
+      annualReturn: provincial.annualReturn
+    });
+
+    const deadlineEvents = items.map(deadline => {
+      const { title, detail } = deadlines.describe(deadline, provincial.name);
+      return {
+        uid: deadline.id,
+        date: deadline.date,
+        summary: title,
+        description: detail,
+        url: rulesEngine.resolve(deadline.resource, context)
+      };
+    });
+
+    return [...stepEvents, ...deadlineEvents].sort((a, b) => a.date - b.date);
+  }
+
+  /**
+   * Get the government resource a step links to first
+   * @param {Object} step - Step definition
+   * @param {Object} context - Resource context
+   * @returns {string|null} URL
+   */
+  getStepUrl(step, context) {
+    for (const panel of step.panels || []) {
+      for (const link of panel.links || []) {
+        const url = link.url || rulesEngine.resolve(link.resource, context);
+        if (url) return url;
+      }
+    }
+    return null;
+  }
+
+  /**
+   * Build an iCalendar document. Events are all-day and carry a display
+   * reminder for each of REMINDER_DAYS.
+   * @param {Array<Object>} events - Events from getEvents()
+   * @param {Date} now - Timestamp for DTSTAMP
+   * @returns {string} iCalendar text with CRLF line endings
+   */
+  buildCalendar(events, now = new Date()) {
+    const stamp = this.formatDateTime(now);
+    const lines = [
+      'BEGIN:VCALENDAR',
+      'VERSION:2.0',
+      `PRODID:${PRODUCT_ID}`,
+      'CALSCALE:GREGORIAN',
+      'METHOD:PUBLISH',
+      `X-WR-CALNAME:${this.escapeText(t('calendar.name'))}`
+    ];
+
+    events.forEach(event => {
+      lines.push(
+        'BEGIN:VEVENT',
+        `UID:${event.uid}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART;VALUE=DATE:${this.formatDate(event.date)}`,
+        `DTEND;VALUE=DATE:${this.formatDate(deadlines.addDays(event.date, 1))}`,
+        `SUMMARY:${this.escapeText(event.summary)}`,
+        'TRANSP:TRANSPARENT'
+      );
+
+      if (event.description) {
+        lines.push(`DESCRIPTION:${this.escapeText(event.url ? `${event.description}\n${event.url}` : event.description)}`);
+      }
+      if (event.url) {
+        lines.push(`URL:${event.url}`);
+      }
+
+      REMINDER_DAYS.forEach(days => {
+        lines.push(
+          'BEGIN:VALARM',
+          'ACTION:DISPLAY',
+          `TRIGGER:-P${days}D`,
+          `DESCRIPTION:${this.escapeText(t('calendar.reminder', { summary: event.summary }))}`,
+          'END:VALARM'
+        );
+      });
+
+      lines.push('END:VEVENT');
+    });
+
+    lines.push('END:VCALENDAR');
+    return lines.map(line => this.foldLine(line)).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the calendar for the current state and download it
+   * @returns {Object} { success, count, message, error }
+   */
+  exportCalendar() {
+    try {
+      const events = this.getEvents();
+      if (events.length === 0) {
+        return { success: false, count: 0, message: t('calendar.empty') };
+      }
+
+      DOM.download(this.buildCalendar(events), 'business-deadlines.ics', 'text/calendar;charset=utf-8');
+      return { success: true, count: events.length };
+    } catch (error) {
+      console.error('Error exporting calendar:', error);
+      return { success: false, count: 0, error: t('calendar.exportFailed') };
+    }
+  }
+
+  /**
+   * Escape a TEXT value (RFC 5545 section 3.3.11)
+   * @param {string} value - Text
+   * @returns {string} Escaped text
+   */
+  escapeText(value) {
+    return String(value)
+      .replace(/\\/g, '\\\\')
+      .replace(/;/g, '\\;')
+      .replace(/,/g, '\\,')
+      .replace(/\r?\n/g, '\\n');
+  }
+
+  /**
+   * Fold a content line to 75 octets (RFC 5545 section 3.1) without
+   * splitting multi-byte characters
+   * @param {string} line - Content line
+   * @returns {string} Folded line
+   */
+  foldLine(line) {
+    const encoder = new TextEncoder();
+    const parts = [];
+    let current = '';
+    let size = 0;
+
+    for (const char of line) {
+      const charSize = encoder.encode(char).length;
+      // Continuation lines start with a space, which counts towards the limit
+      const limit = parts.length === 0 ? 75 : 74;
+      if (size + charSize > limit) {
+        parts.push(current);
+        current = '';
+        size = 0;
+      }
+      current += char;
+      size += charSize;
+    }
+    parts.push(current);
+
+    return parts.join('\r\n ');
+  }
+
+  /**
+   * Format a date as an iCalendar DATE (YYYYMMDD)
+   * @param {Date} date - Date
+   * @returns {string} Formatted date
+   */
+  formatDate(date) {
+    return deadlines.formatISODate(date).replace(/-/g, '');
+  }
+
+  /**
+   * Format a timestamp as an iCalendar UTC DATE-TIME (YYYYMMDDTHHMMSSZ)
+   * @param {Date} date - Timestamp
+   * @returns {string} Formatted date-time
+   */
+  formatDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+  }
+}
+
+// Export singleton instance
+const calendarExport = new CalendarExport();
+export default calendarExport;
\ No newline at end of file
@@ -3,33 +3,72 @@
  * Handles loading and managing application data from JSON files
  */
 
+const DATA_FILES = ['resources.json', 'business-structures.json', 'steps.json', 'industries.json'];
+
+// Keys that identify an item in a data array, in order of preference
+const IDENTITY_KEYS = ['key', 'id', 'value'];
+
+/**
+ * Merge a translation overlay over base data. Objects are merged field by field,
+ * array items are matched by key/id/value (or by position when they have none),
+ * and any value present in the overlay replaces the base value.
+ * @param {*} base - Base (English) data
+ * @param {*} overlay - Partial translated data
+ * @returns {*} Merged data
+ */
+export function mergeLocalized(base, overlay) {
+  if (overlay === undefined || overlay === null) {
+    return base;
+  }
+
+  if (Array.isArray(base) && Array.isArray(overlay)) {
+    return base.map((item, index) => {
+      const identityKey = item && typeof item === 'object' && IDENTITY_KEYS.find(key => item[key] !== undefined);
+      const match = identityKey
+        ? overlay.find(candidate => candidate && candidate[identityKey] === item[identityKey])
+        : overlay[index];
+      return mergeLocalized(item, match);
+    });
+  }
+
+  if (base && typeof base === 'object' && typeof overlay === 'object' && !Array.isArray(overlay)) {
+    const merged = { ...base };
+    Object.entries(overlay).forEach(([key, value]) => {
+      merged[key] = key in base ? mergeLocalized(base[key], value) : value;
+    });
+    return merged;
+  }
+
+  return overlay;
+}
+
 class DataManager {
   constructor() {
     this.resources = null;
     this.businessStructures = null;
     this.steps = null;
+    this.industries = null;
+    this.locale = 'en';
     this.loaded = false;
   }
 
   /**
-   * Load all data files asynchronously
+   * Load all data files asynchronously. For locales other than English the
+   * files in src/data/locales/<locale>/ are merged over the base files.
+   * @param {string} locale - Locale code (default: 'en')
    * @returns {Promise<void>}
    */
-  async loadData() {
+  async loadData(locale = 'en') {
     try {
-      const [resourcesResponse, structuresResponse, stepsResponse] = await Promise.all([
-        fetch('./src/data/resources.json'),
-        fetch('./src/data/business-structures.json'),
-        fetch('./src/data/steps.json')
-      ]);
-
-      if (!resourcesResponse.ok || !structuresResponse.ok || !stepsResponse.ok) {
-        throw new Error('Failed to load data files');
-      }
+      const [resources, businessStructures, steps, industries] = await Promise.all(
+        DATA_FILES.map(file => this.loadLocalizedFile(file, locale))
+      );
 
-      this.resources = await resourcesResponse.json();
-      this.businessStructures = await structuresResponse.json();
-      this.steps = await stepsResponse.json();
+      this.resources = resources;
+      this.businessStructures = businessStructures;
+      this.steps = steps;
+      this.industries = industries;
+      this.locale = locale;
       this.loaded = true;
 
       console.log('Data loaded successfully');
@@ -39,6 +78,35 @@ class DataManager {
     }
   }
 
+  /**
+   * Load a data file and merge the locale's overlay over it, if one exists
+   * @param {string} file - File name within src/data
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Parsed (and localized) data
+   */
+  async loadLocalizedFile(file, locale) {
+    const response = await fetch(`./src/data/${file}`);
+    if (!response.ok) {
+      throw new Error('Failed to load data files');
+    }
+    const base = await response.json();
+
+    if (locale === 'en') {
+      return base;
+    }
+
+    try {
+      const overlayResponse = await fetch(`./src/data/locales/${locale}/${file}`);
+      if (!overlayResponse.ok) {
+        return base;
+      }
+      return mergeLocalized(base, await overlayResponse.json());
+    } catch (error) {
+      console.warn(`No ${locale} translation for ${file}, using English:`, error);
+      return base;
+    }
+  }
+
   /**
    * Get provincial resource information
    * @param {string} provinceCode - Two-letter province code
@@ -51,6 +119,17 @@ class DataManager {
     return this.resources.provincial[provinceCode];
   }
 
+  /**
+   * Get the codes of all provinces and territories
+   * @returns {Array<string>} Two-letter province codes
+   */
+  getProvinceCodes() {
+    if (!this.loaded) {
+      throw new Error('Data not loaded yet. Call loadData() first.');
+    }
+    return Object.keys(this.resources.provincial);
+  }
+
   /**
    * Get federal resource URLs
    * @returns {Object} Federal resource URLs
@@ -118,6 +197,121 @@ class DataManager {
     }
     return this.steps.steps.find(step => step.key === key);
   }
+
+  /**
+   * Get all steps for an industry: the base steps plus the industry's own
+   * steps, each inserted after the step named in its `after` key
+   * @param {string} industry - Industry type
+   * @returns {Array} Array of step objects
+   */
+  getStepsForIndustry(industry) {
+    const steps = [...this.getSteps()];
+
+    this.getIndustrySteps(industry).forEach(industryStep => {
+      const afterIndex = steps.findIndex(step => step.key === industryStep.after);
+      if (afterIndex === -1) {
+        steps.push(industryStep);
+      } else {
+        // Keep industry steps that share an anchor in data order
+        let insertAt = afterIndex + 1;
+        while (insertAt < steps.length && steps[insertAt].after === industryStep.after) {
+          insertAt++;
+        }
+        steps.splice(insertAt, 0, industryStep);
+      }
+    });
+
+    return steps;
+  }
+
+  /**
+   * Get every step any industry can show: the base steps followed by each
+   * industry's own steps
+   * @returns {Array} Array of step objects
+   */
+  getAllSteps() {
+    const industrySteps = Object.keys(this.industries.industries)
+      .flatMap(industry => this.getIndustrySteps(industry));
+    return [...this.getSteps(), ...industrySteps];
+  }
+
+  /**
+   * Get the extra steps defined for an industry
+   * @param {string} industry - Industry type
+   * @returns {Array} Array of step objects
+   */
+  getIndustrySteps(industry) {
+    const config = this.getIndustryConfig(industry);
+    return config ? config.steps || [] : [];
+  }
+
+  /**
+   * Get the configuration for an industry
+   * @param {string} industry - Industry type
+   * @returns {Object|null} Industry configuration
+   */
+  getIndustryConfig(industry) {
+    if (!this.loaded) {
+      throw new Error('Data not loaded yet. Call loadData() first.');
+    }
+    return this.industries.industries[industry] || null;
+  }
+
+  /**
+   * Get industry resource URLs, with province-specific overrides applied
+   * @param {string} industry - Industry type
+   * @param {string} provinceCode - Two-letter province code
+   * @returns {Object} Industry resource URLs
+   */
+  getIndustryResources(industry, provinceCode) {
+    const config = this.getIndustryConfig(industry);
+    if (!config) return {};
+
+    const provincial = config.provincial?.[provinceCode];
+    return { ...config.resources, ...provincial?.resources };
+  }
+
+  /**
+   * Get the resources step data resolves links and {{placeholders}} against
+   * @param {Object} state - Application state
+   * @returns {Object} Context (state, provincial, federal, industry, structures)
+   */
+  getResourceContext(state) {
+    return {
+      state,
+      provincial: this.getProvincialResources(state.province),
+      federal: this.getFederalResources(),
+      industry: this.getIndustryResources(state.industry, state.province),
+      structures: this.getBusinessStructures()
+    };
+  }
+
+  /**
+   * Get the permits that apply to an industry in a province
+   * @param {string} industry - Industry type
+   * @param {string} provinceCode - Two-letter province code
+   * @returns {Object} Object with `industry` and `provincial` permit arrays
+   */
+  getIndustryPermits(industry, provinceCode) {
+    const config = this.getIndustryConfig(industry);
+    if (!config) return { industry: [], provincial: [] };
+
+    return {
+      industry: config.permits || [],
+      provincial: config.provincial?.[provinceCode]?.permits || []
+    };
+  }
+
+  /**
+   * Get the permits that apply to every business
+   * @returns {Object} Object with `municipal` and `provincialFederal` arrays
+   */
+  getGeneralPermits() {
+    if (!this.loaded) {
+      throw new Error('Data not loaded yet. Call loadData() first.');
+    }
+    return this.industries.permits;
+  }
 }
 
 // Export singleton instance
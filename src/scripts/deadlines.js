@@ -0,0 +1,354 @@
+/**
+ * Deadlines Module
+ * Computes filing and payment due dates (GST/HST, payroll, income tax and
+ * provincial annual returns) from the user's answers
+ */
+
+import i18n, { t } from './i18n.js';
+
+export const FILING_FREQUENCIES = ['annual', 'quarterly', 'monthly'];
+
+// Structures that file a T2 corporation return and a provincial annual return
+export const CORPORATE_STRUCTURES = ['corporation', 'cooperative'];
+
+// How far ahead the calendar looks
+export const HORIZON_MONTHS = 12;
+
+const MONTHS_PER_PERIOD = { monthly: 1, quarterly: 3, annual: 12 };
+
+class Deadlines {
+  /**
+   * Get the deadlines that fall within the horizon, sorted by date
+   * @param {Object} state - Application state (structure, fiscalYearEnd, incorporationDate,
+   *   gstFilingFrequency, hiring)
+   * @param {Object} options - { gstRequired, annualReturn, from, months }
+   * @returns {Object} { deadlines: [{ id, type, date, frequency, resource, params }], notes: Array<string> }
+   */
+  getDeadlines(state, { gstRequired = false, annualReturn = null, from = new Date(), months = HORIZON_MONTHS } = {}) {
+    const start = this.startOfDay(from);
+    const end = this.addMonths(start, months);
+    const notes = [];
+
+    const yearEnd = this.parseDate(state.fiscalYearEnd);
+    if (!yearEnd) {
+      notes.push('assumedYearEnd');
+    }
+    const fiscalYearEnds = this.getFiscalYearEnds(yearEnd || new Date(start.getFullYear(), 11, 31), start, end);
+    const isCorporate = CORPORATE_STRUCTURES.includes(state.structure);
+    const isIndividual = state.structure === 'sole' || state.structure === 'partnership';
+
+    let deadlines = [];
+
+    if (gstRequired) {
+      deadlines.push(...this.getGstDeadlines(state.gstFilingFrequency, fiscalYearEnds, isIndividual, start, end));
+    }
+
+    if (state.hiring === 'yes') {
+      deadlines.push(...this.getPayrollDeadlines(start, end));
+    }
+
+    if (isCorporate) {
+      deadlines.push(...this.getCorporateDeadlines(fiscalYearEnds));
+
+      if (annualReturn) {
+        const incorporationDate = this.parseDate(state.incorporationDate);
+        if (annualReturn.basis === 'anniversary' && !incorporationDate) {
+          notes.push('needIncorporationDate');
+        } else {
+          deadlines.push(...this.getAnnualReturnDeadlines(annualReturn, fiscalYearEnds, incorporationDate, start, end));
+        }
+      }
+    } else if (isIndividual) {
+      deadlines.push(...this.getIndividualDeadlines(start, end));
+    } else {
+      notes.push('needStructure');
+    }
+
+    deadlines = deadlines
+      .map(deadline => ({ ...deadline, date: this.toBusinessDay(deadline.date) }))
+      .filter(deadline => deadline.date >= start && deadline.date < end)
+      .sort((a, b) => a.date - b.date || a.type.localeCompare(b.type));
+
+    deadlines.forEach(deadline => {
+      deadline.id = `${deadline.type}-${this.formatISODate(deadline.date)}`;
+    });
+
+    return { deadlines, notes };
+  }
+
+  /**
+   * Get GST/HST return and payment deadlines. Monthly and quarterly filers are
+   * due one month after each reporting period. Annual filers are due three
+   * months after the fiscal year-end, except individuals with a December 31
+   * year-end, who file by June 15 and pay by April 30.
+   * @param {string} frequency - 'annual', 'quarterly' or 'monthly'
+   * @param {Array<Date>} fiscalYearEnds - Fiscal year-ends around the horizon
+   * @param {boolean} isIndividual - Sole proprietor or partnership
+   * @param {Date} start - Horizon start
+   * @param {Date} end - Horizon end
+   * @returns {Array<Object>} Deadlines
+   */
+  getGstDeadlines(frequency, fiscalYearEnds, isIndividual, start, end) {
+    const step = MONTHS_PER_PERIOD[frequency] || MONTHS_PER_PERIOD.annual;
+    const deadlines = [];
+
+    if (step === 12) {
+      fiscalYearEnds.forEach(yearEnd => {
+        const params = { start: this.addDays(this.addMonths(yearEnd, -12), 1), end: yearEnd };
+
+        if (isIndividual && yearEnd.getMonth() === 11 && yearEnd.getDate() === 31) {
+          const year = yearEnd.getFullYear() + 1;
+          deadlines.push(this.createDeadline('gstPayment', new Date(year, 3, 30), 'annual', 'federal.gstHst', params));
+          deadlines.push(this.createDeadline('gstReturnOnly', new Date(year, 5, 15), 'annual', 'federal.gstHst', params));
+        } else {
+          deadlines.push(this.createDeadline('gstReturn', this.addMonths(yearEnd, 3), 'annual', 'federal.gstHst', params));
+        }
+      });
+      return deadlines;
+    }
+
+    // Reporting periods are aligned with the fiscal year-end
+    const anchor = fiscalYearEnds[0];
+    for (let index = 0; ; index++) {
+      const periodEnd = this.addMonths(anchor, index * step);
+      const due = this.addMonths(periodEnd, 1);
+      if (due >= end) break;
+      if (due < start) continue;
+
+      const periodStart = this.addDays(this.addMonths(anchor, (index - 1) * step), 1);
+      deadlines.push(this.createDeadline('gstReturn', due, frequency, 'federal.gstHst', { start: periodStart, end: periodEnd }));
+    }
+
+    return deadlines;
+  }
+
+  /**
+   * Get payroll deadlines for a regular remitter: source deductions are due
+   * on the 15th of the month after pay is issued, and T4 slips and the
+   * summary by the last day of February
+   * @param {Date} start - Horizon start
+   * @param {Date} end - Horizon end
+   * @returns {Array<Object>} Deadlines
+   */
+  getPayrollDeadlines(start, end) {
+    const deadlines = [];
+
+    for (let month = new Date(start.getFullYear(), start.getMonth() - 1, 1); month < end; month = this.addMonths(month, 1)) {
+      const due = new Date(month.getFullYear(), month.getMonth() + 1, 15);
+      deadlines.push(this.createDeadline('payrollRemittance', due, 'monthly', 'federal.payroll', { month }));
+
+      if (month.getMonth() === 0) {
+        const year = month.getFullYear();
+        deadlines.push(this.createDeadline('t4', new Date(year, 2, 0), 'annual', 'federal.payroll', { year: year - 1 }));
+      }
+    }
+
+    return deadlines;
+  }
+
+  /**
+   * Get T2 deadlines: the balance owing is due two months after the tax
+   * year-end (three for eligible small CCPCs) and the return six months after
+   * @param {Array<Date>} fiscalYearEnds - Fiscal year-ends around the horizon
+   * @returns {Array<Object>} Deadlines
+   */
+  getCorporateDeadlines(fiscalYearEnds) {
+    return fiscalYearEnds.flatMap(yearEnd => [
+      this.createDeadline('t2Balance', this.addMonths(yearEnd, 2), 'annual', 'federal.corporateTax', { yearEnd }),
+      this.createDeadline('t2Return', this.addMonths(yearEnd, 6), 'annual', 'federal.corporateTax', { yearEnd })
+    ]);
+  }
+
+  /**
+   * Get T1 deadlines for self-employed individuals: the balance owing is due
+   * April 30 and the return June 15 of the following year
+   * @param {Date} start - Horizon start
+   * @param {Date} end - Horizon end
+   * @returns {Array<Object>} Deadlines
+   */
+  getIndividualDeadlines(start, end) {
+    const deadlines = [];
+
+    for (let year = start.getFullYear(); year <= end.getFullYear(); year++) {
+      const params = { year: year - 1 };
+      deadlines.push(this.createDeadline('t1Balance', new Date(year, 3, 30), 'annual', 'federal.selfEmployedTax', params));
+      deadlines.push(this.createDeadline('t1Return', new Date(year, 5, 15), 'annual', 'federal.selfEmployedTax', params));
+    }
+
+    return deadlines;
+  }
+
+  /**
+   * Get provincial annual return deadlines. The rule comes from the
+   * province's `annualReturn` data: the return is due `monthsAfter` months
+   * after the fiscal year-end or the incorporation anniversary, at the end of
+   * that month when `endOfMonth` is set.
+   * @param {Object} annualReturn - { name, basis: 'fiscalYearEnd'|'anniversary', monthsAfter, endOfMonth }
+   * @param {Array<Date>} fiscalYearEnds - Fiscal year-ends around the horizon
+   * @param {Date|null} incorporationDate - Date of incorporation
+   * @param {Date} start - Horizon start
+   * @param {Date} end - Horizon end
+   * @returns {Array<Object>} Deadlines
+   */
+  getAnnualReturnDeadlines(annualReturn, fiscalYearEnds, incorporationDate, start, end) {
+    let references = fiscalYearEnds;
+
+    if (annualReturn.basis === 'anniversary') {
+      references = [];
+      for (let year = start.getFullYear() - 1; year <= end.getFullYear(); year++) {
+        if (year > incorporationDate.getFullYear()) {
+          references.push(this.withYear(incorporationDate, year));
+        }
+      }
+    }
+
+    return references.map(reference => {
+      let due = this.addMonths(reference, annualReturn.monthsAfter);
+      if (annualReturn.endOfMonth) {
+        due = new Date(due.getFullYear(), due.getMonth() + 1, 0);
+      }
+      return this.createDeadline('annualReturn', due, 'annual', 'provincial.register', {
+        name: annualReturn.name,
+        reference
+      });
+    });
+  }
+
+  /**
+   * Get the fiscal year-ends whose deadlines can fall within the horizon
+   * @param {Date} yearEnd - Any fiscal year-end (only the month and day are used)
+   * @param {Date} start - Horizon start
+   * @param {Date} end - Horizon end
+   * @returns {Array<Date>} Fiscal year-ends in chronological order
+   */
+  getFiscalYearEnds(yearEnd, start, end) {
+    const yearEnds = [];
+    for (let year = start.getFullYear() - 2; year <= end.getFullYear(); year++) {
+      yearEnds.push(this.withYear(yearEnd, year));
+    }
+    return yearEnds;
+  }
+
+  /**
+   * Describe a deadline in the active locale
+   * @param {Object} deadline - Deadline from getDeadlines()
+   * @param {string} provinceName - Province name for provincial returns
+   * @returns {Object} { title, detail }
+   */
+  describe(deadline, provinceName) {
+    const { params } = deadline;
+    const formatDate = date => (date ? i18n.formatDate(date) : '');
+    const values = {
+      name: params.name,
+      year: params.year,
+      start: formatDate(params.start),
+      end: formatDate(params.end),
+      yearEnd: formatDate(params.yearEnd),
+      month: params.month ? i18n.formatDate(params.month, { month: 'long', year: 'numeric' }) : '',
+      province: provinceName
+    };
+
+    return {
+      title: t(`deadlines.types.${deadline.type}`, values),
+      detail: t(`deadlines.details.${deadline.type}`, values)
+    };
+  }
+
+  /**
+   * Create a deadline entry
+   * @param {string} type - Deadline type
+   * @param {Date} date - Due date
+   * @param {string} frequency - 'monthly', 'quarterly' or 'annual'
+   * @param {string} resource - Resource path for the related link
+   * @param {Object} params - Values describing the period
+   * @returns {Object} Deadline
+   */
+  createDeadline(type, date, frequency, resource, params = {}) {
+    return { type, date, frequency, resource, params };
+  }
+
+  /**
+   * Move a due date that falls on a weekend to the following Monday, as the
+   * CRA accepts filings and payments on the next business day
+   * @param {Date} date - Due date
+   * @returns {Date} Adjusted date
+   */
+  toBusinessDay(date) {
+    const day = date.getDay();
+    if (day === 6) return this.addDays(date, 2);
+    if (day === 0) return this.addDays(date, 1);
+    return date;
+  }
+
+  /**
+   * Add months to a date. A month-end date stays at the month-end and days
+   * past the end of the target month are clamped (e.g. Aug 31 + 6 = Feb 28).
+   * @param {Date} date - Start date
+   * @param {number} months - Months to add (negative to subtract)
+   * @returns {Date} New date
+   */
+  addMonths(date, months) {
+    const target = new Date(date.getFullYear(), date.getMonth() + months, 1);
+    const lastDay = new Date(target.getFullYear(), target.getMonth() + 1, 0).getDate();
+    const isMonthEnd = date.getDate() === new Date(date.getFullYear(), date.getMonth() + 1, 0).getDate();
+
+    target.setDate(isMonthEnd ? lastDay : Math.min(date.getDate(), lastDay));
+    return target;
+  }
+
+  /**
+   * Add days to a date
+   * @param {Date} date - Start date
+   * @param {number} days - Days to add
+   * @returns {Date} New date
+   */
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+
+  /**
+   * Get the same month and day in another year (Feb 29 becomes Feb 28)
+   * @param {Date} date - Date
+   * @param {number} year - Target year
+   * @returns {Date} New date
+   */
+  withYear(date, year) {
+    return this.addMonths(new Date(date.getFullYear(), date.getMonth(), date.getDate()), (year - date.getFullYear()) * 12);
+  }
+
+  /**
+   * Get midnight of a date
+   * @param {Date} date - Date
+   * @returns {Date} Start of the day
+   */
+  startOfDay(date) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate());
+  }
+
+  /**
+   * Parse a "YYYY-MM-DD" date as a local date
+   * @param {string} value - Date string
+   * @returns {Date|null} Date, or null if empty or invalid
+   */
+  parseDate(value) {
+    const match = /^(\d{4})-(\d{2})-(\d{2})$/.exec(value || '');
+    if (!match) return null;
+
+    const date = new Date(Number(match[1]), Number(match[2]) - 1, Number(match[3]));
+    return date.getMonth() === Number(match[2]) - 1 ? date : null;
+  }
+
+  /**
+   * Format a date as "YYYY-MM-DD"
+   * @param {Date} date - Date
+   * @returns {string} ISO date
+   */
+  formatISODate(date) {
+    const pad = value => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+  }
+}
+
+// Export singleton instance
+const deadlines = new Deadlines();
+export default deadlines;
\ No newline at end of file
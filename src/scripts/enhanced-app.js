@@ -8,8 +8,16 @@ import enhancedStateManager from './enhanced-state-manager.js';
 import authManager from './auth-manager.js';
 import authUI from './auth-ui.js';
 import syncManager from './sync-manager.js';
+import planExport from './plan-export.js';
+import progressImport from './progress-import.js';
+import progressHistory from './progress-history.js';
+import planManager from './plan-manager.js';
+import planSwitcher from './plan-switcher.js';
+import tabSync from './tab-sync.js';
 import { UIComponents, DOM } from './ui-components.js';
 import { ModalManager } from './modal.js';
+import i18n, { t } from './i18n.js';
+import { appConfig, loadConfig } from '../config/supabase-config.js';
 
 /**
  * Enhanced Business Guide Application Class
@@ -33,10 +41,23 @@ class EnhancedBusinessGuideApp {
     try {
       console.log('Initializing Enhanced Business Guide App...');
       
-      // Initialize core data manager first
-      await dataManager.loadData();
+      // Load translations, then the data files for the active language
+      await i18n.initialize(enhancedStateManager.getLanguage());
+      console.log(`✓ Translations loaded (${i18n.getLocale()})`);
+
+      await dataManager.loadData(i18n.getLocale());
       console.log('✓ Data manager loaded');
+
+      // Coordinate with other open tabs before anything syncs
+      tabSync.initialize();
       
+      // Without a configured backend, run in local-only mode
+      await loadConfig();
+      this.isAuthEnabled = appConfig.features.enableAuth;
+      if (!this.isAuthEnabled) {
+        console.log('No backend configured - running in local-only mode');
+      }
+
       // Initialize authentication system
       if (this.isAuthEnabled) {
         await this.initializeAuthSystem();
@@ -59,7 +80,8 @@ class EnhancedBusinessGuideApp {
       // Set up event listeners
       this.setupEventListeners();
       
-      // Initialize UI with current state
+      // Translate static page text, then initialize UI with current state
+      this.applyTranslations();
       this.uiComponents.initializeUI();
       
       this.initialized = true;
@@ -67,6 +89,11 @@ class EnhancedBusinessGuideApp {
       
       // Show welcome message if user is authenticated
       this.showWelcomeMessage();
+
+      // A signed-in user's profile language wins over the browser default
+      if (this.isAuthEnabled && authManager.isUserAuthenticated()) {
+        this.applyProfilePreferences();
+      }
       
     } catch (error) {
       console.error('❌ Failed to initialize enhanced application:', error);
@@ -96,7 +123,7 @@ class EnhancedBusinessGuideApp {
       console.error('Error initializing auth system:', error);
       // Continue without auth features
       this.isAuthEnabled = false;
-      this.showNotification('Authentication features are temporarily unavailable', 'warning');
+      this.showNotification(t('notifications.authUnavailable'), 'warning');
     }
   }
 
@@ -148,6 +175,37 @@ class EnhancedBusinessGuideApp {
       this.resetApplication();
     });
 
+    // Export and import plan buttons (work without an account)
+    elements.exportPlanBtn?.addEventListener('click', () => {
+      planExport.openDialog();
+    });
+    elements.importPlanBtn?.addEventListener('click', () => {
+      progressImport.openDialog();
+    });
+
+    // Imports from the dialog go through the app so the guide re-renders
+    progressImport.handleImport = (progress, mode) => this.importProgress(progress, mode);
+    progressHistory.handleRestore = (progress) => this.restoreProgress(progress);
+
+    // Plan picker, and the dialog that adds, renames and deletes plans
+    planSwitcher.handleSwitch = (planId, progress) => this.switchPlan(planId, progress);
+    planSwitcher.initialize();
+
+    // Show progress (or the plan) changed in another tab
+    enhancedStateManager.handleReload = () => {
+      planSwitcher.render();
+      this.showProgress();
+    };
+
+    // Language switcher
+    const languageSelect = DOM.$('#languageSelect');
+    if (languageSelect) {
+      languageSelect.value = i18n.getLocale();
+      languageSelect.addEventListener('change', (event) => {
+        this.changeLanguage(event.target.value);
+      });
+    }
+
     // Listen for authentication state changes
     if (this.isAuthEnabled) {
       authManager.addAuthStateListener((authState) => {
@@ -158,6 +216,16 @@ class EnhancedBusinessGuideApp {
       syncManager.handleSyncEvent = (syncEvent) => {
         this.handleSyncStatusChange(syncEvent);
       };
+
+      // Show progress merged from the cloud
+      syncManager.handleProgressChanged = () => {
+        this.showProgress();
+      };
+
+      // Apply profile changes saved from the settings dialog
+      authUI.handleProfileSaved = (profile) => {
+        this.applyProfilePreferences(profile);
+      };
     }
 
     // Handle browser events
@@ -180,18 +248,18 @@ class EnhancedBusinessGuideApp {
     window.addEventListener('beforeunload', (event) => {
       if (this.hasUnsyncedChanges()) {
         event.preventDefault();
-        event.returnValue = 'You have unsaved progress. Are you sure you want to leave?';
+        event.returnValue = t('notifications.unsavedProgress');
         return event.returnValue;
       }
     });
 
     // Handle online/offline events
     window.addEventListener('online', () => {
-      this.showNotification('Back online - syncing progress...', 'info');
+      this.showNotification(t('notifications.backOnline'), 'info');
     });
 
     window.addEventListener('offline', () => {
-      this.showNotification('You\'re offline. Changes will sync when connection is restored.', 'warning');
+      this.showNotification(t('notifications.offline'), 'warning');
     });
   }
 
@@ -204,13 +272,16 @@ class EnhancedBusinessGuideApp {
     
     if (authState.isAuthenticated) {
       // User signed in
-      this.showNotification(`Welcome back, ${this.getDisplayName(authState.user)}!`, 'success');
+      this.showNotification(t('notifications.welcomeBack', { name: this.getDisplayName(authState.user) }), 'success');
       
       // Update UI to show sync capabilities
       this.updateSyncUI(true);
+
+      // Use the language and default province saved in the user's profile
+      this.applyProfilePreferences();
     } else {
       // User signed out
-      this.showNotification('Signed out successfully', 'info');
+      this.showNotification(t('notifications.signedOut'), 'info');
       
       // Update UI to hide sync features
       this.updateSyncUI(false);
@@ -229,7 +300,7 @@ class EnhancedBusinessGuideApp {
 
     // Show notifications for important sync events
     if (syncEvent.status === 'error') {
-      this.showNotification('Sync failed - changes saved locally', 'warning');
+      this.showNotification(t('notifications.syncFailedLocal'), 'warning');
     } else if (syncEvent.status === 'synced' && syncEvent.message) {
       // Only show sync success notifications if explicitly requested
       if (this.shouldShowSyncNotification) {
@@ -243,7 +314,8 @@ class EnhancedBusinessGuideApp {
    * Handle page becoming visible
    */
   async handlePageVisible() {
-    if (authManager.isUserAuthenticated()) {
+    // Realtime already delivers changes from other devices as they happen
+    if (authManager.isUserAuthenticated() && !enhancedStateManager.isRealtimeConnected()) {
       // Check if we should sync (e.g., if it's been a while)
       const lastSync = enhancedStateManager.getLastSyncTime();
       const now = Date.now();
@@ -277,7 +349,7 @@ class EnhancedBusinessGuideApp {
     
     // Validate required fields
     if (!state.province) {
-      this.showNotification('Please choose a province/territory.', 'error');
+      this.showNotification(t('notifications.chooseProvince'), 'error');
       return;
     }
 
@@ -300,7 +372,7 @@ class EnhancedBusinessGuideApp {
       
     } catch (error) {
       console.error('Error generating guide:', error);
-      this.showNotification('Error generating guide. Please try again.', 'error');
+      this.showNotification(t('notifications.generateError'), 'error');
     }
   }
 
@@ -310,7 +382,7 @@ class EnhancedBusinessGuideApp {
   resetApplication() {
     try {
       // Confirm with user
-      const confirmed = confirm('This will clear all your progress. Are you sure?');
+      const confirmed = confirm(t('notifications.confirmReset'));
       if (!confirmed) return;
 
       // Reset enhanced state
@@ -327,11 +399,11 @@ class EnhancedBusinessGuideApp {
       this.uiComponents.clearGuide();
       
       this.updateStateInfo();
-      this.showNotification('Progress reset successfully', 'info');
+      this.showNotification(t('notifications.resetSuccess'), 'info');
       
     } catch (error) {
       console.error('Error resetting application:', error);
-      this.showNotification('Error resetting application.', 'error');
+      this.showNotification(t('notifications.resetError'), 'error');
     }
   }
 
@@ -343,13 +415,110 @@ class EnhancedBusinessGuideApp {
     if (stateInfoEl) {
       if (this.isAuthEnabled && authManager.isUserAuthenticated()) {
         const syncStatus = enhancedStateManager.getSyncStatus();
-        stateInfoEl.textContent = syncStatus === 'syncing' ? 'Syncing...' : 'Saved';
+        this.uiComponents.setTranslatedText(stateInfoEl, syncStatus === 'syncing' ? 'status.syncing' : 'status.saved');
       } else {
-        stateInfoEl.textContent = 'Saved Locally';
+        this.uiComponents.setTranslatedText(stateInfoEl, 'status.savedLocally');
       }
     }
   }
 
+  /**
+   * Switch the interface language, reload the translated data and re-render
+   * @param {string} locale - Locale code
+   * @param {Object} options - Options ({ saveToProfile: boolean })
+   * @returns {Promise<void>}
+   */
+  async changeLanguage(locale, { saveToProfile = true } = {}) {
+    try {
+      await i18n.setLocale(locale);
+      enhancedStateManager.setLanguage(i18n.getLocale());
+      await dataManager.loadData(i18n.getLocale());
+
+      this.applyTranslations();
+
+      // Re-render the guide in the new language if it is showing
+      if (this.uiComponents.elements.guideEl.children.length > 0) {
+        this.uiComponents.renderGuide();
+        this.uiComponents.renderChecklist();
+      }
+
+      // Keep the preference with the account so it follows the user
+      if (saveToProfile && this.isAuthEnabled && authManager.isUserAuthenticated()) {
+        const result = await authManager.updateProfile({ preferred_language: i18n.getLocale() });
+        if (!result.success) {
+          console.warn('Could not save language to profile:', result.error);
+        }
+      }
+    } catch (error) {
+      console.error('Error changing language:', error);
+    }
+  }
+
+  /**
+   * Apply the signed-in user's profile preferences: switch to their language,
+   * start from their default province when none is chosen yet and use their
+   * sync conflict strategy
+   * @param {Object|null} profile - Profile, fetched when not given
+   * @returns {Promise<void>}
+   */
+  async applyProfilePreferences(profile = null) {
+    try {
+      profile = profile || await authManager.getUserProfile();
+      syncManager.setConflictResolution(profile?.sync_conflict_resolution);
+
+      const preferred = profile?.preferred_language;
+
+      if (preferred && i18n.resolveLocale(preferred) !== i18n.getLocale()) {
+        await this.changeLanguage(preferred, { saveToProfile: false });
+      }
+
+      const defaultProvince = profile?.default_province;
+      if (defaultProvince && !enhancedStateManager.getState().province) {
+        enhancedStateManager.setProvince(defaultProvince);
+        this.uiComponents.elements.provinceEl.value = defaultProvince;
+        this.updateStateInfo();
+      }
+    } catch (error) {
+      console.error('Error applying profile preferences:', error);
+    }
+  }
+
+  /**
+   * Translate static page text and relabel the province and industry options
+   * from the localized data
+   */
+  applyTranslations() {
+    document.title = t('app.documentTitle');
+    i18n.applyTranslations(document);
+
+    const elements = this.uiComponents.elements;
+    DOM.$$('option[value]', elements.provinceEl).forEach(option => {
+      const resources = option.value && dataManager.getProvincialResources(option.value);
+      if (resources) {
+        option.textContent = resources.name;
+      }
+    });
+
+    dataManager.getIndustryTypes().forEach(type => {
+      const option = DOM.$(`option[value="${type.value}"]`, elements.industryEl);
+      if (option) {
+        option.textContent = type.label;
+      }
+    });
+
+    const languageSelect = DOM.$('#languageSelect');
+    if (languageSelect) {
+      languageSelect.value = i18n.getLocale();
+    }
+
+    // Unnamed plans show a translated default name
+    planSwitcher.render();
+
+    if (this.isAuthEnabled) {
+      authUI.applyTranslations();
+    }
+  }
+
   /**
    * Update sync-related UI elements
    * @param {boolean} isAuthenticated - Authentication status
@@ -387,7 +556,7 @@ class EnhancedBusinessGuideApp {
   getDisplayName(user) {
     return user?.user_metadata?.display_name || 
            user?.email?.split('@')[0] || 
-           'User';
+           t('userMenu.user');
   }
 
   /**
@@ -404,7 +573,7 @@ class EnhancedBusinessGuideApp {
     if (error.message?.includes('Supabase') || error.message?.includes('auth')) {
       // Authentication/database error - fall back to local mode
       this.isAuthEnabled = false;
-      this.showNotification('Authentication features unavailable - using offline mode', 'warning');
+      this.showNotification(t('notifications.offlineMode'), 'warning');
       
       try {
         // Initialize with basic functionality
@@ -414,6 +583,7 @@ class EnhancedBusinessGuideApp {
         
         // Set up basic event listeners without auth
         this.setupEventListeners();
+        this.applyTranslations();
         this.uiComponents.initializeUI();
         this.initialized = true;
         
@@ -427,15 +597,15 @@ class EnhancedBusinessGuideApp {
     // Complete failure - show error page
     const errorMessage = isDevelopment 
       ? `Development Error: ${error.message}\n\nCheck console for details.`
-      : 'Application failed to load. Please refresh the page or try again later.';
+      : t('notifications.loadError');
     
     document.body.innerHTML = `
       <div style="text-align: center; padding: 50px; color: #e6ebf2; max-width: 600px; margin: 0 auto;">
-        <h2 style="color: #ff6b6b; margin-bottom: 20px;">App Loading Error</h2>
+        <h2 style="color: #ff6b6b; margin-bottom: 20px;">${t('notifications.loadErrorTitle')}</h2>
         <p style="margin-bottom: 30px; white-space: pre-line;">${errorMessage}</p>
         <button onclick="window.location.reload()" 
                 style="padding: 12px 24px; background: #6aa7ff; color: white; border: none; border-radius: 8px; cursor: pointer;">
-          Refresh Page
+          ${t('notifications.refreshPage')}
         </button>
       </div>
     `;
@@ -451,7 +621,7 @@ class EnhancedBusinessGuideApp {
     
     elements.generateBtn?.addEventListener('click', () => {
       if (!stateManager.getState().province) {
-        alert('Please choose a province/territory.');
+        alert(t('notifications.chooseProvince'));
         return;
       }
       this.uiComponents.renderGuide();
@@ -512,16 +682,80 @@ class EnhancedBusinessGuideApp {
   }
 
   /**
-   * Import user progress
+   * Import user progress and show the imported plan
    * @param {Object} importData - Data to import
+   * @param {string} mode - 'replace' or 'merge'
    * @returns {Promise<boolean>} Success status
    */
-  async importProgress(importData) {
+  async importProgress(importData, mode = 'replace') {
+    let success;
     if (this.isAuthEnabled && syncManager) {
-      return await syncManager.importProgressData(importData);
+      success = await syncManager.importProgressData(importData, mode);
+    } else {
+      success = enhancedStateManager.importProgress(importData, mode);
+      if (success) {
+        this.showNotification(t('sync.imported'), 'success');
+      }
+    }
+
+    if (success) {
+      this.showProgress();
+    }
+    return success;
+  }
+
+  /**
+   * Restore progress from a history snapshot and re-render the guide
+   * @param {Object} progress - Progress from the snapshot
+   * @returns {Promise<Object>} { success, error }
+   */
+  async restoreProgress(progress) {
+    const result = await enhancedStateManager.restoreProgress(progress);
+    // Shown even if the save failed, as the restore is kept on this device
+    this.showProgress();
+    if (result.success) {
+      this.showNotification(t('history.restored'), 'success');
+    }
+    return result;
+  }
+
+  /**
+   * Switch to another plan and show its progress
+   * @param {string} planId - Plan ID
+   * @param {Object|null} progress - Progress to start the plan from, or null
+   * @returns {Promise<boolean>} Whether the plan exists
+   */
+  async switchPlan(planId, progress = null) {
+    const switched = await enhancedStateManager.switchPlan(planId, progress);
+    planSwitcher.render();
+    this.showProgress();
+    if (switched) {
+      this.showNotification(t('plans.switched', { name: planManager.getPlanName(planManager.getPlan(planId)) }), 'info');
+    }
+    return switched;
+  }
+
+  /**
+   * Refresh the form and guide after progress is imported, merged, restored
+   * or switched to another plan
+   */
+  showProgress() {
+    const state = enhancedStateManager.getState();
+    const elements = this.uiComponents.elements;
+
+    elements.provinceEl.value = state.province;
+    elements.industryEl.value = state.industry;
+    this.uiComponents.setSegmentValue(elements.hireSeg, state.hiring);
+    this.uiComponents.setSegmentValue(elements.revSeg, state.revenue);
+
+    if (state.province) {
+      this.uiComponents.renderGuide();
+      this.uiComponents.renderChecklist();
     } else {
-      return enhancedStateManager.importProgress(importData);
+      this.uiComponents.clearGuide();
     }
+
+    this.updateStateInfo();
   }
 }
 
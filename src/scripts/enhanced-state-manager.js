@@ -1,20 +1,83 @@
 /**
  * Enhanced State Manager Module
- * Handles application state with hybrid localStorage + cloud sync
+ * Handles application state, kept local-first in a storage adapter and
+ * synced with the cloud
  */
 
-import supabaseClient from '../lib/supabase.js';
+import supabaseClient, { VERSION_CONFLICT, ERROR_TYPES } from '../lib/supabase.js';
 import authManager from './auth-manager.js';
+import smallSupplier from './small-supplier.js';
+import tabSync from './tab-sync.js';
+import planManager from './plan-manager.js';
+import localStore from './local-store.js';
+import { createId } from '../lib/ids.js';
+import { LocalStorageAdapter, SupabaseAdapter, HybridAdapter } from './storage-adapters.js';
+import progressSchema, { PROGRESS_SCHEMA_VERSION } from './progress-schema.js';
+import { t } from './i18n.js';
 
-class EnhancedStateManager {
-  constructor() {
+// Times a write is retried after merging changes saved elsewhere first
+const MAX_VERSION_CONFLICT_RETRIES = 3;
+
+// Ids of replayed offline operations kept with the progress row, so a replay
+// that is repeated (e.g. after a reload) skips them
+const MAX_APPLIED_OPERATIONS = 200;
+
+// Why progress was saved, sent in the change set of each save. Edits are
+// the default; the others are set by the action that changed progress.
+const CHANGE_REASONS = ['edit', 'offline', 'import', 'merge', 'restore', 'reset'];
+
+// Setting that identifies this browser in change sets
+const DEVICE_ID_SETTING = 'deviceId';
+
+export class EnhancedStateManager {
+  /**
+   * @param {Object} options - { storage }: where progress is kept (see
+   *   storage-adapters.js). A HybridAdapter syncs with its remote adapter;
+   *   any other adapter keeps progress on this device only.
+   */
+  constructor({ storage = new HybridAdapter({ local: new LocalStorageAdapter(), remote: new SupabaseAdapter() }) } = {}) {
+    this.storage = storage;
     this.state = this.loadDefaultState();
+    this.planId = null; // Plan the state belongs to
+    this.syncBase = null; // Stored sync base of the plan (see readSyncBase)
     this.isInitialized = false;
     this.syncInProgress = false;
     this.syncListeners = [];
     this.lastSyncTime = null;
+    this.lastSyncError = null;
+    this.lastSyncErrorType = null; // One of ERROR_TYPES
     this.pendingChanges = false;
     this.syncTimeout = null;
+    this.stopRemoteUpdates = null; // Ends the Realtime subscription
+    this.realtimeStatus = null; // Last Realtime channel status
+    this.remoteProgress = null; // Newest row received while busy, merged afterwards
+    this.mergingRemote = false;
+
+    // Picks 'local' or 'cloud' for each conflict found by the three-way
+    // merge; the sync manager replaces this to apply the user's strategy
+    this.resolveConflicts = async (conflicts) =>
+      conflicts.map(conflict => (conflict.localStamp >= conflict.cloudStamp ? 'local' : 'cloud'));
+
+    // Receives each local change ({ field, key, to, time }); the sync manager
+    // replaces this to log changes made while offline or signed out
+    this.handleLocalChanges = () => {};
+
+    // Automatic syncs are skipped while this returns true; the sync manager
+    // replaces it to pause sync while its circuit breaker is open or a
+    // sign-in migration choice is pending
+    this.isSyncPaused = () => false;
+
+    // Brings a plan up to date after switching to it; the sync manager
+    // replaces this to replay the plan's offline changes first
+    this.handlePlanChange = async () => {
+      if (this.canSync() && tabSync.isLeader()) {
+        await this.syncFromCloud();
+      }
+    };
+
+    // Called after progress stored by another tab is reloaded; the app
+    // replaces this to re-render
+    this.handleReload = () => {};
   }
 
   /**
@@ -25,17 +88,31 @@ class EnhancedStateManager {
     if (this.isInitialized) return;
 
     try {
-      // Load local state first
-      this.state = this.loadLocalState();
+      // Load the active plan's local state first
+      await this.loadPlanState();
+
+      // Pick up progress other tabs store
+      this.storage.subscribe(async () => {
+        await this.reloadLocalState();
+        this.handleReload();
+      });
 
       // Listen to auth state changes
       authManager.addAuthStateListener((authState) => {
         this.handleAuthStateChange(authState);
       });
 
+      // Only the leader tab talks to the cloud
+      tabSync.addListener((event) => {
+        if (event.type === 'leader') {
+          this.handleLeaderChange(event.isLeader);
+        }
+      });
+
       // If user is already authenticated, sync with cloud
-      if (authManager.isUserAuthenticated()) {
+      if (this.canSync() && tabSync.isLeader()) {
         await this.syncFromCloud();
+        this.startRealtime();
       }
 
       this.isInitialized = true;
@@ -57,55 +134,159 @@ class EnhancedStateManager {
       industry: 'general',
       hiring: 'no',
       revenue: 'gte30',
+      quarterlyRevenue: {},
+      structure: '',
+      fiscalYearEnd: '',
+      incorporationDate: '',
+      gstFilingFrequency: 'annual',
       completed: {},
+      dueDates: {},
       // Metadata for sync
       _meta: {
         lastModified: Date.now(),
         version: 1,
         syncedAt: null,
-        hasLocalChanges: false
+        hasLocalChanges: false,
+        // When each answer, quarter and step last changed, keyed by item path
+        stamps: {},
+        // Reason for the changes not saved to the cloud yet, if not an edit
+        changeReason: null
       }
     };
   }
 
   /**
-   * Load state from localStorage with defaults
-   * @returns {Object} Application state
+   * Get the ID of the plan the state belongs to
+   * @returns {string} Plan ID (the active plan's until state is loaded)
    */
-  loadLocalState() {
-    const defaultState = this.loadDefaultState();
+  getPlanId() {
+    return this.planId || planManager.getActivePlanId();
+  }
 
-    try {
-      const saved = {
-        province: localStorage.getItem('province') || '',
-        industry: localStorage.getItem('industry') || 'general',
-        hiring: localStorage.getItem('hiring') || 'no',
-        revenue: localStorage.getItem('revenue') || 'gte30',
-        completed: JSON.parse(localStorage.getItem('completed') || '{}'),
-        _meta: JSON.parse(localStorage.getItem('_state_meta') || JSON.stringify(defaultState._meta))
-      };
-      
-      return { ...defaultState, ...saved };
-    } catch (error) {
-      console.warn('Error loading state from localStorage:', error);
-      return defaultState;
+  /**
+   * Load the active plan's state from storage
+   * @returns {Promise<void>}
+   */
+  async loadPlanState() {
+    if (this.syncTimeout) {
+      clearTimeout(this.syncTimeout);
+    }
+    this.planId = planManager.getActivePlanId();
+    this.state = await this.loadLocalState();
+    this.remoteProgress = null;
+    this.pendingChanges = !!this.state._meta.hasLocalChanges;
+    if (this.pendingChanges) {
+      this.scheduleSyncToCloud();
+    }
+  }
+
+  /**
+   * Switch to another plan. Changes to the current plan are saved to the
+   * cloud first when possible, and otherwise when it is opened again.
+   * @param {string} planId - Plan ID
+   * @param {Object|null} progress - Progress to start the plan from (e.g. a
+   *   copy of the current plan), or null to keep its own
+   * @returns {Promise<boolean>} Whether the plan exists
+   */
+  async switchPlan(planId, progress = null) {
+    if (!planManager.getPlan(planId)) {
+      return false;
+    }
+
+    if (this.pendingChanges && navigator.onLine && this.canSync() && tabSync.isLeader()) {
+      await this.forceSyncToCloud();
     }
+
+    planManager.setActivePlan(planId);
+    await this.loadPlanState();
+    if (progress) {
+      const { _meta, ...defaults } = this.loadDefaultState();
+      this.setProgress({ ...defaults, ...progress });
+    }
+
+    await this.handlePlanChange();
+    return true;
+  }
+
+  /**
+   * Load the active plan if it changed under this one, e.g. because this
+   * plan was deleted on another device
+   * @returns {Promise<boolean>} Whether the plan changed
+   */
+  async followActivePlan() {
+    // Sign-in can come before initialize(): load the state it works on
+    if (this.planId === null) {
+      await this.loadPlanState();
+      return false;
+    }
+    if (this.planId === planManager.getActivePlanId()) {
+      return false;
+    }
+
+    await this.loadPlanState();
+    this.notifySyncListeners(this.currentSyncStatus, '', { progressChanged: true });
+    return true;
+  }
+
+  /**
+   * Get the ID the current plan has in the cloud, creating it there if
+   * needed
+   * @returns {Promise<string>} Cloud plan ID
+   */
+  async getCloudPlanId() {
+    return planManager.ensureCloudPlan(this.getPlanId());
+  }
+
+  /**
+   * Check if progress can be synced: storage has a remote, and a user is
+   * signed in
+   * @returns {boolean}
+   */
+  canSync() {
+    return !!this.storage.remote && authManager.isUserAuthenticated();
+  }
+
+  /**
+   * Get earlier snapshots of the current plan's progress, from the storage
+   * that keeps them
+   * @param {number} limit - Snapshots to read
+   * @returns {Promise<Array<Object>>} Snapshots, newest first
+   */
+  async getHistory(limit) {
+    const planId = this.canSync() ? await this.getCloudPlanId() : this.getPlanId();
+    return this.storage.history(planId, limit);
+  }
+
+  /**
+   * Load state from storage with defaults, and the sync base with it
+   * @returns {Promise<Object>} Application state
+   */
+  async loadLocalState() {
+    const defaultState = this.loadDefaultState();
+
+    const { state, meta, syncBase } = await this.storage.load(this.getPlanId());
+    this.syncBase = syncBase;
+    return {
+      ...defaultState,
+      ...state,
+      _meta: { ...defaultState._meta, ...meta }
+    };
   }
 
   /**
    * Persist current state to localStorage
+   * @param {Array<string>} changedPaths - Items that just changed (see
+   *   progressSchema.getItemPath), stamped with the current time
    */
-  persistLocal() {
+  persistLocal(changedPaths = []) {
     try {
+      this.stampChanges(changedPaths);
+      this.recordLocalChanges(changedPaths);
       this.state._meta.lastModified = Date.now();
       this.state._meta.hasLocalChanges = true;
 
-      localStorage.setItem('province', this.state.province);
-      localStorage.setItem('industry', this.state.industry);
-      localStorage.setItem('hiring', this.state.hiring);
-      localStorage.setItem('revenue', this.state.revenue);
-      localStorage.setItem('completed', JSON.stringify(this.state.completed));
-      localStorage.setItem('_state_meta', JSON.stringify(this.state._meta));
+      const { _meta, ...state } = this.state;
+      this.saveLocal({ state, meta: _meta });
 
       this.pendingChanges = true;
       this.scheduleSyncToCloud();
@@ -114,22 +295,114 @@ class EnhancedStateManager {
     }
   }
 
+  /**
+   * Persist the sync metadata alone, e.g. after clearing hasLocalChanges
+   */
+  saveMeta() {
+    this.saveLocal({ meta: this.state._meta });
+  }
+
+  /**
+   * Save parts of the current plan's local copy. Saves are not waited for:
+   * the state in memory is already up to date.
+   * @param {Object} data - Any of state, meta and syncBase
+   */
+  saveLocal(data) {
+    this.storage.save(this.getPlanId(), data).catch(error => {
+      console.error('Error saving progress:', error);
+    });
+  }
+
+  /**
+   * Record when answers, quarters or steps changed
+   * @param {Array<string>} paths - Item paths
+   * @param {Object} times - Change times keyed by path; paths without one
+   *   get the current time
+   */
+  stampChanges(paths, times = {}) {
+    const now = Date.now();
+    paths.forEach(path => {
+      this.state._meta.stamps[path] = times[path] || now;
+    });
+  }
+
+  /**
+   * Pass local changes to handleLocalChanges() with their new values
+   * @param {Array<string>} paths - Item paths that changed
+   */
+  recordLocalChanges(paths) {
+    if (paths.length === 0) return;
+
+    this.handleLocalChanges(paths.map(path => {
+      const { field, key } = progressSchema.parseItemPath(path);
+      const to = key === null ? this.state[field] : this.state[field][key];
+      return { field, key, to, time: this.state._meta.stamps[path] };
+    }));
+  }
+
   /**
    * Handle authentication state changes
    * @param {Object} authState - Authentication state
    */
   async handleAuthStateChange(authState) {
     if (authState.isAuthenticated) {
-      console.log('User authenticated - syncing with cloud');
-      await this.syncFromCloud();
-      
-      // If we have local changes, sync them to cloud
-      if (this.state._meta.hasLocalChanges) {
-        await this.syncToCloud();
+      if (!tabSync.isLeader()) {
+        return;
       }
+
+      // On the first sign-in with local progress, the user picks how to
+      // combine it with the account's in the sync manager's migration dialog
+      if (this.getSyncBase() || !this.hasProgressData()) {
+        console.log('User authenticated - syncing with cloud');
+        await this.syncFromCloud();
+
+        // If we have local changes, sync them to cloud
+        if (this.state._meta.hasLocalChanges) {
+          await this.syncToCloud();
+        }
+      }
+
+      this.startRealtime();
     } else {
       console.log('User signed out - keeping local state');
       this.lastSyncTime = null;
+      await this.stopRealtime();
+    }
+  }
+
+  /**
+   * Start or stop talking to the cloud when this tab gains or loses
+   * leadership
+   * @param {boolean} isLeader - Whether this tab now leads
+   * @returns {Promise<void>}
+   */
+  async handleLeaderChange(isLeader) {
+    if (!isLeader) {
+      if (this.syncTimeout) {
+        clearTimeout(this.syncTimeout);
+      }
+      await this.stopRealtime();
+      return;
+    }
+
+    if (this.isInitialized && this.canSync()) {
+      await this.syncFromCloud();
+      this.startRealtime();
+      if (this.pendingChanges) {
+        this.scheduleSyncToCloud();
+      }
+    }
+  }
+
+  /**
+   * Reload progress another tab stored, so this tab shows it and never
+   * writes back older values
+   */
+  async reloadLocalState() {
+    const planChanged = this.planId !== planManager.getActivePlanId();
+    await this.loadPlanState();
+    if (planChanged) {
+      this.handlePlanChange();
     }
   }
 
@@ -138,43 +411,22 @@ class EnhancedStateManager {
    * @returns {Promise<boolean>} Success status
    */
   async syncFromCloud() {
-    if (!authManager.isUserAuthenticated()) {
+    if (!this.canSync()) {
       return false;
     }
 
     try {
       this.setSyncStatus('syncing');
-      const user = authManager.getCurrentUser();
-      const cloudProgress = await supabaseClient.getUserProgress(user.id);
+
+      // Plans may have been added, renamed or deleted on another device
+      await planManager.syncPlans();
+      await this.followActivePlan();
+
+      const cloudProgress = await this.storage.remote.load(await this.getCloudPlanId());
 
       if (cloudProgress) {
-        // Compare versions to determine which is newer
-        const cloudModified = new Date(cloudProgress.updated_at).getTime();
-        const localModified = this.state._meta.lastModified;
-
-        if (cloudModified > localModified || !this.state._meta.syncedAt) {
-          console.log('Cloud state is newer, updating local state');
-          
-          // Update state with cloud data
-          this.state = {
-            province: cloudProgress.province,
-            industry: cloudProgress.industry,
-            hiring: cloudProgress.hiring,
-            revenue: cloudProgress.revenue,
-            completed: cloudProgress.completed || {},
-            _meta: {
-              lastModified: cloudModified,
-              version: cloudProgress.version,
-              syncedAt: Date.now(),
-              hasLocalChanges: false
-            }
-          };
-
-          // Update localStorage
-          this.persistLocal();
-          this.state._meta.hasLocalChanges = false; // Reset flag after persisting
-
-          this.notifySyncListeners('synced', 'Progress synced from cloud');
+        if (await this.mergeCloudProgress(cloudProgress)) {
+          this.notifySyncListeners('synced', t('sync.syncedFromCloud'), { progressChanged: true });
         }
       } else {
         // No cloud progress exists, upload local state if we have data
@@ -185,21 +437,216 @@ class EnhancedStateManager {
       }
 
       this.lastSyncTime = Date.now();
+      this.lastSyncError = null;
       this.setSyncStatus('synced');
       return true;
     } catch (error) {
       console.error('Error syncing from cloud:', error);
-      this.setSyncStatus('error');
+      this.reportSyncError(error);
       return false;
     }
   }
 
+  /**
+   * Convert a user_progress row to progress state
+   * @param {Object} cloudProgress - Row from the user_progress table
+   * @returns {Object} Progress state (without metadata)
+   */
+  getStateFromCloud(cloudProgress) {
+    return {
+      province: cloudProgress.province,
+      industry: cloudProgress.industry,
+      hiring: cloudProgress.hiring,
+      revenue: cloudProgress.revenue,
+      quarterlyRevenue: cloudProgress.quarterly_revenue || {},
+      structure: cloudProgress.structure || '',
+      fiscalYearEnd: cloudProgress.fiscal_year_end || '',
+      incorporationDate: cloudProgress.incorporation_date || '',
+      gstFilingFrequency: cloudProgress.gst_filing_frequency || 'annual',
+      completed: this.withoutMetadata(cloudProgress.completed),
+      dueDates: cloudProgress.due_dates || {}
+    };
+  }
+
+  /**
+   * Get the change stamps saved with a user_progress row. Rows written
+   * before stamps existed count every item as changed when the row was.
+   * @param {Object} cloudProgress - Row from the user_progress table
+   * @returns {Object} { stamps, fallback } with stamps keyed by item path
+   */
+  getStampsFromCloud(cloudProgress) {
+    return {
+      stamps: cloudProgress.completed?._stamps || {},
+      fallback: new Date(cloudProgress.updated_at).getTime()
+    };
+  }
+
+  /**
+   * Remove sync metadata ("_stamps", "_ops") from a completed map read from
+   * the cloud
+   * @param {Object} completed - Completed steps with metadata
+   * @returns {Object} Completed steps
+   */
+  withoutMetadata(completed) {
+    return Object.fromEntries(Object.entries(completed || {}).filter(([key]) => !key.startsWith('_')));
+  }
+
+  /**
+   * Merge cloud progress into local progress. With a base from the last sync
+   * this is a three-way merge: changes made only in the cloud are applied,
+   * changes made only locally are kept, and items changed on both sides are
+   * settled by resolveConflicts(). Without a base (first sync on this device)
+   * the newer copy wins.
+   * @param {Object} cloudProgress - Row from the user_progress table
+   * @returns {Promise<boolean>} Whether local progress changed
+   */
+  async mergeCloudProgress(cloudProgress) {
+    const base = this.getSyncBase();
+    const cloudState = this.getStateFromCloud(cloudProgress);
+    const cloudModified = new Date(cloudProgress.updated_at).getTime();
+
+    if (!base) {
+      if (cloudModified > this.state._meta.lastModified || !this.state._meta.syncedAt) {
+        console.log('Cloud state is newer, updating local state');
+        this.state = {
+          ...cloudState,
+          _meta: {
+            lastModified: cloudModified,
+            version: cloudProgress.version,
+            syncedAt: Date.now(),
+            hasLocalChanges: false,
+            stamps: { ...this.getStampsFromCloud(cloudProgress).stamps }
+          }
+        };
+
+        // Update localStorage
+        this.persistLocal();
+        this.state._meta.hasLocalChanges = false; // Reset flag after persisting
+        this.saveMeta();
+        this.pendingChanges = false;
+        this.setSyncBase(cloudProgress);
+        return true;
+      }
+
+      this.setSyncBase(cloudProgress);
+      return false;
+    }
+
+    const { applied, conflicts } = progressSchema.mergeThreeWay(base, this.getState(), cloudState);
+    const choices = await this.resolveConflicts(this.stampConflicts(conflicts, cloudProgress));
+    const cloudChanges = [...applied, ...conflicts.filter((conflict, index) => choices[index] === 'cloud')];
+
+    return this.applyCloudChanges(cloudProgress, cloudChanges);
+  }
+
+  /**
+   * Add the local and cloud change times to conflicts
+   * @param {Array<Object>} conflicts - Changes from local ("from") to cloud ("to") values
+   * @param {Object} cloudProgress - Row from the user_progress table
+   * @returns {Array<Object>} Conflicts with localStamp and cloudStamp
+   */
+  stampConflicts(conflicts, cloudProgress) {
+    const { stamps, fallback } = this.getStampsFromCloud(cloudProgress);
+    return conflicts.map(conflict => {
+      const path = progressSchema.getItemPath(conflict);
+      return {
+        ...conflict,
+        localStamp: this.state._meta.stamps[path] || this.state._meta.lastModified,
+        cloudStamp: stamps[path] || fallback
+      };
+    });
+  }
+
+  /**
+   * Apply changes that take cloud values, keeping their cloud change times,
+   * and record the cloud progress as the base for the next merge
+   * @param {Object} cloudProgress - Row from the user_progress table
+   * @param {Array<Object>} changes - Changes from local to cloud values
+   * @returns {boolean} Whether local progress changed
+   */
+  applyCloudChanges(cloudProgress, changes) {
+    const cloudState = this.getStateFromCloud(cloudProgress);
+    this.setSyncBase(cloudProgress);
+    if (changes.length === 0) {
+      return false;
+    }
+
+    const { stamps, fallback } = this.getStampsFromCloud(cloudProgress);
+    const times = Object.fromEntries(changes.map(change => {
+      const path = progressSchema.getItemPath(change);
+      return [path, stamps[path] || fallback];
+    }));
+    this.setProgress(progressSchema.applyChanges(this.getState(), changes), times);
+
+    // Only changes the cloud does not have yet need uploading
+    const hasLocalChanges = progressSchema.diff(cloudState, this.getState()).length > 0;
+    if (hasLocalChanges && !this.state._meta.changeReason) {
+      // The next save combines changes from here and elsewhere
+      this.setChangeReason('merge');
+    }
+    this.state._meta.hasLocalChanges = hasLocalChanges;
+    this.pendingChanges = hasLocalChanges;
+    this.saveMeta();
+    return true;
+  }
+
+  /**
+   * Get the progress this device and the cloud last agreed on
+   * @returns {Object|null} Progress, or null if this device has not synced
+   *   with the signed-in account
+   */
+  getSyncBase() {
+    return this.readSyncBase()?.progress || null;
+  }
+
+  /**
+   * Get the version of the user_progress row the sync base was read from or
+   * written as. Writes are conditional on it.
+   * @returns {number|null} Server version, or null if no row has been seen
+   */
+  getServerVersion() {
+    return this.readSyncBase()?.version ?? null;
+  }
+
+  /**
+   * Get the ids of replayed offline operations recorded in the cloud row
+   * @returns {Array<string>} Operation ids
+   */
+  getAppliedOperations() {
+    return this.readSyncBase()?.appliedOps || [];
+  }
+
+  /**
+   * Read the sync base saved for the signed-in user
+   * @returns {Object|null} { userId, version, appliedOps, progress }
+   */
+  readSyncBase() {
+    const saved = this.syncBase;
+    return saved && saved.userId === authManager.getCurrentUser()?.id ? saved : null;
+  }
+
+  /**
+   * Save the progress this device and the cloud agree on
+   * @param {Object} cloudProgress - user_progress row last read or written
+   */
+  setSyncBase(cloudProgress) {
+    this.syncBase = {
+      userId: authManager.getCurrentUser()?.id,
+      version: cloudProgress.version,
+      appliedOps: cloudProgress.completed?._ops || [],
+      progress: this.getStateFromCloud(cloudProgress)
+    };
+    this.saveLocal({ syncBase: this.syncBase });
+  }
+
   /**
    * Sync state from local to cloud
+   * @param {Object} options - { keepLocal }: replace the cloud row with
+   *   local progress instead of merging it in, when the user chose to
    * @returns {Promise<boolean>} Success status
    */
-  async syncToCloud() {
-    if (!authManager.isUserAuthenticated() || this.syncInProgress) {
+  async syncToCloud({ keepLocal = false } = {}) {
+    if (!this.canSync() || this.syncInProgress) {
       return false;
     }
 
@@ -207,55 +654,379 @@ class EnhancedStateManager {
       this.syncInProgress = true;
       this.setSyncStatus('syncing');
       
-      const user = authManager.getCurrentUser();
-      const progressData = {
-        province: this.state.province,
-        industry: this.state.industry,
-        hiring: this.state.hiring,
-        revenue: this.state.revenue,
-        completed: this.state.completed
-      };
+      const planId = await this.getCloudPlanId();
+      let expectedVersion = this.getServerVersion();
+      if (expectedVersion === null) {
+        // First write from this device: start from the row if there is one
+        expectedVersion = keepLocal
+          ? await this.fetchCloudVersion(planId)
+          : await this.fetchAndMergeCloudProgress(planId);
+      }
 
-      console.log('Syncing to cloud for user:', user.id, 'Data:', progressData);
-      
-      const savedProgress = await supabaseClient.saveUserProgress(user.id, progressData);
+      let savedProgress = null;
+      let changeSet = null;
+      for (let attempt = 0; !savedProgress; attempt++) {
+        try {
+          // Describe the write against the row it replaces, which a merge moves on
+          changeSet = this.getChangeSet(this.getSyncBase(), this.getState());
+          savedProgress = await this.storage.remote.save(planId,
+            { ...this.getCloudProgressData(), last_change: changeSet }, { expectedVersion });
+        } catch (error) {
+          if (error.code !== VERSION_CONFLICT || attempt >= MAX_VERSION_CONFLICT_RETRIES) {
+            throw error;
+          }
+          console.log('Progress changed elsewhere - merging and retrying');
+          expectedVersion = keepLocal
+            ? await this.fetchCloudVersion(planId)
+            : await this.fetchAndMergeCloudProgress(planId);
+        }
+      }
       
       console.log('Cloud sync successful:', savedProgress);
 
       // Update metadata
+      this.setSyncBase(savedProgress);
       this.state._meta = {
+        ...this.state._meta,
         lastModified: new Date(savedProgress.updated_at).getTime(),
         version: savedProgress.version || 1,
         syncedAt: Date.now(),
-        hasLocalChanges: false
+        hasLocalChanges: false,
+        changeReason: this.getPendingChangeReason(changeSet.reason)
       };
 
       this.persistLocal();
       this.state._meta.hasLocalChanges = false; // Reset flag
+      this.saveMeta();
 
       this.lastSyncTime = Date.now();
+      this.lastSyncError = null;
       this.pendingChanges = false;
       
       this.setSyncStatus('synced');
-      this.notifySyncListeners('synced', 'Progress synced to cloud');
+      this.notifySyncListeners('synced', t('sync.syncedToCloud'));
       
       return true;
     } catch (error) {
       console.error('Error syncing to cloud:', error);
-      
-      // Handle specific database errors
-      if (error.code === '23505') {
-        console.log('Duplicate key error detected, attempting to resolve...');
-        // This shouldn't happen with proper upsert, but let's handle it gracefully
-        this.setSyncStatus('error');
-        this.notifySyncListeners('error', 'Sync conflict detected - please refresh the page');
-      } else {
-        this.setSyncStatus('error');
-        this.notifySyncListeners('error', 'Failed to sync progress');
-      }
+      this.reportSyncError(error);
       return false;
     } finally {
       this.syncInProgress = false;
+      this.mergeHeldRemoteProgress();
+    }
+  }
+
+  /**
+   * Fetch cloud progress and merge it into local progress
+   * @param {string} planId - Cloud plan ID
+   * @returns {Promise<number|null>} Version of the cloud row, or null if
+   *   there is none
+   */
+  async fetchAndMergeCloudProgress(planId) {
+    const cloudProgress = await this.storage.remote.load(planId);
+    if (!cloudProgress) {
+      return null;
+    }
+
+    if (await this.mergeCloudProgress(cloudProgress)) {
+      this.notifySyncListeners('synced', t('sync.syncedFromCloud'), { progressChanged: true });
+    }
+    return cloudProgress.version;
+  }
+
+  /**
+   * Fetch cloud progress and take it as the base of the next write, without
+   * merging it into local progress, so the write replaces it
+   * @param {string} planId - Cloud plan ID
+   * @returns {Promise<number|null>} Version of the cloud row, or null if
+   *   there is none
+   */
+  async fetchCloudVersion(planId) {
+    const cloudProgress = await this.storage.remote.load(planId);
+    if (!cloudProgress) {
+      return null;
+    }
+
+    this.setSyncBase(cloudProgress);
+    return cloudProgress.version;
+  }
+
+  /**
+   * Convert progress to user_progress columns, with the change stamps and
+   * replayed operation ids kept in the completed JSON
+   * @param {Object} progress - Progress (defaults to local progress)
+   * @param {Object} stamps - Change stamps (defaults to local stamps)
+   * @param {Array<string>} appliedOps - Replayed operation ids (defaults to
+   *   those last seen in the cloud row)
+   * @returns {Object} Progress data
+   */
+  getCloudProgressData(progress = this.state, stamps = this.state._meta.stamps, appliedOps = this.getAppliedOperations()) {
+    return {
+      province: progress.province,
+      industry: progress.industry,
+      hiring: progress.hiring,
+      revenue: progress.revenue,
+      quarterly_revenue: progress.quarterlyRevenue,
+      structure: progress.structure,
+      fiscal_year_end: progress.fiscalYearEnd || null,
+      incorporation_date: progress.incorporationDate || null,
+      gst_filing_frequency: progress.gstFilingFrequency,
+      completed: { ...progress.completed, _stamps: stamps, _ops: appliedOps },
+      due_dates: progress.dueDates
+    };
+  }
+
+  /**
+   * Record why the next changes are made, for the change set sent with the
+   * save that uploads them. Call it before changing progress.
+   * @param {string} reason - One of CHANGE_REASONS
+   */
+  setChangeReason(reason) {
+    if (!CHANGE_REASONS.includes(reason)) {
+      console.warn('Unknown change reason:', reason);
+      return;
+    }
+    this.state._meta.changeReason = reason === 'edit' ? null : reason;
+  }
+
+  /**
+   * Get the change reason still pending after a save, which is only kept if
+   * it was set again while the save was in flight
+   * @param {string} savedReason - Reason sent with the save
+   * @returns {string|null} Pending reason
+   */
+  getPendingChangeReason(savedReason) {
+    const reason = this.state._meta.changeReason;
+    return reason && reason !== savedReason ? reason : null;
+  }
+
+  /**
+   * Describe a save for the user_progress last_change column, which the
+   * database copies into progress_history with the snapshot
+   * @param {Object|null} from - Progress the save replaces (defaults if none)
+   * @param {Object} to - Progress being saved
+   * @param {string} reason - One of CHANGE_REASONS (defaults to the pending
+   *   reason, or 'edit')
+   * @returns {Object} { reason, fields, completed, uncompleted, device, at }
+   */
+  getChangeSet(from, to, reason = this.state._meta.changeReason || 'edit') {
+    const { _meta, ...defaults } = this.loadDefaultState();
+    return {
+      reason,
+      ...progressSchema.summarizeChanges(progressSchema.diff(from || defaults, to)),
+      device: this.getDevice(),
+      at: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Identify this browser: an id kept in the local store, and the browser and
+   * operating system read from the user agent
+   * @returns {Object} { id, browser, os } (browser and os may be null)
+   */
+  getDevice() {
+    let id = localStore.getSetting(DEVICE_ID_SETTING);
+    if (!id) {
+      id = createId();
+      localStore.saveSetting(DEVICE_ID_SETTING, id);
+    }
+
+    const userAgent = navigator.userAgent || '';
+    const browsers = [['Edge', /Edg\//], ['Opera', /OPR\//], ['Firefox', /Firefox\/|FxiOS/],
+      ['Chrome', /Chrome\/|CriOS/], ['Safari', /Safari\//]];
+    const systems = [['Windows', /Windows/], ['iOS', /iPhone|iPad|iPod/], ['Android', /Android/],
+      ['macOS', /Mac OS X|Macintosh/], ['ChromeOS', /CrOS/], ['Linux', /Linux/]];
+    const match = (candidates) => candidates.find(([, pattern]) => pattern.test(userAgent))?.[0] || null;
+
+    return { id, browser: match(browsers), os: match(systems) };
+  }
+
+  /**
+   * Replay logged offline operations onto the cloud progress in order, then
+   * merge the result into local progress. Operations already recorded in the
+   * row are skipped, as are those older than a later change to the same item
+   * made elsewhere.
+   * @param {Array<Object>} operations - Operations from the sync queue
+   * @returns {Promise<boolean>} Success status
+   */
+  async replayOperations(operations) {
+    if (!this.canSync()) {
+      return false;
+    }
+
+    try {
+      const planId = await this.getCloudPlanId();
+
+      for (let attempt = 0; ; attempt++) {
+        const cloudProgress = await this.storage.remote.load(planId);
+        if (!cloudProgress) {
+          // Nothing to replay onto: local progress already has every change
+          return await this.syncToCloud();
+        }
+
+        const appliedOps = cloudProgress.completed?._ops || [];
+        const pending = operations.filter(operation => !appliedOps.includes(operation.id));
+        if (pending.length === 0) {
+          await this.mergeCloudProgress(cloudProgress);
+          return true;
+        }
+
+        const { stamps } = this.getStampsFromCloud(cloudProgress);
+        const replayedStamps = { ...stamps };
+        const changes = [];
+        pending.forEach(({ field, key, value, time }) => {
+          const path = progressSchema.getItemPath({ field, key });
+          if (!replayedStamps[path] || time >= replayedStamps[path]) {
+            changes.push({ field, key, to: value });
+            replayedStamps[path] = time;
+          }
+        });
+
+        const cloudState = this.getStateFromCloud(cloudProgress);
+        const replayedProgress = progressSchema.applyChanges(cloudState, changes);
+        const changeSet = this.getChangeSet(cloudState, replayedProgress, this.state._meta.changeReason || 'offline');
+        const progressData = this.getCloudProgressData(
+          replayedProgress,
+          replayedStamps,
+          [...appliedOps, ...pending.map(operation => operation.id)].slice(-MAX_APPLIED_OPERATIONS)
+        );
+
+        try {
+          const savedProgress = await this.storage.remote.save(planId,
+            { ...progressData, last_change: changeSet }, { expectedVersion: cloudProgress.version });
+          console.log(`Replayed ${pending.length} offline change(s)`);
+          this.state._meta.changeReason = this.getPendingChangeReason(changeSet.reason);
+          if (await this.mergeCloudProgress(savedProgress)) {
+            this.notifySyncListeners('synced', t('sync.syncedFromCloud'), { progressChanged: true });
+          }
+          return true;
+        } catch (error) {
+          if (error.code !== VERSION_CONFLICT || attempt >= MAX_VERSION_CONFLICT_RETRIES) {
+            throw error;
+          }
+        }
+      }
+    } catch (error) {
+      console.error('Error replaying offline changes:', error);
+      this.reportSyncError(error);
+      return false;
+    }
+  }
+
+  /**
+   * Listen for progress saved on other devices over Supabase Realtime
+   */
+  startRealtime() {
+    if (!this.canSync() || this.stopRemoteUpdates) {
+      return;
+    }
+
+    try {
+      this.stopRemoteUpdates = this.storage.remote.subscribe(
+        (planId, cloudProgress) => this.handleRemoteProgress(cloudProgress),
+        (status) => this.handleRealtimeStatus(status)
+      );
+    } catch (error) {
+      console.error('Error subscribing to progress changes:', error);
+    }
+  }
+
+  /**
+   * Stop listening for progress saved on other devices
+   * @returns {Promise<void>}
+   */
+  async stopRealtime() {
+    const stop = this.stopRemoteUpdates;
+    this.stopRemoteUpdates = null;
+    this.realtimeStatus = null;
+    this.remoteProgress = null;
+    if (!stop) return;
+
+    try {
+      await stop();
+    } catch (error) {
+      console.error('Error unsubscribing from progress changes:', error);
+    }
+  }
+
+  /**
+   * Track the Realtime connection. Changes made while it was down are not
+   * replayed, so catch up from the cloud once it reconnects.
+   * @param {string} status - Channel status
+   */
+  handleRealtimeStatus(status) {
+    // A channel closing after it was stopped (e.g. at sign-out) is not a
+    // dropped connection, and the next account's channel is not a reconnect
+    if (!this.stopRemoteUpdates) {
+      return;
+    }
+
+    const reconnected = status === 'SUBSCRIBED' && this.realtimeStatus !== null && this.realtimeStatus !== 'SUBSCRIBED';
+    this.realtimeStatus = status;
+    console.log('Realtime progress channel:', status);
+
+    if (reconnected) {
+      this.syncFromCloud();
+    }
+  }
+
+  /**
+   * Check if progress saved on other devices arrives live
+   * @returns {boolean}
+   */
+  isRealtimeConnected() {
+    return this.realtimeStatus === 'SUBSCRIBED';
+  }
+
+  /**
+   * Merge a user_progress row received over Realtime
+   * @param {Object} cloudProgress - New row from the user_progress table
+   * @returns {Promise<void>}
+   */
+  async handleRemoteProgress(cloudProgress) {
+    // Progress of another plan
+    if (cloudProgress.plan_id !== planManager.getPlan(this.getPlanId())?.cloudId) {
+      return;
+    }
+
+    // This device's own write coming back, or already merged
+    const serverVersion = this.getServerVersion();
+    if (serverVersion !== null && cloudProgress.version <= serverVersion) {
+      return;
+    }
+
+    if (this.syncInProgress || this.mergingRemote) {
+      // Merge when the current sync finishes; only the newest row matters
+      if (!this.remoteProgress || cloudProgress.version > this.remoteProgress.version) {
+        this.remoteProgress = cloudProgress;
+      }
+      return;
+    }
+
+    this.mergingRemote = true;
+    try {
+      console.log('Progress changed on another device - merging');
+      if (await this.mergeCloudProgress(cloudProgress)) {
+        this.notifySyncListeners('synced', t('sync.syncedFromCloud'), { progressChanged: true });
+      }
+      this.lastSyncTime = Date.now();
+    } catch (error) {
+      console.error('Error merging progress from another device:', error);
+    } finally {
+      this.mergingRemote = false;
+      this.mergeHeldRemoteProgress();
+    }
+  }
+
+  /**
+   * Merge the row held back while a sync or merge was running
+   */
+  mergeHeldRemoteProgress() {
+    const cloudProgress = this.remoteProgress;
+    this.remoteProgress = null;
+    if (cloudProgress) {
+      this.handleRemoteProgress(cloudProgress);
     }
   }
 
@@ -269,7 +1040,7 @@ class EnhancedStateManager {
     }
 
     this.syncTimeout = setTimeout(async () => {
-      if (authManager.isUserAuthenticated() && this.pendingChanges) {
+      if (this.canSync() && this.pendingChanges && tabSync.isLeader() && !this.isSyncPaused()) {
         await this.syncToCloud();
       }
     }, delay);
@@ -277,13 +1048,14 @@ class EnhancedStateManager {
 
   /**
    * Force immediate sync to cloud
+   * @param {Object} options - Options for syncToCloud()
    * @returns {Promise<boolean>} Success status
    */
-  async forceSyncToCloud() {
+  async forceSyncToCloud(options = {}) {
     if (this.syncTimeout) {
       clearTimeout(this.syncTimeout);
     }
-    return await this.syncToCloud();
+    return await this.syncToCloud(options);
   }
 
   /**
@@ -293,6 +1065,12 @@ class EnhancedStateManager {
   hasProgressData() {
     return !!(this.state.province || 
               Object.keys(this.state.completed).length > 0 ||
+              Object.keys(this.state.dueDates).length > 0 ||
+              Object.keys(this.state.quarterlyRevenue).length > 0 ||
+              this.state.structure ||
+              this.state.fiscalYearEnd ||
+              this.state.incorporationDate ||
+              this.state.gstFilingFrequency !== 'annual' ||
               this.state.industry !== 'general' ||
               this.state.hiring !== 'no' ||
               this.state.revenue !== 'gte30');
@@ -330,11 +1108,13 @@ class EnhancedStateManager {
    * Notify sync status listeners
    * @param {string} status - Sync status
    * @param {string} message - Optional message
+   * @param {Object} details - Extra event fields ({ progressChanged } when
+   *   cloud changes were merged into local progress)
    */
-  notifySyncListeners(status, message = '') {
+  notifySyncListeners(status, message = '', details = {}) {
     this.syncListeners.forEach(listener => {
       try {
-        listener({ status, message, lastSyncTime: this.lastSyncTime });
+        listener({ status, message, lastSyncTime: this.lastSyncTime, ...details });
       } catch (error) {
         console.error('Error in sync listener:', error);
       }
@@ -349,7 +1129,7 @@ class EnhancedStateManager {
    */
   setProvince(province) {
     this.state.province = province;
-    this.persistLocal();
+    this.persistLocal(['province']);
   }
 
   /**
@@ -358,7 +1138,7 @@ class EnhancedStateManager {
    */
   setIndustry(industry) {
     this.state.industry = industry;
-    this.persistLocal();
+    this.persistLocal(['industry']);
   }
 
   /**
@@ -367,7 +1147,7 @@ class EnhancedStateManager {
    */
   setHiring(hiring) {
     this.state.hiring = hiring;
-    this.persistLocal();
+    this.persistLocal(['hiring']);
   }
 
   /**
@@ -376,7 +1156,98 @@ class EnhancedStateManager {
    */
   setRevenue(revenue) {
     this.state.revenue = revenue;
-    this.persistLocal();
+    this.persistLocal(['revenue']);
+  }
+
+  /**
+   * Update taxable sales for a calendar quarter. When quarterly figures are
+   * entered, the revenue answer is derived from the small-supplier test.
+   * @param {string} quarter - Quarter key (e.g. "2025-Q3")
+   * @param {number|null} amount - Taxable sales in dollars, or null to clear
+   */
+  setQuarterlyRevenue(quarter, amount) {
+    const quarterlyRevenue = { ...this.state.quarterlyRevenue };
+
+    if (Number.isFinite(amount) && amount >= 0) {
+      quarterlyRevenue[quarter] = amount;
+    } else {
+      delete quarterlyRevenue[quarter];
+    }
+
+    this.state.quarterlyRevenue = quarterlyRevenue;
+    const changedPaths = [`quarterlyRevenue.${quarter}`];
+
+    const assessment = smallSupplier.assess(quarterlyRevenue);
+    if (assessment.status !== 'unknown') {
+      const revenue = smallSupplier.isRegistrationRequired(assessment) ? 'gte30' : 'lt30';
+      if (revenue !== this.state.revenue) {
+        this.state.revenue = revenue;
+        changedPaths.push('revenue');
+      }
+    }
+
+    this.persistLocal(changedPaths);
+  }
+
+  /**
+   * Update business structure
+   * @param {string} structure - Structure id from business-structures.json
+   */
+  setStructure(structure) {
+    this.state.structure = structure;
+    this.persistLocal(['structure']);
+  }
+
+  /**
+   * Update fiscal year-end
+   * @param {string} fiscalYearEnd - Date as "YYYY-MM-DD", or '' to clear
+   */
+  setFiscalYearEnd(fiscalYearEnd) {
+    this.state.fiscalYearEnd = fiscalYearEnd;
+    this.persistLocal(['fiscalYearEnd']);
+  }
+
+  /**
+   * Update incorporation date
+   * @param {string} incorporationDate - Date as "YYYY-MM-DD", or '' to clear
+   */
+  setIncorporationDate(incorporationDate) {
+    this.state.incorporationDate = incorporationDate;
+    this.persistLocal(['incorporationDate']);
+  }
+
+  /**
+   * Update GST/HST filing frequency
+   * @param {string} frequency - 'annual', 'quarterly' or 'monthly'
+   */
+  setGstFilingFrequency(frequency) {
+    this.state.gstFilingFrequency = frequency;
+    this.persistLocal(['gstFilingFrequency']);
+  }
+
+  /**
+   * Get the small-supplier assessment for the entered quarterly sales
+   * @returns {Object} Assessment from smallSupplier.assess()
+   */
+  getSmallSupplierAssessment() {
+    return smallSupplier.assess(this.state.quarterlyRevenue);
+  }
+
+  /**
+   * Get the saved interface language
+   * @returns {string} Locale code, or '' to follow the browser language
+   */
+  getLanguage() {
+    return localStore.getSetting('language') || '';
+  }
+
+  /**
+   * Save the interface language. Stored apart from progress so it survives
+   * a reset and is not overwritten by cloud progress.
+   * @param {string} language - Locale code
+   */
+  setLanguage(language) {
+    localStore.saveSetting('language', language);
   }
 
   /**
@@ -386,15 +1257,42 @@ class EnhancedStateManager {
    */
   setStepCompleted(key, completed) {
     this.state.completed[key] = completed;
-    this.persistLocal();
+    this.persistLocal([`completed.${key}`]);
     
     // For task completions, sync immediately if user is authenticated
-    if (completed && authManager.isUserAuthenticated()) {
+    if (completed && this.canSync()) {
       console.log(`Task "${key}" completed - triggering immediate sync`);
       this.scheduleSyncToCloud(500); // Fast sync for task completions
     }
   }
 
+  /**
+   * Set or clear the date the user plans to finish a step by
+   * @param {string} key - Step key
+   * @param {string} dueDate - Date as "YYYY-MM-DD", or '' to clear
+   */
+  setStepDueDate(key, dueDate) {
+    const dueDates = { ...this.state.dueDates };
+
+    if (dueDate) {
+      dueDates[key] = dueDate;
+    } else {
+      delete dueDates[key];
+    }
+
+    this.state.dueDates = dueDates;
+    this.persistLocal([`dueDates.${key}`]);
+  }
+
+  /**
+   * Get the date the user plans to finish a step by
+   * @param {string} key - Step key
+   * @returns {string} Date as "YYYY-MM-DD", or '' if not scheduled
+   */
+  getStepDueDate(key) {
+    return this.state.dueDates[key] || '';
+  }
+
   /**
    * Check if step is completed
    * @param {string} key - Step key
@@ -425,57 +1323,94 @@ class EnhancedStateManager {
    * Reset all state and clear localStorage
    */
   reset() {
+    const previous = this.getState();
     this.state = this.loadDefaultState();
+    this.setChangeReason('reset');
+    const changedPaths = progressSchema.diff(previous, this.getState()).map(change => progressSchema.getItemPath(change));
+    this.stampChanges(changedPaths);
+    this.recordLocalChanges(changedPaths);
     
-    try {
-      localStorage.removeItem('province');
-      localStorage.removeItem('industry');
-      localStorage.removeItem('hiring');
-      localStorage.removeItem('revenue');
-      localStorage.removeItem('completed');
-      localStorage.removeItem('_state_meta');
-    } catch (error) {
-      console.error('Error clearing localStorage:', error);
-    }
+    this.saveLocal({ state: null, meta: null });
 
     // If user is authenticated, also clear cloud data
-    if (authManager.isUserAuthenticated()) {
+    if (this.canSync()) {
       this.syncToCloud();
     }
   }
 
   /**
-   * Import progress from external source (e.g., file upload)
+   * Replace all progress at once (after an import or merge), keeping the
+   * sync metadata and stamping the items that changed. Quarterly sales can
+   * change the derived revenue answer.
+   * @param {Object} progress - Complete progress state (without metadata)
+   * @param {Object} times - Change times keyed by item path, for changes
+   *   that were made elsewhere
+   */
+  setProgress(progress, times = {}) {
+    const updated = { ...progress };
+    const assessment = smallSupplier.assess(updated.quarterlyRevenue);
+    if (assessment.status !== 'unknown') {
+      updated.revenue = smallSupplier.isRegistrationRequired(assessment) ? 'gte30' : 'lt30';
+    }
+
+    const changedPaths = progressSchema.diff(this.getState(), updated).map(change => progressSchema.getItemPath(change));
+    this.state = { ...updated, _meta: this.state._meta };
+    this.stampChanges(changedPaths, times);
+    this.recordLocalChanges(changedPaths.filter(path => !times[path]));
+    this.persistLocal();
+  }
+
+  /**
+   * Restore progress from a history snapshot. Saving it adds a new history
+   * entry, so a restore can be undone the same way. If the save fails, the
+   * restore is kept on this device and synced later like any other change.
+   * @param {Object} progress - Progress from the snapshot
+   * @returns {Promise<Object>} { success, error }
+   */
+  async restoreProgress(progress) {
+    try {
+      const { _meta, ...defaults } = this.loadDefaultState();
+      this.setChangeReason('restore');
+      this.setProgress({ ...defaults, ...progress });
+
+      if (this.canSync() && !await this.forceSyncToCloud()) {
+        return {
+          success: false,
+          error: t('history.restoreNotSaved', { error: this.getLastSyncError() || t('sync.failed') })
+        };
+      }
+
+      return { success: true };
+    } catch (error) {
+      console.error('Error restoring progress:', error);
+      return { success: false, error: t('history.restoreFailed') };
+    }
+  }
+
+  /**
+   * Import progress from external source (e.g., file upload). The data is
+   * validated against the progress schema first; nothing changes if it fails.
    * @param {Object} importData - Progress data to import
+   * @param {string} mode - 'replace' to start over from the file, or 'merge'
+   *   to combine it with the current progress (see progressSchema.merge)
    * @returns {boolean} Success status
    */
-  importProgress(importData) {
+  importProgress(importData, mode = 'replace') {
     try {
-      // Validate import data structure
-      const validKeys = ['province', 'industry', 'hiring', 'revenue', 'completed'];
-      const filteredData = {};
-      
-      validKeys.forEach(key => {
-        if (importData.hasOwnProperty(key)) {
-          filteredData[key] = importData[key];
-        }
-      });
-
-      // Merge with current state
-      this.state = {
-        ...this.state,
-        ...filteredData,
-        _meta: {
-          ...this.state._meta,
-          lastModified: Date.now(),
-          hasLocalChanges: true
-        }
-      };
+      const { valid, errors, progress } = progressSchema.validate(importData);
+      if (!valid) {
+        console.error('Invalid progress data:', errors);
+        return false;
+      }
 
-      this.persistLocal();
+      const { _meta, ...defaults } = this.loadDefaultState();
+      this.setChangeReason('import');
+      this.setProgress(mode === 'merge'
+        ? progressSchema.merge(this.getState(), progress)
+        : { ...defaults, ...progress });
       
       // Sync to cloud if authenticated
-      if (authManager.isUserAuthenticated()) {
+      if (this.canSync()) {
         this.syncToCloud();
       }
 
@@ -494,17 +1429,34 @@ class EnhancedStateManager {
     const exportData = this.getState();
     exportData._exportedAt = new Date().toISOString();
     exportData._version = this.state._meta.version;
+    exportData._schemaVersion = PROGRESS_SCHEMA_VERSION;
     return exportData;
   }
 
   /**
-   * Check if GST registration is required based on revenue
+   * Check if GST registration is required. Uses the small-supplier test when
+   * quarterly sales have been entered, otherwise the revenue answer.
    * @returns {boolean}
    */
   isGSTRequired() {
+    const assessment = this.getSmallSupplierAssessment();
+    if (assessment.status !== 'unknown') {
+      return smallSupplier.isRegistrationRequired(assessment);
+    }
     return this.state.revenue === 'gte30';
   }
 
+  /**
+   * Get the facts derived from the state that step conditions can refer to
+   * @returns {Object} { gstRequired, smallSupplier }
+   */
+  getDerivedFacts() {
+    return {
+      gstRequired: this.isGSTRequired(),
+      smallSupplier: this.getSmallSupplierAssessment().status
+    };
+  }
+
   /**
    * Check if hiring steps should be shown
    * @returns {boolean}
@@ -518,7 +1470,7 @@ class EnhancedStateManager {
    * @returns {string} Current sync status
    */
   getSyncStatus() {
-    if (!authManager.isUserAuthenticated()) {
+    if (!this.canSync()) {
       return 'offline';
     }
     return this.currentSyncStatus || 'synced';
@@ -531,6 +1483,56 @@ class EnhancedStateManager {
   getLastSyncTime() {
     return this.lastSyncTime;
   }
+
+  /**
+   * Get the error from the last sync, if it failed
+   * @returns {string|null} Error message
+   */
+  getLastSyncError() {
+    return this.lastSyncError;
+  }
+
+  /**
+   * Get what kind of failure the last sync error was
+   * @returns {string|null} One of ERROR_TYPES, or null if the last sync worked
+   */
+  getLastSyncErrorType() {
+    return this.lastSyncError ? this.lastSyncErrorType : null;
+  }
+
+  /**
+   * Record a failed sync and tell listeners what kind of failure it was
+   * @param {Error} error - Error thrown by the sync
+   */
+  reportSyncError(error) {
+    this.lastSyncErrorType = supabaseClient.classifyError(error);
+    this.lastSyncError = this.getSyncErrorMessage(error, this.lastSyncErrorType);
+    this.currentSyncStatus = 'error';
+    this.notifySyncListeners('error', this.lastSyncError, { errorType: this.lastSyncErrorType });
+  }
+
+  /**
+   * Describe a sync error for the user, keeping the reason Supabase gave
+   * @param {Error} error - Error thrown by the sync
+   * @param {string} errorType - One of ERROR_TYPES
+   * @returns {string} Error message
+   */
+  getSyncErrorMessage(error, errorType = ERROR_TYPES.UNKNOWN) {
+    switch (errorType) {
+      case ERROR_TYPES.CONFLICT:
+        // Still out of date after every retry (another device keeps saving)
+        return t('sync.conflictRefresh');
+      case ERROR_TYPES.AUTH:
+        return t('sync.sessionExpired');
+      case ERROR_TYPES.PERMISSION:
+        return t('sync.notAllowed');
+      default:
+        break;
+    }
+    return error?.message
+      ? t('sync.failedWithReason', { reason: error.message })
+      : t('sync.failedToSync');
+  }
 }
 
 // Export singleton instance
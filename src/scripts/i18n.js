@@ -0,0 +1,232 @@
+/**
+ * Internationalization Module
+ * Loads UI message catalogs and translates strings and DOM templates
+ */
+
+export const SUPPORTED_LOCALES = [
+  { code: 'en', label: 'English' },
+  { code: 'fr-CA', label: 'Français' }
+];
+
+export const DEFAULT_LOCALE = 'en';
+
+class I18n {
+  constructor() {
+    this.locale = DEFAULT_LOCALE;
+    this.messages = {};
+    this.fallbackMessages = {};
+    this.listeners = [];
+    this.loaded = false;
+  }
+
+  /**
+   * Load the message catalogs for the preferred locale
+   * @param {string} preferredLocale - Saved language preference ('' to detect from the browser)
+   * @returns {Promise<void>}
+   */
+  async initialize(preferredLocale = '') {
+    this.fallbackMessages = await this.fetchMessages(DEFAULT_LOCALE);
+    await this.setLocale(this.resolveLocale(preferredLocale), { notify: false });
+  }
+
+  /**
+   * Resolve a preference to a supported locale code
+   * @param {string} preferredLocale - Saved preference or empty string
+   * @returns {string} Supported locale code
+   */
+  resolveLocale(preferredLocale) {
+    const candidate = preferredLocale || navigator.language || DEFAULT_LOCALE;
+
+    const exact = SUPPORTED_LOCALES.find(locale => locale.code.toLowerCase() === candidate.toLowerCase());
+    if (exact) return exact.code;
+
+    // Match on language only (e.g. "fr" or "fr-FR" -> "fr-CA")
+    const language = candidate.split('-')[0].toLowerCase();
+    const partial = SUPPORTED_LOCALES.find(locale => locale.code.split('-')[0] === language);
+    return partial ? partial.code : DEFAULT_LOCALE;
+  }
+
+  /**
+   * Fetch the UI message catalog for a locale
+   * @param {string} locale - Locale code
+   * @returns {Promise<Object>} Message catalog
+   */
+  async fetchMessages(locale) {
+    const response = await fetch(`./src/data/locales/${locale}/ui.json`);
+    if (!response.ok) {
+      throw new Error(`Failed to load messages for locale ${locale}`);
+    }
+    return await response.json();
+  }
+
+  /**
+   * Switch the active locale
+   * @param {string} locale - Locale code
+   * @param {Object} options - Options ({ notify: boolean })
+   * @returns {Promise<void>}
+   */
+  async setLocale(locale, { notify = true } = {}) {
+    const code = this.resolveLocale(locale);
+
+    try {
+      this.messages = code === DEFAULT_LOCALE
+        ? this.fallbackMessages
+        : await this.fetchMessages(code);
+      this.locale = code;
+    } catch (error) {
+      console.error('Error loading locale, falling back to English:', error);
+      this.messages = this.fallbackMessages;
+      this.locale = DEFAULT_LOCALE;
+    }
+
+    this.loaded = true;
+    document.documentElement.lang = this.locale;
+
+    if (notify) {
+      this.notifyListeners();
+    }
+  }
+
+  /**
+   * Get the active locale code
+   * @returns {string} Locale code
+   */
+  getLocale() {
+    return this.locale;
+  }
+
+  /**
+   * Translate a message key. Keys are dotted paths into the catalog and
+   * {name} placeholders are replaced from params.
+   * @param {string} key - Message key (e.g. "auth.signIn")
+   * @param {Object} params - Placeholder values
+   * @returns {string} Translated message, or the key if it is missing
+   */
+  t(key, params = {}) {
+    const message = this.lookup(this.messages, key) ?? this.lookup(this.fallbackMessages, key);
+
+    if (typeof message !== 'string') {
+      return key;
+    }
+
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+      (params[name] === undefined ? match : String(params[name])));
+  }
+
+  /**
+   * Look up a dotted key in a catalog
+   * @param {Object} catalog - Message catalog
+   * @param {string} key - Dotted key
+   * @returns {*} Message or undefined
+   */
+  lookup(catalog, key) {
+    return key.split('.').reduce((value, part) => (value == null ? undefined : value[part]), catalog);
+  }
+
+  /**
+   * Translate DOM elements marked with data-i18n (text content) and
+   * data-i18n-placeholder, data-i18n-aria-label or data-i18n-title (attributes)
+   * @param {Element|Document} root - Root to translate
+   */
+  applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+      el.textContent = this.t(el.dataset.i18n);
+    });
+
+    const attributes = {
+      i18nPlaceholder: 'placeholder',
+      i18nAriaLabel: 'aria-label',
+      i18nTitle: 'title'
+    };
+
+    Object.entries(attributes).forEach(([datasetKey, attribute]) => {
+      const selector = `[data-${datasetKey.replace(/[A-Z]/g, char => `-${char.toLowerCase()}`)}]`;
+      root.querySelectorAll(selector).forEach(el => {
+        el.setAttribute(attribute, this.t(el.dataset[datasetKey]));
+      });
+    });
+  }
+
+  /**
+   * Format a number as Canadian dollars for the active locale
+   * @param {number} amount - Amount in dollars
+   * @param {Object} options - Intl.NumberFormat overrides (default: whole dollars)
+   * @returns {string} Formatted amount
+   */
+  formatCurrency(amount, options = {}) {
+    return new Intl.NumberFormat(this.locale, {
+      style: 'currency',
+      currency: 'CAD',
+      currencyDisplay: 'narrowSymbol',
+      maximumFractionDigits: 0,
+      ...options
+    }).format(amount);
+  }
+
+  /**
+   * Format a percentage for the active locale (e.g. 9.975 -> "9.975%" or "9,975 %")
+   * @param {number} rate - Rate in percent
+   * @returns {string} Formatted percentage
+   */
+  formatPercent(rate) {
+    return new Intl.NumberFormat(this.locale, {
+      style: 'percent',
+      maximumFractionDigits: 3
+    }).format(rate / 100);
+  }
+
+  /**
+   * Format a date for the active locale
+   * @param {Date|number|string} date - Date to format
+   * @param {Object} options - Intl.DateTimeFormat options
+   * @returns {string} Formatted date
+   */
+  formatDate(date, options = { year: 'numeric', month: 'long', day: 'numeric' }) {
+    return new Intl.DateTimeFormat(this.locale, options).format(new Date(date));
+  }
+
+  /**
+   * Add locale change listener
+   * @param {Function} listener - Listener function
+   */
+  addLocaleListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove locale change listener
+   * @param {Function} listener - Listener function
+   */
+  removeLocaleListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify locale change listeners
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener(this.locale);
+      } catch (error) {
+        console.error('Error in locale listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const i18n = new I18n();
+
+/**
+ * Shorthand for i18n.t
+ * @param {string} key - Message key
+ * @param {Object} params - Placeholder values
+ * @returns {string} Translated message
+ */
+export const t = (key, params) => i18n.t(key, params);
+
+export default i18n;
\ No newline at end of file
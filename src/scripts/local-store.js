@@ -0,0 +1,448 @@
+/**
+ * Local Store Module
+ * Keeps the plans and each plan's progress in one versioned localStorage
+ * record, and brings data saved by older versions of the guide up to date
+ * when it is first read
+ */
+
+import { createId } from '../lib/ids.js';
+
+export const STORE_KEY = 'business-guide';
+const BACKUP_KEY = 'business-guide:backup';
+
+// Version of the record layout. Versions 1 and 2 were sets of separate
+// keys, and are read from those keys.
+export const STORE_VERSION = 4;
+const FIRST_RECORD_VERSION = 3;
+
+// Keys written by index.html, state-manager.js and the enhanced app before
+// plans existed (version 1)
+const LEGACY_KEYS = ['province', 'industry', 'hiring', 'revenue', 'quarterlyRevenue', 'structure',
+  'fiscalYearEnd', 'incorporationDate', 'gstFilingFrequency', 'completed', 'dueDates',
+  '_state_meta', '_sync_base'];
+
+// Plan registry and per-plan keys ("plan:<id>:<key>") of version 2
+const PLANS_KEY = '_plans';
+const PLAN_KEY_PREFIX = 'plan:';
+
+// Progress values stored as plain strings in versions 1 and 2; the others
+// were JSON
+const STRING_FIELDS = ['province', 'industry', 'hiring', 'revenue', 'structure',
+  'fiscalYearEnd', 'incorporationDate', 'gstFilingFrequency'];
+const JSON_FIELDS = ['quarterlyRevenue', 'completed', 'dueDates'];
+
+// Settings kept in global keys up to version 3, by their name in the record
+const SETTING_KEYS = { language: 'language', deviceId: '_device_id' };
+
+// Each migration takes the data of the version before it and returns the
+// data of its own version. Add new ones to the end; never change old ones.
+const MIGRATIONS = [
+  {
+    // Move the global keys into a first plan
+    version: 2,
+    migrate: ({ keys }) => {
+      const now = new Date().toISOString();
+      const plan = { id: createId(), name: '', createdAt: now, updatedAt: now, userId: null };
+      plan.cloudId = plan.id;
+
+      const migrated = {
+        [PLANS_KEY]: JSON.stringify({ activePlanId: plan.id, plans: [plan], deleted: [] })
+      };
+      LEGACY_KEYS.filter(key => key in keys).forEach(key => {
+        migrated[`${PLAN_KEY_PREFIX}${plan.id}:${key}`] = keys[key];
+      });
+      return { keys: migrated };
+    }
+  },
+  {
+    // Gather the registry and each plan's keys into one record
+    version: 3,
+    migrate: ({ keys }) => {
+      const registry = JSON.parse(keys[PLANS_KEY]);
+      if (!Array.isArray(registry?.plans)) {
+        throw new Error('Plan registry has no plans');
+      }
+
+      const progress = {};
+      registry.plans.forEach(plan => {
+        const read = (key) => keys[`${PLAN_KEY_PREFIX}${plan.id}:${key}`];
+        const state = {};
+        STRING_FIELDS.filter(field => read(field) !== undefined).forEach(field => {
+          state[field] = read(field);
+        });
+        JSON_FIELDS.filter(field => read(field) !== undefined).forEach(field => {
+          state[field] = JSON.parse(read(field));
+        });
+
+        progress[plan.id] = {
+          state,
+          meta: read('_state_meta') !== undefined ? JSON.parse(read('_state_meta')) : null,
+          syncBase: read('_sync_base') !== undefined ? JSON.parse(read('_sync_base')) : null
+        };
+      });
+
+      return { registry: { deleted: [], ...registry }, progress };
+    }
+  },
+  {
+    // Move the settings kept in global keys into the record. They are read
+    // from localStorage, and removed once the record is saved.
+    version: 4,
+    migrate: (data) => ({ ...data, settings: readSettingKeys() })
+  }
+];
+
+/**
+ * Read the settings kept in global keys up to version 3
+ * @returns {Object} Settings found, by their name in the record
+ */
+function readSettingKeys() {
+  const settings = {};
+  Object.entries(SETTING_KEYS).forEach(([name, key]) => {
+    const value = localStorage.getItem(key);
+    if (value !== null) {
+      settings[name] = value;
+    }
+  });
+  return settings;
+}
+
+/**
+ * Remove the global settings keys once the record holding them is saved
+ */
+function removeSettingKeys() {
+  Object.values(SETTING_KEYS).forEach(key => localStorage.removeItem(key));
+}
+
+class LocalStore {
+  constructor() {
+    // Set while the stored record was written by a newer version of the
+    // guide (e.g. read after a rollback), which must not be overwritten
+    this.readOnly = false;
+    this.warnedNewer = false;
+  }
+
+  /**
+   * Get the plan registry
+   * @returns {Object|null} Registry ({ activePlanId, plans, deleted }), or
+   *   null before the first plan is created
+   */
+  getRegistry() {
+    return this.read().registry;
+  }
+
+  /**
+   * Get the ID of the active plan, creating a first plan if there is none.
+   * For pages that keep progress without the plan manager (index.html).
+   * @returns {string} Plan ID
+   */
+  getActivePlanId() {
+    const registry = this.getRegistry();
+    const plan = registry?.plans?.find(item => item.id === registry.activePlanId) || registry?.plans?.[0];
+    if (plan) {
+      return plan.id;
+    }
+
+    const now = new Date().toISOString();
+    const id = createId();
+    this.saveRegistry({
+      activePlanId: id,
+      plans: [{ id, name: '', createdAt: now, updatedAt: now, cloudId: id, userId: null }],
+      deleted: []
+    });
+    return id;
+  }
+
+  /**
+   * Save the plan registry
+   * @param {Object} registry - Registry
+   * @returns {boolean} Whether it was saved
+   */
+  saveRegistry(registry) {
+    return this.update(record => {
+      record.registry = registry;
+    });
+  }
+
+  /**
+   * Get what is stored for a plan
+   * @param {string} planId - Plan ID
+   * @returns {Object} { state, meta, syncBase }, each null if not stored
+   */
+  getPlanData(planId) {
+    return { state: null, meta: null, syncBase: null, ...this.read().progress[planId] };
+  }
+
+  /**
+   * Save some of what is stored for a plan, leaving the rest as it is
+   * @param {string} planId - Plan ID
+   * @param {Object} values - Any of state, meta and syncBase; null removes
+   *   a value
+   * @returns {boolean} Whether it was saved
+   */
+  savePlanData(planId, values) {
+    return this.update(record => {
+      record.progress[planId] = { ...record.progress[planId], ...values };
+    });
+  }
+
+  /**
+   * Remove everything stored for a plan
+   * @param {string} planId - Plan ID
+   * @returns {boolean} Whether it was removed
+   */
+  removePlanData(planId) {
+    return this.update(record => {
+      delete record.progress[planId];
+    });
+  }
+
+  /**
+   * Get a setting kept on this device (e.g. the interface language)
+   * @param {string} name - Setting name
+   * @returns {string|null} Value, or null if not set
+   */
+  getSetting(name) {
+    return this.read().settings[name] ?? null;
+  }
+
+  /**
+   * Save a setting kept on this device
+   * @param {string} name - Setting name
+   * @param {string} value - Value
+   * @returns {boolean} Whether it was saved
+   */
+  saveSetting(name, value) {
+    return this.update(record => {
+      record.settings[name] = value;
+    });
+  }
+
+  /**
+   * Get the data a failed migration left behind
+   * @returns {Object|null} Backup ({ version, failedAt, error, data })
+   */
+  getBackup() {
+    try {
+      return JSON.parse(localStorage.getItem(BACKUP_KEY) || 'null');
+    } catch (error) {
+      console.warn('Error reading storage backup:', error);
+      return null;
+    }
+  }
+
+  /**
+   * Read the record, migrating older data first. Read on every call, as
+   * other tabs write it too.
+   * @returns {Object} Record ({ version, registry, progress, settings })
+   */
+  read() {
+    let raw = null;
+    this.readOnly = false;
+    try {
+      raw = localStorage.getItem(STORE_KEY);
+    } catch (error) {
+      console.warn('Error reading from localStorage:', error);
+      return this.createRecord();
+    }
+
+    if (raw === null) {
+      return this.migrateKeys();
+    }
+
+    let record;
+    try {
+      record = JSON.parse(raw);
+    } catch (error) {
+      return this.recover(null, raw, error);
+    }
+    if (record?.version === STORE_VERSION) {
+      return record;
+    }
+    if (Number.isInteger(record?.version) && record.version > STORE_VERSION) {
+      return this.readNewer(record);
+    }
+    return this.migrateRecord(record, raw);
+  }
+
+  /**
+   * Read, change and save the record
+   * @param {Function} change - Called with the record to change it
+   * @returns {boolean} Whether it was saved
+   */
+  update(change) {
+    const record = this.read();
+    change(record);
+    return this.write(record);
+  }
+
+  /**
+   * Save the record
+   * @param {Object} record - Record
+   * @returns {boolean} Whether it was saved
+   */
+  write(record) {
+    if (this.readOnly) {
+      console.warn('Local storage was written by a newer version of the guide - not saving');
+      return false;
+    }
+    try {
+      localStorage.setItem(STORE_KEY, JSON.stringify(record));
+      return true;
+    } catch (error) {
+      console.error('Error saving to localStorage:', error);
+      return false;
+    }
+  }
+
+  /**
+   * Create the record from the separate keys of versions 1 and 2, or an
+   * empty one if nothing was stored. The old keys are removed once the
+   * record is saved.
+   * @returns {Object} Record
+   */
+  migrateKeys() {
+    const keys = {};
+    for (let index = 0; index < localStorage.length; index++) {
+      const key = localStorage.key(index);
+      if (key !== null && (LEGACY_KEYS.includes(key) || key === PLANS_KEY || key.startsWith(PLAN_KEY_PREFIX))) {
+        keys[key] = localStorage.getItem(key);
+      }
+    }
+
+    let version = null;
+    if (PLANS_KEY in keys) {
+      version = 2;
+      // Global keys written since, by index.html before it kept its
+      // progress here, were never read
+      LEGACY_KEYS.forEach(key => delete keys[key]);
+    } else if (LEGACY_KEYS.some(key => key in keys)) {
+      version = 1;
+    }
+    if (version === null) {
+      const record = { ...this.createRecord(), settings: readSettingKeys() };
+      if (this.write(record)) {
+        removeSettingKeys();
+      }
+      return record;
+    }
+
+    try {
+      const record = this.runMigrations(version, { keys });
+      if (this.write(record)) {
+        Object.keys(keys).forEach(key => localStorage.removeItem(key));
+        removeSettingKeys();
+      }
+      return record;
+    } catch (error) {
+      return this.recover(version, keys, error);
+    }
+  }
+
+  /**
+   * Bring a record saved by an older version up to date
+   * @param {Object} record - Record
+   * @param {string} raw - Record as stored, backed up if it cannot be
+   *   migrated
+   * @returns {Object} Record
+   */
+  migrateRecord(record, raw) {
+    try {
+      if (!Number.isInteger(record?.version) || record.version < FIRST_RECORD_VERSION) {
+        throw new Error(`Unknown storage version: ${record?.version}`);
+      }
+      const { version, ...data } = record;
+      const migrated = this.runMigrations(version, data);
+      if (this.write(migrated)) {
+        removeSettingKeys();
+      }
+      return migrated;
+    } catch (error) {
+      return this.recover(record?.version ?? null, raw, error);
+    }
+  }
+
+  /**
+   * Read a record saved by a newer version of the guide without changing
+   * it, so its data is still there when that version is back. Until then
+   * nothing is saved.
+   * @param {Object} record - Record
+   * @returns {Object} The parts of it this version understands
+   */
+  readNewer(record) {
+    if (!this.warnedNewer) {
+      console.warn(`Local storage version ${record.version} is newer than ${STORE_VERSION} - reading it without saving`);
+      this.warnedNewer = true;
+    }
+    this.readOnly = true;
+    return {
+      ...this.createRecord(),
+      registry: Array.isArray(record.registry?.plans) ? record.registry : null,
+      progress: this.isPlainObject(record.progress) ? record.progress : {},
+      settings: this.isPlainObject(record.settings) ? record.settings : {}
+    };
+  }
+
+  /**
+   * Check for an object that is not an array or null
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+
+  /**
+   * Run the migrations after a version in order
+   * @param {number} version - Version of the data
+   * @param {Object} data - Data
+   * @returns {Object} Record of the current version
+   */
+  runMigrations(version, data) {
+    const migrated = MIGRATIONS
+      .filter(migration => migration.version > version)
+      .reduce((current, migration) => {
+        console.log(`Migrating local storage to version ${migration.version}`);
+        return migration.migrate(current);
+      }, data);
+    return { ...migrated, version: STORE_VERSION };
+  }
+
+  /**
+   * Keep data that could not be migrated in a backup, and start again with
+   * an empty record. Old keys are also left in place.
+   * @param {number|null} version - Version of the data, if known
+   * @param {Object|string} data - Data as stored
+   * @param {Error} error - Why migrating failed
+   * @returns {Object} Empty record
+   */
+  recover(version, data, error) {
+    console.error('Error migrating local storage, keeping a backup:', error);
+    try {
+      localStorage.setItem(BACKUP_KEY, JSON.stringify({
+        version,
+        failedAt: new Date().toISOString(),
+        error: error?.message || String(error),
+        data
+      }));
+    } catch (backupError) {
+      console.error('Error saving storage backup:', backupError);
+    }
+
+    const record = this.createRecord();
+    this.write(record);
+    return record;
+  }
+
+  /**
+   * Create an empty record
+   * @returns {Object} Record
+   */
+  createRecord() {
+    return { version: STORE_VERSION, registry: null, progress: {}, settings: {} };
+  }
+}
+
+// Export singleton instance
+const localStore = new LocalStore();
+export default localStore;
\ No newline at end of file
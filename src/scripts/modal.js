@@ -4,6 +4,9 @@
  */
 
 import dataManager from './data-manager.js';
+import enhancedStateManager from './enhanced-state-manager.js';
+import rulesEngine from './rules-engine.js';
+import { t } from './i18n.js';
 import { DOM } from './ui-components.js';
 
 export class ModalManager {
@@ -46,15 +49,27 @@ export class ModalManager {
     const content = this.generateModalContent(contentType);
     
     if (content) {
-      this.modalTitle.textContent = content.title;
-      this.modalBody.innerHTML = content.body;
-      this.modal.classList.add('open');
-      
-      // Focus management for accessibility
-      this.closeButton.focus();
+      this.openContent(content.title, content.body);
     }
   }
 
+  /**
+   * Open modal with the given title and HTML body
+   * @param {string} title - Modal title
+   * @param {string} body - Body HTML
+   * @returns {Element} Modal body element, for wiring up interactive content
+   */
+  openContent(title, body) {
+    this.modalTitle.textContent = title;
+    this.modalBody.innerHTML = body;
+    this.modal.classList.add('open');
+
+    // Focus management for accessibility
+    this.closeButton.focus();
+
+    return this.modalBody;
+  }
+
   /**
    * Close modal
    */
@@ -81,8 +96,8 @@ export class ModalManager {
       default:
         console.warn(`Unknown modal content type: ${contentType}`);
         return {
-          title: 'More info',
-          body: '<p class="muted">Details not found.</p>'
+          title: t('modal.moreInfo'),
+          body: `<p class="muted">${t('modal.detailsNotFound')}</p>`
         };
     }
   }
@@ -97,24 +112,24 @@ export class ModalManager {
     const consHtml = structure.cons.map(con => `<li>${con}</li>`).join('');
 
     return {
-      title: `${structure.name} — Pros & Cons`,
+      title: t('modal.prosCons', { name: structure.name }),
       body: `
         <div class="row">
           <div class="col-6">
             <div class="panel">
-              <strong>Pros</strong>
+              <strong>${t('modal.pros')}</strong>
               <ul class="list">${prosHtml}</ul>
             </div>
           </div>
           <div class="col-6">
             <div class="panel">
-              <strong>Cons</strong>
+              <strong>${t('modal.cons')}</strong>
               <ul class="list">${consHtml}</ul>
             </div>
           </div>
         </div>
         <div class="panel" style="margin-top:12px;">
-          <strong>What it is</strong>
+          <strong>${t('modal.whatItIs')}</strong>
           <p class="muted">${structure.description}</p>
         </div>
       `
@@ -122,41 +137,70 @@ export class ModalManager {
   }
 
   /**
-   * Generate permits modal content
+   * Generate permits modal content for the selected industry and province
    * @returns {Object} Modal content object
    */
   generatePermitsModal() {
+    const state = enhancedStateManager.getState();
+    const generalPermits = dataManager.getGeneralPermits();
+    const industryPermits = dataManager.getIndustryPermits(state.industry, state.province);
+    const context = {
+      provincial: dataManager.getProvincialResources(state.province) || {},
+      federal: dataManager.getFederalResources(),
+      industry: dataManager.getIndustryResources(state.industry, state.province)
+    };
+
+    const industryList = [...industryPermits.industry, ...industryPermits.provincial];
+    const industryType = dataManager.getIndustryTypes().find(type => type.value === state.industry);
+    const industryHtml = industryList.length > 0 ? `
+        <div class="panel" style="margin-top:12px;">
+          <strong>${t('modal.forIndustry', { industry: industryType ? industryType.label : state.industry })}</strong>
+          <ul class="list inline-links">${this.generatePermitItems(industryList, context)}</ul>
+        </div>
+    ` : '';
+
     return {
-      title: 'Common permits & licences',
+      title: t('modal.permitsTitle'),
       body: `
         <div class="row">
           <div class="col-6">
             <div class="panel">
-              <strong>Municipal</strong>
-              <ul class="list">
-                <li>Business licence (city/town)</li>
-                <li>Zoning / home‑based approval</li>
-                <li>Sign permit</li>
-                <li>Fire/health inspections (where applicable)</li>
-              </ul>
+              <strong>${t('modal.municipal')}</strong>
+              <ul class="list inline-links">${this.generatePermitItems(generalPermits.municipal, context)}</ul>
             </div>
           </div>
           <div class="col-6">
             <div class="panel">
-              <strong>Provincial / Federal</strong>
-              <ul class="list">
-                <li>Food handling / liquor (hospitality)</li>
-                <li>Trade certifications (construction)</li>
-                <li>Transport/carrier permits</li>
-                <li>Health professional licences</li>
-              </ul>
+              <strong>${t('modal.provincialFederal')}</strong>
+              <ul class="list inline-links">${this.generatePermitItems(generalPermits.provincialFederal, context)}</ul>
             </div>
           </div>
         </div>
+        ${industryHtml}
         <div class="tiny" style="margin-top:8px;">
-          Note: verify requirements with your municipality and province/territory.
+          ${t('modal.permitsNote')}
         </div>
       `
     };
   }
+
+  /**
+   * Generate list items for permits. A permit is either a plain string or an
+   * object with a label and an optional resource path (e.g. "industry.foodHandler").
+   * @param {Array<string|Object>} permits - Permit entries
+   * @param {Object} context - Resource context
+   * @returns {string} HTML list items
+   */
+  generatePermitItems(permits, context) {
+    return permits.map(permit => {
+      if (typeof permit === 'string') {
+        return `<li>${permit}</li>`;
+      }
+
+      const url = permit.resource ? rulesEngine.resolve(permit.resource, context) : null;
+      return url
+        ? `<li><a href="${url}" target="_blank" rel="noopener">${permit.label}</a></li>`
+        : `<li>${permit.label}</li>`;
+    }).join('');
+  }
 }
\ No newline at end of file
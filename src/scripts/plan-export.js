@@ -0,0 +1,385 @@
+/**
+ * Plan Export Module
+ * Downloads the personalized plan as JSON (for re-import), CSV or Markdown
+ */
+
+import dataManager from './data-manager.js';
+import enhancedStateManager from './enhanced-state-manager.js';
+import syncManager from './sync-manager.js';
+import rulesEngine from './rules-engine.js';
+import salesTax from './sales-tax.js';
+import smallSupplier from './small-supplier.js';
+import deadlines from './deadlines.js';
+import i18n, { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+export const EXPORT_FORMATS = {
+  json: { extension: 'json', type: 'application/json' },
+  csv: { extension: 'csv', type: 'text/csv;charset=utf-8' },
+  markdown: { extension: 'md', type: 'text/markdown;charset=utf-8' }
+};
+
+class PlanExport {
+  /**
+   * Open the export dialog
+   */
+  openDialog() {
+    const options = Object.keys(EXPORT_FORMATS).map(format => `
+      <button type="button" class="export-option" data-export-format="${format}">
+        <strong>${t(`export.formats.${format}.label`)}</strong>
+        <span class="muted">${t(`export.formats.${format}.description`)}</span>
+      </button>
+    `).join('');
+
+    const body = window.modalManager.openContent(t('export.title'), `
+      <p class="muted">${t('export.intro')}</p>
+      <div class="export-options">${options}</div>
+      <div class="auth-error" data-export-error style="display: none;"></div>
+    `);
+
+    DOM.$$('[data-export-format]', body).forEach(button => {
+      button.addEventListener('click', async () => {
+        const result = await this.exportAs(button.dataset.exportFormat);
+        if (result.success) {
+          window.modalManager.closeModal();
+        } else {
+          const errorEl = DOM.$('[data-export-error]', body);
+          errorEl.textContent = result.error;
+          errorEl.style.display = 'block';
+        }
+      });
+    });
+  }
+
+  /**
+   * Build the plan in a format and download it
+   * @param {string} format - 'json', 'csv' or 'markdown'
+   * @returns {Promise<Object>} { success, error }
+   */
+  async exportAs(format) {
+    const config = EXPORT_FORMATS[format];
+    if (!config) {
+      return { success: false, error: t('export.unknownFormat', { format }) };
+    }
+
+    try {
+      const state = enhancedStateManager.getState();
+      let content;
+
+      switch (format) {
+        case 'json':
+          content = JSON.stringify(await syncManager.exportProgressData(), null, 2);
+          break;
+        case 'csv':
+          content = this.buildCSV(state);
+          break;
+        default:
+          content = this.buildMarkdown(state);
+      }
+
+      const date = deadlines.formatISODate(new Date());
+      DOM.download(content, `business-plan-${date}.${config.extension}`, config.type);
+      return { success: true };
+    } catch (error) {
+      console.error('Error exporting plan:', error);
+      return { success: false, error: t('export.failed') };
+    }
+  }
+
+  /**
+   * Get the steps that apply to the state with the context to render them
+   * @param {Object} state - Application state
+   * @returns {Object} { steps, context, facts }
+   */
+  getPlan(state) {
+    const facts = rulesEngine.buildFacts(state, enhancedStateManager.getDerivedFacts());
+    const steps = rulesEngine.getApplicableSteps(dataManager.getStepsForIndustry(state.industry), facts);
+    return { steps, context: dataManager.getResourceContext(state), facts };
+  }
+
+  /**
+   * Build a CSV document with one row per step. Starts with a byte order mark
+   * so spreadsheet apps read accented characters correctly.
+   * @param {Object} state - Application state
+   * @returns {string} CSV text
+   */
+  buildCSV(state) {
+    const { steps, context, facts } = this.getPlan(state);
+    const rows = [[
+      t('export.columns.position'),
+      t('export.columns.step'),
+      t('export.columns.status'),
+      t('export.columns.dueDate'),
+      t('export.columns.links')
+    ]];
+
+    steps.forEach((step, index) => {
+      const links = this.getStepLinks(step, context, facts)
+        .map(link => `${link.label}: ${link.url}`)
+        .join(' | ');
+
+      rows.push([
+        index + 1,
+        step.title,
+        state.completed[step.key] ? t('export.status.complete') : t('export.status.todo'),
+        state.dueDates[step.key] || '',
+        links
+      ]);
+    });
+
+    return '\uFEFF' + rows.map(row => row.map(value => this.escapeCSV(value)).join(',')).join('\r\n') + '\r\n';
+  }
+
+  /**
+   * Build the full personalized guide as Markdown
+   * @param {Object} state - Application state
+   * @returns {string} Markdown text
+   */
+  buildMarkdown(state) {
+    const { steps, context, facts } = this.getPlan(state);
+    const lines = [`# ${t('app.title')}`, '', ...this.getProfileLines(state, context), ''];
+
+    steps.forEach((step, index) => {
+      const dueDate = deadlines.parseDate(state.dueDates[step.key]);
+
+      lines.push(`## ${String(index + 1).padStart(2, '0')}. ${step.title}`, '');
+      lines.push(`_${this.toMarkdown(rulesEngine.resolveKicker(step, facts), context)}_`, '');
+      lines.push(`- [${state.completed[step.key] ? 'x' : ' '}] ${t('guide.markComplete')}`);
+      if (dueDate) {
+        lines.push(`- ${t('guide.dueDate')}: ${i18n.formatDate(dueDate)}`);
+      }
+      lines.push('');
+
+      rulesEngine.getApplicablePanels(step, facts).forEach(panel => {
+        const panelLines = this.getPanelLines(panel, context);
+        if (panelLines.length > 0) {
+          lines.push(...panelLines, '');
+        }
+      });
+    });
+
+    return lines.join('\n');
+  }
+
+  /**
+   * Summarize the answers the plan was generated from
+   * @param {Object} state - Application state
+   * @param {Object} context - Resource context
+   * @returns {Array<string>} Markdown lines
+   */
+  getProfileLines(state, context) {
+    const industryType = dataManager.getIndustryTypes().find(type => type.value === state.industry);
+    const structure = dataManager.getBusinessStructureById(state.structure);
+    const lines = [
+      `- ${t('summary.province')}: ${context.provincial ? context.provincial.name : '—'}`,
+      `- ${t('summary.industry')}: ${industryType ? industryType.label : state.industry}`,
+      `- ${t('summary.hiring')}: ${state.hiring === 'yes' ? t('summary.yes') : t('summary.no')}`,
+      `- ${t('summary.revenue')}: ${state.revenue === 'gte30' ? t('summary.revenueOver') : t('summary.revenueUnder')}`
+    ];
+
+    if (structure) {
+      lines.push(`- ${t('deadlines.structure')}: ${structure.name}`);
+    }
+    lines.push('', `_${t('export.generatedOn', { date: i18n.formatDate(new Date()) })}_`);
+
+    return lines;
+  }
+
+  /**
+   * Render a panel as Markdown. Interactive calculators are left out.
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
+   * @returns {Array<string>} Markdown lines
+   */
+  getPanelLines(panel, context) {
+    const tax = context.provincial && context.provincial.tax;
+
+    switch (panel.type) {
+      case 'structures':
+        return context.structures.map(structure => `- **${structure.name}** — ${structure.description}`);
+      case 'salesTax':
+        return this.getContentLines({
+          ...panel,
+          text: salesTax.describe(tax),
+          items: salesTax.hasProvincialSalesTax(tax) ? [salesTax.describeRegistration(tax)] : [],
+          links: salesTax.hasProvincialSalesTax(tax) && tax.registrationUrl
+            ? [{ label: t('tax.registerLink', { pst: tax.pstName }), url: tax.registrationUrl }, ...(panel.links || [])]
+            : panel.links
+        }, context);
+      case 'smallSupplier': {
+        const assessment = enhancedStateManager.getSmallSupplierAssessment();
+        return assessment.status === 'unknown'
+          ? []
+          : this.getContentLines({ title: panel.title, text: smallSupplier.describe(assessment) }, context);
+      }
+      case 'deadlines':
+        return this.getDeadlineLines(panel, context);
+      case 'taxCalculator':
+        return [];
+      default:
+        return this.getContentLines(panel, context);
+    }
+  }
+
+  /**
+   * Render a standard or info panel as Markdown
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
+   * @returns {Array<string>} Markdown lines
+   */
+  getContentLines(panel, context) {
+    const lines = [];
+
+    if (panel.title) {
+      lines.push(`**${this.toMarkdown(panel.title, context)}**`, '');
+    }
+    if (panel.text) {
+      lines.push(this.toMarkdown(panel.text, context), '');
+    }
+    (panel.items || []).forEach(item => lines.push(`- ${this.toMarkdown(item, context)}`));
+    (panel.links || []).forEach(link => {
+      const url = link.url || rulesEngine.resolve(link.resource, context);
+      lines.push(url ? `- [${link.label}](${url})` : `- ${link.label}`);
+    });
+    if (panel.tip) {
+      if (lines.length > 0 && lines[lines.length - 1] !== '') {
+        lines.push('');
+      }
+      lines.push(`> **${panel.tip.text}** ${panel.tip.label}`, '');
+      if (panel.tip.modal === 'permits') {
+        lines.push(...this.getPermitLines(context));
+      }
+    }
+
+    // Drop the blank line after the last paragraph
+    while (lines.length > 0 && lines[lines.length - 1] === '') {
+      lines.pop();
+    }
+    return lines;
+  }
+
+  /**
+   * Render the permit lists the permits dialog shows
+   * @param {Object} context - Resource context
+   * @returns {Array<string>} Markdown lines
+   */
+  getPermitLines(context) {
+    const state = context.state;
+    const generalPermits = dataManager.getGeneralPermits();
+    const industryPermits = dataManager.getIndustryPermits(state.industry, state.province);
+    const industryType = dataManager.getIndustryTypes().find(type => type.value === state.industry);
+    const sections = [
+      [t('modal.municipal'), generalPermits.municipal],
+      [t('modal.provincialFederal'), generalPermits.provincialFederal],
+      [
+        t('modal.forIndustry', { industry: industryType ? industryType.label : state.industry }),
+        [...industryPermits.industry, ...industryPermits.provincial]
+      ]
+    ];
+
+    const lines = [];
+    sections.filter(([, permits]) => permits.length > 0).forEach(([heading, permits]) => {
+      lines.push(`**${heading}**`, '');
+      permits.forEach(permit => {
+        if (typeof permit === 'string') {
+          lines.push(`- ${permit}`);
+          return;
+        }
+        const url = permit.resource ? rulesEngine.resolve(permit.resource, context) : null;
+        lines.push(url ? `- [${permit.label}](${url})` : `- ${permit.label}`);
+      });
+      lines.push('');
+    });
+
+    return lines;
+  }
+
+  /**
+   * Render the deadline calendar as a Markdown list
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
+   * @returns {Array<string>} Markdown lines
+   */
+  getDeadlineLines(panel, context) {
+    if (!context.provincial) return [];
+
+    const { deadlines: items, notes } = deadlines.getDeadlines(context.state, {
+      gstRequired: enhancedStateManager.isGSTRequired(),
+      annualReturn: context.provincial.annualReturn
+    });
+
+    const lines = [`**${this.toMarkdown(panel.title, context)}**`, ''];
+    notes.forEach(note => lines.push(`> ${t(`deadlines.notes.${note}`, { name: context.provincial.annualReturn.name })}`, ''));
+
+    if (items.length === 0) {
+      lines.push(t('deadlines.empty'));
+    }
+    items.forEach(deadline => {
+      const { title, detail } = deadlines.describe(deadline, context.provincial.name);
+      const url = rulesEngine.resolve(deadline.resource, context);
+      lines.push(`- **${i18n.formatDate(deadline.date)}** — ${url ? `[${title}](${url})` : title} (${detail})`);
+    });
+
+    return lines;
+  }
+
+  /**
+   * Collect the links a step shows: panel links, the provincial sales tax
+   * registration link and [label](path) links in panel text
+   * @param {Object} step - Step definition
+   * @param {Object} context - Resource context
+   * @param {Object} facts - Facts for rule evaluation
+   * @returns {Array<Object>} Links ({ label, url })
+   */
+  getStepLinks(step, context, facts) {
+    const links = [];
+    const tax = context.provincial && context.provincial.tax;
+
+    rulesEngine.getApplicablePanels(step, facts).forEach(panel => {
+      if (panel.type === 'salesTax' && salesTax.hasProvincialSalesTax(tax) && tax.registrationUrl) {
+        links.push({ label: t('tax.registerLink', { pst: tax.pstName }), url: tax.registrationUrl });
+      }
+
+      [panel.text, ...(panel.items || [])].filter(Boolean).forEach(text => {
+        for (const match of text.matchAll(/\[([^\]]+)\]\(([\w.]+)\)/g)) {
+          links.push({ label: match[1], url: rulesEngine.resolve(match[2], context) });
+        }
+      });
+
+      (panel.links || []).forEach(link => {
+        links.push({ label: link.label, url: link.url || rulesEngine.resolve(link.resource, context) });
+      });
+    });
+
+    return links.filter(link => link.url);
+  }
+
+  /**
+   * Convert step text to Markdown, resolving {{placeholders}} and
+   * [label](path) resource links
+   * @param {string} text - Step text
+   * @param {Object} context - Resource context
+   * @returns {string} Markdown text
+   */
+  toMarkdown(text, context) {
+    return rulesEngine.interpolate(text, context)
+      .replace(/\[([^\]]+)\]\(([\w.]+)\)/g, (match, label, path) => {
+        const url = rulesEngine.resolve(path, context);
+        return url ? `[${label}](${url})` : label;
+      });
+  }
+
+  /**
+   * Quote a CSV field when it contains a comma, quote or line break
+   * @param {*} value - Field value
+   * @returns {string} CSV field
+   */
+  escapeCSV(value) {
+    const text = String(value ?? '');
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  }
+}
+
+// Export singleton instance
+const planExport = new PlanExport();
+export default planExport;
\ No newline at end of file
@@ -0,0 +1,423 @@
+/**
+ * Plan Manager Module
+ * Keeps the business plans a user tracks (one set of progress each), which
+ * plan is active. When signed in, plans are kept in step with the plans
+ * table.
+ */
+
+import authManager from './auth-manager.js';
+import supabaseClient from '../lib/supabase.js';
+import tabSync from './tab-sync.js';
+import localStore from './local-store.js';
+import { createId } from '../lib/ids.js';
+import { t } from './i18n.js';
+
+export const MAX_PLAN_NAME_LENGTH = 80;
+
+class PlanManager {
+  constructor() {
+    this.listeners = [];
+    this.syncing = null; // Plan list sync in flight
+    this.syncedUserId = null; // User whose plans were last synced
+    this.unsavedRegistry = null; // Registry kept in memory while storage cannot save it
+  }
+
+  /**
+   * Get all plans, oldest first
+   * @returns {Array<Object>} Plans ({ id, name, createdAt, updatedAt,
+   *   cloudId, userId })
+   */
+  getPlans() {
+    return this.readRegistry().plans;
+  }
+
+  /**
+   * Get a plan
+   * @param {string} planId - Plan ID
+   * @returns {Object|null} Plan
+   */
+  getPlan(planId) {
+    return this.getPlans().find(plan => plan.id === planId) || null;
+  }
+
+  /**
+   * Get the plan being worked on
+   * @returns {Object} Plan
+   */
+  getActivePlan() {
+    const registry = this.readRegistry();
+    return registry.plans.find(plan => plan.id === registry.activePlanId) || registry.plans[0];
+  }
+
+  /**
+   * Get the ID of the plan being worked on
+   * @returns {string} Plan ID
+   */
+  getActivePlanId() {
+    return this.getActivePlan().id;
+  }
+
+  /**
+   * Get the name to show for a plan; plans start without one
+   * @param {Object} plan - Plan
+   * @returns {string} Name
+   */
+  getPlanName(plan) {
+    return plan?.name || t('plans.defaultName');
+  }
+
+  /**
+   * Add a plan
+   * @param {string} name - Plan name
+   * @returns {Object} New plan
+   */
+  createPlan(name) {
+    const registry = this.readRegistry();
+    const plan = this.createPlanRecord(this.cleanName(name));
+    registry.plans.push(plan);
+    this.writeRegistry(registry);
+    this.saveCloudPlan(plan);
+    return plan;
+  }
+
+  /**
+   * Rename a plan
+   * @param {string} planId - Plan ID
+   * @param {string} name - New name
+   * @returns {boolean} Whether the plan exists
+   */
+  renamePlan(planId, name) {
+    const registry = this.readRegistry();
+    const plan = registry.plans.find(item => item.id === planId);
+    if (!plan) {
+      return false;
+    }
+
+    plan.name = this.cleanName(name);
+    plan.updatedAt = new Date().toISOString();
+    this.writeRegistry(registry);
+    this.saveCloudPlan(plan);
+    return true;
+  }
+
+  /**
+   * Delete a plan with its local progress, and its cloud progress and
+   * history if it was synced. The last plan cannot be deleted; deleting the
+   * active plan makes the first remaining one active.
+   * @param {string} planId - Plan ID
+   * @returns {boolean} Whether the plan was deleted
+   */
+  deletePlan(planId) {
+    const registry = this.readRegistry();
+    const plan = registry.plans.find(item => item.id === planId);
+    if (!plan || registry.plans.length === 1) {
+      return false;
+    }
+
+    this.removePlans(registry, [plan]);
+    if (plan.userId) {
+      // Deleted from the cloud now if possible, otherwise at the next sync
+      registry.deleted.push({ id: plan.cloudId, userId: plan.userId });
+    }
+    this.writeRegistry(registry);
+    this.deleteCloudPlans();
+    return true;
+  }
+
+  /**
+   * Make a plan the active one
+   * @param {string} planId - Plan ID
+   * @returns {boolean} Whether the plan exists
+   */
+  setActivePlan(planId) {
+    const registry = this.readRegistry();
+    if (!registry.plans.some(plan => plan.id === planId)) {
+      return false;
+    }
+
+    registry.activePlanId = planId;
+    this.writeRegistry(registry);
+    return true;
+  }
+
+  /**
+   * Get the cloud ID of a plan, creating the plan in the signed-in user's
+   * account if it is not there yet
+   * @param {string} planId - Plan ID (defaults to the active plan)
+   * @returns {Promise<string>} Cloud plan ID
+   * @throws {Error} If the plan was deleted
+   */
+  async ensureCloudPlan(planId = this.getActivePlanId()) {
+    const user = authManager.getCurrentUser();
+    if (this.syncedUserId !== user.id) {
+      // Link the plans first, so the first plan joins the account's own
+      await this.syncPlans();
+    }
+
+    const plan = this.getPlan(planId);
+    if (!plan) {
+      throw new Error('Plan was deleted');
+    }
+    if (plan.userId !== user.id) {
+      await this.linkPlan(plan, user);
+    }
+    return this.getPlan(planId).cloudId;
+  }
+
+  /**
+   * Keep the plan list in step with the cloud: plans added elsewhere are
+   * added here, plans deleted elsewhere are removed, the newer name wins,
+   * and plans only kept here are created in the cloud. On a device that has
+   * not synced yet, the first plan becomes the account's first plan, so its
+   * progress is merged rather than kept apart.
+   * @returns {Promise<void>}
+   */
+  async syncPlans() {
+    if (!this.syncing) {
+      this.syncing = this.syncPlansWithCloud().finally(() => {
+        this.syncing = null;
+      });
+    }
+    return this.syncing;
+  }
+
+  /**
+   * Sync the plan list (see syncPlans)
+   * @returns {Promise<void>}
+   */
+  async syncPlansWithCloud() {
+    const user = authManager.getCurrentUser();
+    if (!user) return;
+
+    await this.deleteCloudPlans();
+    const cloudPlans = await supabaseClient.getPlans(user.id);
+    const registry = this.readRegistry();
+    const cloudIds = new Set(cloudPlans.map(plan => plan.id));
+
+    const [firstPlan] = registry.plans;
+    if (firstPlan.userId !== user.id && cloudPlans.length > 0 &&
+        !registry.plans.some(plan => plan.userId === user.id && plan.cloudId === cloudPlans[0].id)) {
+      Object.assign(firstPlan, { cloudId: cloudPlans[0].id, userId: user.id });
+      if (!firstPlan.name) {
+        Object.assign(firstPlan, { name: cloudPlans[0].name, updatedAt: cloudPlans[0].updated_at });
+      }
+    }
+
+    const removed = registry.plans.filter(plan => plan.userId === user.id && !cloudIds.has(plan.cloudId));
+    this.removePlans(registry, removed);
+
+    const renamed = [];
+    registry.plans.forEach(plan => {
+      const cloudPlan = cloudPlans.find(item => plan.userId === user.id && item.id === plan.cloudId);
+      if (!cloudPlan || cloudPlan.name === plan.name) return;
+
+      if (new Date(cloudPlan.updated_at) > new Date(plan.updatedAt)) {
+        Object.assign(plan, { name: cloudPlan.name, updatedAt: cloudPlan.updated_at });
+      } else {
+        renamed.push(plan);
+      }
+    });
+
+    cloudPlans
+      .filter(cloudPlan => !registry.plans.some(plan => plan.userId === user.id && plan.cloudId === cloudPlan.id))
+      .forEach(cloudPlan => {
+        registry.plans.push({
+          ...this.createPlanRecord(cloudPlan.name, cloudPlan.id),
+          createdAt: cloudPlan.created_at,
+          updatedAt: cloudPlan.updated_at,
+          userId: user.id
+        });
+      });
+
+    this.writeRegistry(registry);
+
+    for (const plan of renamed) {
+      await supabaseClient.savePlan(user.id, { id: plan.cloudId, name: plan.name });
+    }
+    for (const plan of registry.plans.filter(item => item.userId !== user.id)) {
+      await this.linkPlan(plan, user);
+    }
+    this.syncedUserId = user.id;
+  }
+
+  /**
+   * Create a plan in the signed-in user's account and record the link
+   * @param {Object} plan - Plan
+   * @param {Object} user - Signed-in user
+   * @returns {Promise<void>}
+   */
+  async linkPlan(plan, user) {
+    // A plan from another account gets a new cloud ID; the old one is theirs
+    const cloudId = plan.userId ? createId() : plan.cloudId;
+    await supabaseClient.savePlan(user.id, { id: cloudId, name: plan.name });
+
+    const registry = this.readRegistry();
+    const saved = registry.plans.find(item => item.id === plan.id);
+    if (saved) {
+      Object.assign(saved, { cloudId, userId: user.id });
+      this.writeRegistry(registry);
+    }
+  }
+
+  /**
+   * Save a new or renamed plan to the cloud, if it is linked to the
+   * signed-in user; other plans are created at the next sync
+   * @param {Object} plan - Plan
+   */
+  async saveCloudPlan(plan) {
+    const user = authManager.getCurrentUser();
+    if (!user || this.syncedUserId !== user.id) return;
+
+    try {
+      if (plan.userId === user.id) {
+        await supabaseClient.savePlan(user.id, { id: plan.cloudId, name: plan.name });
+      } else {
+        await this.linkPlan(plan, user);
+      }
+    } catch (error) {
+      console.error('Error saving plan to cloud:', error);
+    }
+  }
+
+  /**
+   * Delete plans deleted here from the signed-in user's account
+   * @returns {Promise<void>}
+   */
+  async deleteCloudPlans() {
+    const user = authManager.getCurrentUser();
+    if (!user) return;
+
+    for (const deleted of this.readRegistry().deleted.filter(item => item.userId === user.id)) {
+      try {
+        await supabaseClient.deletePlan(deleted.id);
+        const registry = this.readRegistry();
+        registry.deleted = registry.deleted.filter(item => item.id !== deleted.id);
+        this.writeRegistry(registry);
+      } catch (error) {
+        console.error('Error deleting plan from cloud:', error);
+      }
+    }
+  }
+
+  /**
+   * Remove plans and their stored progress from the registry, keeping at
+   * least one plan and an active one
+   * @param {Object} registry - Registry to update
+   * @param {Array<Object>} plans - Plans to remove
+   */
+  removePlans(registry, plans) {
+    plans.forEach(plan => {
+      localStore.removePlanData(plan.id);
+      registry.plans = registry.plans.filter(item => item.id !== plan.id);
+    });
+
+    if (registry.plans.length === 0) {
+      registry.plans.push(this.createPlanRecord(''));
+    }
+    if (!registry.plans.some(plan => plan.id === registry.activePlanId)) {
+      registry.activePlanId = registry.plans[0].id;
+    }
+  }
+
+  /**
+   * Read the plan registry, creating it with one plan on first use. If it
+   * cannot be saved (e.g. storage is full or read-only), the new registry is
+   * kept in memory, so the active plan stays the same for this page.
+   * @returns {Object} Registry ({ activePlanId, plans, deleted })
+   */
+  readRegistry() {
+    const saved = localStore.getRegistry();
+    if (saved?.plans?.length > 0) {
+      return { deleted: [], ...saved };
+    }
+
+    if (!this.unsavedRegistry) {
+      const plan = this.createPlanRecord('');
+      const registry = { activePlanId: plan.id, plans: [plan], deleted: [] };
+      if (this.writeRegistry(registry)) {
+        return registry;
+      }
+      this.unsavedRegistry = registry;
+    }
+    return structuredClone(this.unsavedRegistry);
+  }
+
+  /**
+   * Save the plan registry and tell listeners and other tabs. While the
+   * registry is only in memory, a change that cannot be saved is kept there
+   * and only this tab hears of it.
+   * @param {Object} registry - Registry
+   * @returns {boolean} Whether it was saved
+   */
+  writeRegistry(registry) {
+    if (!localStore.saveRegistry(registry)) {
+      if (this.unsavedRegistry) {
+        this.unsavedRegistry = structuredClone(registry);
+        this.notifyListeners();
+      }
+      return false;
+    }
+
+    this.unsavedRegistry = null;
+    tabSync.notifyStateChanged();
+    this.notifyListeners();
+    return true;
+  }
+
+  /**
+   * Create a plan record
+   * @param {string} name - Plan name
+   * @param {string} id - Plan ID (defaults to a new one)
+   * @returns {Object} Plan, not yet linked to an account
+   */
+  createPlanRecord(name, id = createId()) {
+    const now = new Date().toISOString();
+    return { id, name, createdAt: now, updatedAt: now, cloudId: id, userId: null };
+  }
+
+  /**
+   * Trim a plan name to its maximum length
+   * @param {string} name - Plan name
+   * @returns {string} Clean name
+   */
+  cleanName(name) {
+    return String(name || '').trim().slice(0, MAX_PLAN_NAME_LENGTH);
+  }
+
+  /**
+   * Add a listener called when plans are added, renamed, removed or
+   * switched
+   * @param {Function} listener - Listener function
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove a plan listener
+   * @param {Function} listener - Listener function
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Notify all listeners
+   */
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener();
+      } catch (error) {
+        console.error('Error in plan listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const planManager = new PlanManager();
+export default planManager;
\ No newline at end of file
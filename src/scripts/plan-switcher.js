@@ -0,0 +1,166 @@
+/**
+ * Plan Switcher Module
+ * Picks the plan being worked on from the page, and adds, renames and
+ * deletes plans in a dialog
+ */
+
+import enhancedStateManager from './enhanced-state-manager.js';
+import planManager, { MAX_PLAN_NAME_LENGTH } from './plan-manager.js';
+import { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+class PlanSwitcher {
+  constructor() {
+    this.selectEl = null;
+    this.dialogBody = null;
+
+    // Switches plans, optionally starting from given progress; the app
+    // replaces this to re-render
+    this.handleSwitch = async (planId, progress = null) => enhancedStateManager.switchPlan(planId, progress);
+  }
+
+  /**
+   * Wire up the plan picker and keep it up to date
+   */
+  initialize() {
+    this.selectEl = DOM.$('#planSelect');
+    this.selectEl?.addEventListener('change', (event) => {
+      this.handleSwitch(event.target.value);
+    });
+    DOM.$('#managePlans')?.addEventListener('click', () => this.openDialog());
+
+    planManager.addListener(() => this.render());
+    this.render();
+  }
+
+  /**
+   * Fill the plan picker, and the dialog if it is open
+   */
+  render() {
+    const plans = planManager.getPlans();
+    const activePlanId = planManager.getActivePlanId();
+
+    if (this.selectEl) {
+      this.selectEl.innerHTML = '';
+      plans.forEach(plan => {
+        const option = document.createElement('option');
+        option.value = plan.id;
+        option.textContent = planManager.getPlanName(plan);
+        option.selected = plan.id === activePlanId;
+        this.selectEl.appendChild(option);
+      });
+    }
+
+    if (this.dialogBody?.isConnected) {
+      this.renderList(DOM.$('[data-plan-list]', this.dialogBody), plans, activePlanId);
+    }
+  }
+
+  /**
+   * Open the dialog that adds, renames and deletes plans
+   */
+  openDialog() {
+    const body = window.modalManager.openContent(t('plans.title'), `
+      <p class="muted">${t('plans.intro')}</p>
+      <ul class="plan-list" data-plan-list></ul>
+      <form class="plan-create" data-plan-create>
+        <h4>${t('plans.newTitle')}</h4>
+        <div class="auth-field">
+          <label for="newPlanName">${t('plans.name')}</label>
+          <input type="text" id="newPlanName" required maxlength="${MAX_PLAN_NAME_LENGTH}" placeholder="${t('plans.namePlaceholder')}">
+        </div>
+        <label class="plan-copy">
+          <input type="checkbox" data-plan-copy>
+          ${t('plans.copyCurrent')}
+        </label>
+        <div class="import-actions">
+          <button type="submit" class="btn primary">${t('plans.create')}</button>
+        </div>
+      </form>
+    `);
+    this.dialogBody = body;
+
+    DOM.$('[data-plan-create]', body).addEventListener('submit', (event) => {
+      event.preventDefault();
+      this.createPlan(DOM.$('#newPlanName', body).value, DOM.$('[data-plan-copy]', body).checked);
+    });
+
+    this.renderList(DOM.$('[data-plan-list]', body), planManager.getPlans(), planManager.getActivePlanId());
+  }
+
+  /**
+   * Show each plan with its actions. Names are user input, so they are set
+   * as text rather than HTML.
+   * @param {Element} listEl - List container
+   * @param {Array<Object>} plans - Plans
+   * @param {string} activePlanId - Plan being worked on
+   */
+  renderList(listEl, plans, activePlanId) {
+    listEl.innerHTML = '';
+
+    plans.forEach(plan => {
+      const isActive = plan.id === activePlanId;
+      const item = document.createElement('li');
+      item.className = 'plan-entry';
+      item.innerHTML = `
+        <input type="text" maxlength="${MAX_PLAN_NAME_LENGTH}" aria-label="${t('plans.name')}" data-plan-name>
+        ${isActive
+          ? `<span class="pill">${t('plans.current')}</span>`
+          : `<button type="button" class="btn" data-plan-open>${t('plans.open')}</button>`}
+        <button type="button" class="btn ghost" data-plan-rename>${t('plans.rename')}</button>
+        <button type="button" class="btn ghost" data-plan-delete ${plans.length === 1 ? 'disabled' : ''}>${t('plans.delete')}</button>
+      `;
+
+      const nameEl = DOM.$('[data-plan-name]', item);
+      nameEl.value = plan.name;
+      nameEl.placeholder = planManager.getPlanName(null);
+
+      DOM.$('[data-plan-open]', item)?.addEventListener('click', async () => {
+        window.modalManager.closeModal();
+        await this.handleSwitch(plan.id);
+      });
+      DOM.$('[data-plan-rename]', item).addEventListener('click', () => {
+        planManager.renamePlan(plan.id, nameEl.value);
+      });
+      DOM.$('[data-plan-delete]', item).addEventListener('click', () => this.deletePlan(plan));
+
+      listEl.appendChild(item);
+    });
+  }
+
+  /**
+   * Add a plan and switch to it
+   * @param {string} name - Plan name
+   * @param {boolean} copyCurrent - Start from a copy of the current plan's
+   *   progress, e.g. to try a different business structure
+   * @returns {Promise<void>}
+   */
+  async createPlan(name, copyCurrent) {
+    const progress = copyCurrent ? enhancedStateManager.getState() : null;
+    const plan = planManager.createPlan(name);
+    window.modalManager.closeModal();
+    await this.handleSwitch(plan.id, progress);
+  }
+
+  /**
+   * Delete a plan after the user confirms, switching away from it first if
+   * it is being worked on
+   * @param {Object} plan - Plan
+   * @returns {Promise<void>}
+   */
+  async deletePlan(plan) {
+    if (!confirm(t('plans.confirmDelete', { name: planManager.getPlanName(plan) }))) {
+      return;
+    }
+
+    if (plan.id === enhancedStateManager.getPlanId()) {
+      const nextPlan = planManager.getPlans().find(item => item.id !== plan.id);
+      await this.handleSwitch(nextPlan.id);
+    }
+    planManager.deletePlan(plan.id);
+  }
+}
+
+// Export singleton instance
+const planSwitcher = new PlanSwitcher();
+export default planSwitcher;
\ No newline at end of file
@@ -0,0 +1,230 @@
+/**
+ * Progress History Module
+ * Lists the snapshots saved in progress_history with what changed in each,
+ * previews a snapshot against the current progress and restores it
+ */
+
+import enhancedStateManager from './enhanced-state-manager.js';
+import authManager from './auth-manager.js';
+import progressSchema from './progress-schema.js';
+import i18n, { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+// Snapshots listed, and changes described per snapshot before "and N more"
+const HISTORY_LIMIT = 20;
+const CHANGES_SHOWN = 3;
+
+class ProgressHistory {
+  constructor() {
+    this.entries = [];
+
+    // Restores snapshot progress; the app replaces this to re-render
+    this.handleRestore = async (progress) => enhancedStateManager.restoreProgress(progress);
+  }
+
+  /**
+   * Open the history dialog and load the snapshots
+   * @returns {Promise<void>}
+   */
+  async openDialog() {
+    const body = window.modalManager.openContent(t('history.title'), `
+      <p class="muted">${t('history.intro')}</p>
+      <div data-history-list><p class="muted">${t('history.loading')}</p></div>
+      <div data-history-preview></div>
+    `);
+
+    const listEl = DOM.$('[data-history-list]', body);
+    if (!authManager.isUserAuthenticated()) {
+      listEl.innerHTML = `<p class="muted">${t('sync.signInToSync')}</p>`;
+      return;
+    }
+
+    try {
+      this.entries = await this.loadEntries();
+    } catch (error) {
+      console.error('Error loading progress history:', error);
+      listEl.innerHTML = `<div class="auth-error" style="display: block;">${t('history.loadError')}</div>`;
+      return;
+    }
+
+    this.renderList(listEl, DOM.$('[data-history-preview]', body));
+  }
+
+  /**
+   * Fetch the latest snapshots and describe how each differs from the one
+   * before it, or with its change set if it is the oldest. Snapshots that
+   * only changed sync metadata are left out.
+   * @returns {Promise<Array<Object>>} Entries ({ id, createdAt, progress,
+   *   changeSet, descriptions }), newest first
+   */
+  async loadEntries() {
+    // One extra snapshot to compare the oldest listed one with
+    const rows = await enhancedStateManager.getHistory(HISTORY_LIMIT + 1);
+    const snapshots = rows.map(row => ({
+      id: row.id,
+      createdAt: row.created_at,
+      changeSet: row.change_set || null,
+      progress: enhancedStateManager.getStateFromCloud(row.progress_snapshot)
+    }));
+
+    return snapshots.slice(0, HISTORY_LIMIT).map((snapshot, index) => {
+      const previous = snapshots[index + 1];
+      const descriptions = previous
+        ? progressSchema.diff(previous.progress, snapshot.progress).map(change => progressSchema.describeChange(change))
+        : this.describeChangeSet(snapshot.changeSet);
+      return { ...snapshot, descriptions };
+    }).filter(entry => entry.descriptions.length > 0);
+  }
+
+  /**
+   * Show the snapshots as a timeline
+   * @param {Element} listEl - List container
+   * @param {Element} previewEl - Preview container
+   */
+  renderList(listEl, previewEl) {
+    if (this.entries.length === 0) {
+      listEl.innerHTML = `<p class="muted">${t('history.empty')}</p>`;
+      return;
+    }
+
+    // Descriptions quote values, and devices are named, from the cloud, so
+    // they are escaped
+    listEl.innerHTML = `
+      <ol class="history-list">
+        ${this.entries.map((entry, index) => {
+          const shown = entry.descriptions.slice(0, CHANGES_SHOWN);
+          const hidden = entry.descriptions.length - shown.length;
+          return `
+            <li class="history-entry">
+              <div class="history-time">${DOM.escape([this.formatTime(entry.createdAt), ...this.describeSource(entry.changeSet)].join(' · '))}</div>
+              <ul class="history-changes">
+                ${shown.map(description => `<li>${DOM.escape(description)}</li>`).join('')}
+                ${hidden > 0 ? `<li class="muted">${t('history.more', { count: hidden })}</li>` : ''}
+              </ul>
+              <button type="button" class="btn" data-history-entry="${index}">${t('history.preview')}</button>
+            </li>
+          `;
+        }).join('')}
+      </ol>
+    `;
+
+    DOM.$$('[data-history-entry]', listEl).forEach(button => {
+      button.addEventListener('click', () => {
+        this.renderPreview(this.entries[Number(button.dataset.historyEntry)], previewEl);
+      });
+    });
+  }
+
+  /**
+   * Show how a snapshot differs from the current progress, with the button
+   * that restores it
+   * @param {Object} entry - Entry from loadEntries()
+   * @param {Element} previewEl - Preview container
+   */
+  renderPreview(entry, previewEl) {
+    const changes = progressSchema.diff(enhancedStateManager.getState(), entry.progress);
+    const heading = `<h4>${t('history.previewTitle', { time: this.formatTime(entry.createdAt) })}</h4>`;
+
+    if (changes.length === 0) {
+      previewEl.innerHTML = `${heading}<p class="muted">${t('history.matches')}</p>`;
+      return;
+    }
+
+    // Snapshot values and keys come from the cloud, so they are escaped
+    const rows = changes.map(change => `
+      <tr>
+        <th scope="row">${DOM.escape(progressSchema.getChangeLabel(change))}</th>
+        <td>${DOM.escape(progressSchema.formatValue(change.field, change.from))}</td>
+        <td>${DOM.escape(progressSchema.formatValue(change.field, change.to))}</td>
+      </tr>
+    `).join('');
+
+    previewEl.innerHTML = `
+      ${heading}
+      <table class="import-diff">
+        <thead>
+          <tr><th>${t('import.columns.field')}</th><th>${t('import.columns.current')}</th><th>${t('history.columns.snapshot')}</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="tiny">${t('history.restoreNote')}</p>
+      <div class="auth-error" data-history-failed style="display: none;"></div>
+      <div class="import-actions">
+        <button type="button" class="btn primary" data-history-restore>${t('history.restore')}</button>
+      </div>
+    `;
+
+    DOM.$('[data-history-restore]', previewEl).addEventListener('click', async (event) => {
+      event.target.disabled = true;
+      const result = await this.handleRestore(entry.progress);
+      if (result.success) {
+        window.modalManager.closeModal();
+      } else {
+        event.target.disabled = false;
+        const failedEl = DOM.$('[data-history-failed]', previewEl);
+        failedEl.textContent = result.error || t('history.restoreFailed');
+        failedEl.style.display = 'block';
+      }
+    });
+
+    previewEl.scrollIntoView?.({ block: 'nearest' });
+  }
+
+  /**
+   * Describe the changes in a change set, which names what changed but not
+   * the values
+   * @param {Object|null} changeSet - Change set saved with the snapshot
+   * @returns {Array<string>} Descriptions
+   */
+  describeChangeSet(changeSet) {
+    if (!changeSet) {
+      return [t('history.saved')];
+    }
+
+    const descriptions = [
+      ...(changeSet.completed || []).map(key => progressSchema.describeChange({ field: 'completed', key, to: true })),
+      ...(changeSet.uncompleted || []).map(key => progressSchema.describeChange({ field: 'completed', key, to: false })),
+      ...(changeSet.fields || []).map(path => t('history.changes.updated', {
+        field: progressSchema.getChangeLabel(progressSchema.parseItemPath(path))
+      }))
+    ];
+    return descriptions.length > 0 ? descriptions : [t('history.saved')];
+  }
+
+  /**
+   * Describe why and where a snapshot was saved, e.g. "Imported from a file"
+   * and "Firefox on Windows"
+   * @param {Object|null} changeSet - Change set saved with the snapshot
+   * @returns {Array<string>} Reason and device, where known
+   */
+  describeSource(changeSet) {
+    if (!changeSet) {
+      return [];
+    }
+
+    const source = [];
+    if (changeSet.reason) {
+      source.push(t(`history.reasons.${changeSet.reason}`));
+    }
+    const { browser, os } = changeSet.device || {};
+    if (browser && os) {
+      source.push(t('history.device', { browser, os }));
+    } else if (browser || os) {
+      source.push(browser || os);
+    }
+    return source;
+  }
+
+  /**
+   * Format when a snapshot was saved
+   * @param {string} timestamp - ISO timestamp
+   * @returns {string} Date and time
+   */
+  formatTime(timestamp) {
+    return i18n.formatDate(new Date(timestamp), { dateStyle: 'medium', timeStyle: 'short' });
+  }
+}
+
+// Export singleton instance
+const progressHistory = new ProgressHistory();
+export default progressHistory;
\ No newline at end of file
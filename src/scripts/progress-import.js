@@ -0,0 +1,161 @@
+/**
+ * Progress Import Module
+ * Reads a progress file, validates it and previews the changes before the
+ * user replaces or merges their progress
+ */
+
+import enhancedStateManager from './enhanced-state-manager.js';
+import progressSchema from './progress-schema.js';
+import { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+class ProgressImport {
+  constructor() {
+    // Applies validated progress; the app replaces this to sync and re-render
+    this.handleImport = async (progress, mode) => enhancedStateManager.importProgress(progress, mode);
+  }
+
+  /**
+   * Open the import dialog
+   */
+  openDialog() {
+    const body = window.modalManager.openContent(t('import.title'), `
+      <p class="muted">${t('import.intro')}</p>
+      <input type="file" accept=".json,application/json" data-import-file>
+      <div class="auth-error" data-import-errors style="display: none; margin-top: 12px;"></div>
+      <div data-import-preview></div>
+    `);
+
+    DOM.$('[data-import-file]', body).addEventListener('change', (event) => {
+      const file = event.target.files[0];
+      if (file) {
+        this.handleFile(file, body);
+      }
+    });
+  }
+
+  /**
+   * Read and validate a file, then show its errors or the change preview
+   * @param {File} file - Selected file
+   * @param {Element} body - Dialog body
+   * @returns {Promise<void>}
+   */
+  async handleFile(file, body) {
+    const errorsEl = DOM.$('[data-import-errors]', body);
+    const previewEl = DOM.$('[data-import-preview]', body);
+    previewEl.innerHTML = '';
+
+    let result;
+    try {
+      result = this.parse(await this.readFile(file));
+    } catch (error) {
+      console.error('Error reading progress file:', error);
+      result = { valid: false, errors: [t('import.errors.unreadable')], progress: null };
+    }
+
+    const { valid, errors, progress } = result;
+    if (!valid) {
+      errorsEl.innerHTML = `
+        <strong>${t('import.invalid')}</strong>
+        <ul class="list"></ul>
+      `;
+      // Errors quote values from the file, so they are set as text rather
+      // than HTML
+      const listEl = DOM.$('ul', errorsEl);
+      errors.forEach(error => {
+        const item = document.createElement('li');
+        item.textContent = error;
+        listEl.appendChild(item);
+      });
+      errorsEl.style.display = 'block';
+      return;
+    }
+
+    errorsEl.style.display = 'none';
+    this.renderPreview(progress, previewEl);
+  }
+
+  /**
+   * Parse and validate the text of a progress file
+   * @param {string} text - File contents
+   * @returns {Object} { valid, errors, progress } from progressSchema.validate()
+   */
+  parse(text) {
+    let data;
+    try {
+      data = JSON.parse(text);
+    } catch (error) {
+      return { valid: false, errors: [t('import.errors.invalidJson')], progress: null };
+    }
+    return progressSchema.validate(data);
+  }
+
+  /**
+   * Show how the file differs from the current progress, with the buttons
+   * that apply it
+   * @param {Object} progress - Validated progress
+   * @param {Element} previewEl - Preview container
+   */
+  renderPreview(progress, previewEl) {
+    const changes = progressSchema.diff(enhancedStateManager.getState(), progress);
+    if (changes.length === 0) {
+      previewEl.innerHTML = `<p class="muted">${t('import.noChanges')}</p>`;
+      return;
+    }
+
+    // Values and keys come from the file, so they are escaped
+    const rows = changes.map(change => `
+      <tr>
+        <th scope="row">${DOM.escape(progressSchema.getChangeLabel(change))}</th>
+        <td>${DOM.escape(progressSchema.formatValue(change.field, change.from))}</td>
+        <td>${DOM.escape(progressSchema.formatValue(change.field, change.to))}</td>
+      </tr>
+    `).join('');
+
+    previewEl.innerHTML = `
+      <table class="import-diff">
+        <thead>
+          <tr><th>${t('import.columns.field')}</th><th>${t('import.columns.current')}</th><th>${t('import.columns.incoming')}</th></tr>
+        </thead>
+        <tbody>${rows}</tbody>
+      </table>
+      <p class="tiny">${t('import.modeNote')}</p>
+      <div class="auth-error" data-import-failed style="display: none;"></div>
+      <div class="import-actions">
+        <button type="button" class="btn primary" data-import-mode="replace">${t('import.replace')}</button>
+        <button type="button" class="btn" data-import-mode="merge">${t('import.merge')}</button>
+      </div>
+    `;
+
+    DOM.$$('[data-import-mode]', previewEl).forEach(button => {
+      button.addEventListener('click', async () => {
+        const success = await this.handleImport(progress, button.dataset.importMode);
+        if (success) {
+          window.modalManager.closeModal();
+        } else {
+          const failedEl = DOM.$('[data-import-failed]', previewEl);
+          failedEl.textContent = t('import.failed');
+          failedEl.style.display = 'block';
+        }
+      });
+    });
+  }
+
+  /**
+   * Read a file as text
+   * @param {File} file - File
+   * @returns {Promise<string>} File contents
+   */
+  readFile(file) {
+    return new Promise((resolve, reject) => {
+      const reader = new FileReader();
+      reader.onload = () => resolve(reader.result);
+      reader.onerror = () => reject(reader.error);
+      reader.readAsText(file);
+    });
+  }
+}
+
+// Export singleton instance
+const progressImport = new ProgressImport();
+export default progressImport;
\ No newline at end of file
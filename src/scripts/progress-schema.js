@@ -0,0 +1,402 @@
+/**
+ * Progress Schema Module
+ * Validates imported progress files against a versioned schema, and diffs,
+ * merges and describes progress
+ */
+
+import dataManager from './data-manager.js';
+import smallSupplier from './small-supplier.js';
+import deadlines, { FILING_FREQUENCIES } from './deadlines.js';
+import i18n, { t } from './i18n.js';
+
+// Bump when the shape of exported progress changes, and add a migration
+// from the previous version to MIGRATIONS
+export const PROGRESS_SCHEMA_VERSION = 1;
+
+// Migrations keyed by the version they upgrade from
+const MIGRATIONS = {};
+
+// Answers to the plan questions, in the order the preview lists them
+export const ANSWER_FIELDS = ['province', 'industry', 'hiring', 'revenue', 'structure',
+  'fiscalYearEnd', 'incorporationDate', 'gstFilingFrequency'];
+
+// Progress keyed by step
+export const STEP_FIELDS = ['completed', 'dueDates'];
+
+export const PROGRESS_FIELDS = [...ANSWER_FIELDS, 'quarterlyRevenue', ...STEP_FIELDS];
+
+class ProgressSchema {
+  /**
+   * Validate a progress file. Fields starting with "_" are metadata and are
+   * ignored. Files without a schema version predate versioning and are read
+   * as version 1.
+   * @param {*} data - Parsed file contents
+   * @returns {Object} { valid, errors, progress } where progress holds only
+   *   the validated progress fields
+   */
+  validate(data) {
+    if (!data || typeof data !== 'object' || Array.isArray(data)) {
+      return { valid: false, errors: [t('import.errors.notObject')], progress: null };
+    }
+
+    const version = data._schemaVersion ?? 1;
+    if (!Number.isInteger(version) || version < 1) {
+      return { valid: false, errors: [t('import.errors.invalidVersion')], progress: null };
+    }
+    if (version > PROGRESS_SCHEMA_VERSION) {
+      return { valid: false, errors: [t('import.errors.newerVersion', { version })], progress: null };
+    }
+
+    const migrated = this.migrate(data, version);
+    const errors = [];
+    const progress = {};
+
+    Object.keys(migrated)
+      .filter(field => !field.startsWith('_') && !PROGRESS_FIELDS.includes(field))
+      .forEach(field => errors.push(t('import.errors.unknownField', { field })));
+
+    PROGRESS_FIELDS.filter(field => migrated[field] !== undefined).forEach(field => {
+      const fieldErrors = this.validateField(field, migrated[field]);
+      if (fieldErrors.length > 0) {
+        errors.push(...fieldErrors);
+      } else {
+        progress[field] = migrated[field];
+      }
+    });
+
+    if (errors.length === 0 && Object.keys(progress).length === 0) {
+      errors.push(t('import.errors.empty'));
+    }
+
+    return { valid: errors.length === 0, errors, progress: errors.length === 0 ? progress : null };
+  }
+
+  /**
+   * Upgrade progress data to the current schema version
+   * @param {Object} data - Progress data
+   * @param {number} version - Schema version the data was written with
+   * @returns {Object} Progress data in the current schema
+   */
+  migrate(data, version) {
+    let migrated = data;
+    for (let from = version; from < PROGRESS_SCHEMA_VERSION; from++) {
+      migrated = MIGRATIONS[from](migrated);
+    }
+    return migrated;
+  }
+
+  /**
+   * Validate one progress field
+   * @param {string} field - Field name
+   * @param {*} value - Field value
+   * @returns {Array<string>} Error messages
+   */
+  validateField(field, value) {
+    const invalid = [t('import.errors.invalidValue', { field })];
+
+    switch (field) {
+      case 'province':
+        if (typeof value !== 'string') return invalid;
+        return value === '' || dataManager.getProvinceCodes().includes(value)
+          ? []
+          : [t('import.errors.unknownProvince', { value })];
+      case 'industry':
+        return dataManager.getIndustryTypes().some(type => type.value === value)
+          ? []
+          : [t('import.errors.unknownIndustry', { value })];
+      case 'hiring':
+        return ['yes', 'no'].includes(value) ? [] : invalid;
+      case 'revenue':
+        return ['lt30', 'gte30'].includes(value) ? [] : invalid;
+      case 'structure':
+        if (typeof value !== 'string') return invalid;
+        return value === '' || dataManager.getBusinessStructureById(value)
+          ? []
+          : [t('import.errors.unknownStructure', { value })];
+      case 'fiscalYearEnd':
+      case 'incorporationDate':
+        return value === '' || deadlines.parseDate(value) ? [] : invalid;
+      case 'gstFilingFrequency':
+        return FILING_FREQUENCIES.includes(value) ? [] : invalid;
+      case 'quarterlyRevenue':
+        if (!this.isPlainObject(value)) return invalid;
+        return Object.entries(value).every(([quarter, amount]) =>
+          smallSupplier.parseQuarterKey(quarter) && Number.isFinite(amount) && amount >= 0)
+          ? []
+          : invalid;
+      case 'completed':
+      case 'dueDates': {
+        if (!this.isPlainObject(value)) return invalid;
+
+        const stepKeys = dataManager.getAllSteps().map(step => step.key);
+        const errors = Object.keys(value)
+          .filter(key => !stepKeys.includes(key))
+          .map(key => t('import.errors.unknownStep', { key, field }));
+
+        const isValid = field === 'completed'
+          ? entry => typeof entry === 'boolean'
+          : entry => Boolean(deadlines.parseDate(entry));
+        if (!Object.values(value).every(isValid)) {
+          errors.push(...invalid);
+        }
+        return errors;
+      }
+      default:
+        return invalid;
+    }
+  }
+
+  /**
+   * Merge incoming progress into the current progress. Answers the file
+   * leaves empty keep their current value; quarterly sales and due dates are
+   * combined with the file winning for the same quarter or step; a step is
+   * complete if it is complete in either.
+   * @param {Object} current - Current progress
+   * @param {Object} incoming - Validated incoming progress
+   * @returns {Object} Merged progress
+   */
+  merge(current, incoming) {
+    const merged = { ...current };
+
+    ANSWER_FIELDS.forEach(field => {
+      if (incoming[field] !== undefined && incoming[field] !== '') {
+        merged[field] = incoming[field];
+      }
+    });
+
+    merged.quarterlyRevenue = { ...current.quarterlyRevenue, ...incoming.quarterlyRevenue };
+    merged.dueDates = { ...current.dueDates, ...incoming.dueDates };
+    merged.completed = { ...current.completed };
+    Object.entries(incoming.completed || {}).forEach(([key, completed]) => {
+      merged.completed[key] = Boolean(merged.completed[key] || completed);
+    });
+
+    return merged;
+  }
+
+  /**
+   * List the differences between current and incoming progress
+   * @param {Object} current - Current progress
+   * @param {Object} incoming - Validated incoming progress
+   * @returns {Array<Object>} Changes ({ field, key, from, to }); key is the
+   *   quarter or step key for keyed fields. Answers missing from the file
+   *   are left out.
+   */
+  diff(current, incoming) {
+    const changes = [];
+
+    ANSWER_FIELDS.filter(field => incoming[field] !== undefined).forEach(field => {
+      if (incoming[field] !== current[field]) {
+        changes.push({ field, key: null, from: current[field], to: incoming[field] });
+      }
+    });
+
+    ['quarterlyRevenue', ...STEP_FIELDS].forEach(field => {
+      const from = current[field] || {};
+      const to = incoming[field] || {};
+      const keys = [...new Set([...Object.keys(from), ...Object.keys(to)])];
+
+      keys.forEach(key => {
+        if (!this.isSameValue(field, from[key], to[key])) {
+          changes.push({ field, key, from: from[key], to: to[key] });
+        }
+      });
+    });
+
+    return changes;
+  }
+
+  /**
+   * Three-way merge of progress changed in two places since a common base.
+   * Items changed on one side only take that side's value; items changed on
+   * both sides to different values are returned as conflicts.
+   * @param {Object} base - Progress both sides last agreed on
+   * @param {Object} local - Local progress
+   * @param {Object} remote - Remote progress
+   * @returns {Object} { merged, applied, conflicts } where merged is local
+   *   progress with the applied remote changes, and each conflict is a change
+   *   from the local value ("from") to the remote value ("to")
+   */
+  mergeThreeWay(base, local, remote) {
+    const localChanges = new Map(this.diff(base, local).map(change => [this.getItemPath(change), change]));
+    const applied = [];
+    const conflicts = [];
+
+    this.diff(base, remote).forEach(change => {
+      const localChange = localChanges.get(this.getItemPath(change));
+      if (!localChange) {
+        applied.push(change);
+      } else if (!this.isSameValue(change.field, localChange.to, change.to)) {
+        conflicts.push({ field: change.field, key: change.key, from: localChange.to, to: change.to });
+      }
+    });
+
+    return { merged: this.applyChanges(local, applied), applied, conflicts };
+  }
+
+  /**
+   * Path that identifies the answer, quarter or step a change is about, e.g.
+   * "province", "quarterlyRevenue.2025-Q3" or "completed.structure"
+   * @param {Object} change - Change from diff()
+   * @returns {string} Item path
+   */
+  getItemPath(change) {
+    return change.key === null ? change.field : `${change.field}.${change.key}`;
+  }
+
+  /**
+   * Split an item path from getItemPath() into its field and key
+   * @param {string} path - Item path
+   * @returns {Object} { field, key } where key is null for answers
+   */
+  parseItemPath(path) {
+    const index = path.indexOf('.');
+    return index === -1
+      ? { field: path, key: null }
+      : { field: path.slice(0, index), key: path.slice(index + 1) };
+  }
+
+  /**
+   * Compare two values of a field; a step that is missing is not complete
+   * @param {string} field - Field name
+   * @param {*} a - Value
+   * @param {*} b - Value
+   * @returns {boolean}
+   */
+  isSameValue(field, a, b) {
+    return field === 'completed' ? Boolean(a) === Boolean(b) : a === b;
+  }
+
+  /**
+   * Apply changes from diff() to progress
+   * @param {Object} progress - Progress the changes were diffed from
+   * @param {Array<Object>} changes - Changes to apply
+   * @returns {Object} Progress with each change's "to" value
+   */
+  applyChanges(progress, changes) {
+    const updated = {
+      ...progress,
+      quarterlyRevenue: { ...progress.quarterlyRevenue },
+      completed: { ...progress.completed },
+      dueDates: { ...progress.dueDates }
+    };
+
+    changes.forEach(({ field, key, to }) => {
+      if (key === null) {
+        updated[field] = to;
+      } else if (to === undefined) {
+        delete updated[field][key];
+      } else {
+        updated[field][key] = to;
+      }
+    });
+
+    return updated;
+  }
+
+  /**
+   * Label a change for display
+   * @param {Object} change - Change from diff()
+   * @returns {string} Label
+   */
+  getChangeLabel(change) {
+    switch (change.field) {
+      case 'quarterlyRevenue':
+        return t('import.fields.quarterlyRevenue', { quarter: smallSupplier.getQuarterLabel(change.key) });
+      case 'completed':
+      case 'dueDates': {
+        const step = dataManager.getAllSteps().find(item => item.key === change.key);
+        return t(`import.fields.${change.field}`, { step: step ? step.title : change.key });
+      }
+      default:
+        return t(`import.fields.${change.field}`);
+    }
+  }
+
+  /**
+   * Describe a change in a sentence, e.g. "Marked 'Business Number'
+   * complete" or "Province changed Ontario → British Columbia"
+   * @param {Object} change - Change from diff()
+   * @returns {string} Description
+   */
+  describeChange(change) {
+    if (change.field === 'completed') {
+      const key = change.to ? 'history.changes.completed' : 'history.changes.uncompleted';
+      return t(key, { step: this.getChangeLabel(change) });
+    }
+    return t('history.changes.changed', {
+      field: this.getChangeLabel(change),
+      from: this.formatValue(change.field, change.from),
+      to: this.formatValue(change.field, change.to)
+    });
+  }
+
+  /**
+   * Sort changes into answers and due dates that changed, and steps marked
+   * complete or not complete
+   * @param {Array<Object>} changes - Changes from diff()
+   * @returns {Object} { fields, completed, uncompleted } with item paths for
+   *   fields and step keys for the others
+   */
+  summarizeChanges(changes) {
+    const summary = { fields: [], completed: [], uncompleted: [] };
+    changes.forEach(change => {
+      if (change.field !== 'completed') {
+        summary.fields.push(this.getItemPath(change));
+      } else if (change.to) {
+        summary.completed.push(change.key);
+      } else {
+        summary.uncompleted.push(change.key);
+      }
+    });
+    return summary;
+  }
+
+  /**
+   * Format a progress value for display
+   * @param {string} field - Field name
+   * @param {*} value - Value
+   * @returns {string} Display text
+   */
+  formatValue(field, value) {
+    if (field === 'completed') {
+      return value ? t('export.status.complete') : t('export.status.todo');
+    }
+    if (value === undefined || value === null || value === '') {
+      return '—';
+    }
+
+    switch (field) {
+      case 'province':
+        return dataManager.getProvincialResources(value)?.name || value;
+      case 'industry':
+        return dataManager.getIndustryTypes().find(type => type.value === value)?.label || value;
+      case 'hiring':
+        return value === 'yes' ? t('summary.yes') : t('summary.no');
+      case 'revenue':
+        return value === 'gte30' ? t('summary.revenueOver') : t('summary.revenueUnder');
+      case 'structure':
+        return dataManager.getBusinessStructureById(value)?.name || value;
+      case 'gstFilingFrequency':
+        return t(`deadlines.frequencies.${value}`);
+      case 'quarterlyRevenue':
+        return i18n.formatCurrency(value);
+      default:
+        // fiscalYearEnd, incorporationDate and dueDates
+        return i18n.formatDate(deadlines.parseDate(value));
+    }
+  }
+
+  /**
+   * Check for an object that is not an array or null
+   * @param {*} value - Value
+   * @returns {boolean}
+   */
+  isPlainObject(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+  }
+}
+
+// Export singleton instance
+const progressSchema = new ProgressSchema();
+export default progressSchema;
\ No newline at end of file
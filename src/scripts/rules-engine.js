@@ -0,0 +1,120 @@
+/**
+ * Rules Engine Module
+ * Evaluates the data-driven step definitions in steps.json against the current state
+ */
+
+/**
+ * Keys with special meaning inside a condition object
+ */
+export const COMPOSITE_KEYS = ['all', 'any', 'not'];
+
+class RulesEngine {
+  /**
+   * Build the facts object conditions are evaluated against
+   * @param {Object} state - Application state from getState()
+   * @param {Object} derived - Derived facts (e.g. gstRequired)
+   * @returns {Object} Facts object
+   */
+  buildFacts(state, derived = {}) {
+    return { ...state, ...derived };
+  }
+
+  /**
+   * Check whether a condition matches the given facts.
+   * A condition is an object of fact names to expected values (all must match).
+   * A scalar value must be equal, an array lists the allowed values.
+   * The composite keys `all`, `any` (arrays of conditions) and `not` (a condition) can be nested.
+   * @param {Object|undefined} condition - Condition to evaluate
+   * @param {Object} facts - Facts object
+   * @returns {boolean} True if the condition matches (or is empty)
+   */
+  matches(condition, facts) {
+    if (!condition) return true;
+
+    return Object.entries(condition).every(([key, expected]) => {
+      switch (key) {
+        case 'all':
+          return expected.every(item => this.matches(item, facts));
+        case 'any':
+          return expected.some(item => this.matches(item, facts));
+        case 'not':
+          return !this.matches(expected, facts);
+        default:
+          return this.matchesValue(facts[key], expected);
+      }
+    });
+  }
+
+  /**
+   * Compare a single fact value with the expected value
+   * @param {*} actual - Fact value
+   * @param {*} expected - Expected scalar or array of allowed values
+   * @returns {boolean}
+   */
+  matchesValue(actual, expected) {
+    if (Array.isArray(expected)) {
+      return expected.includes(actual);
+    }
+    return actual === expected;
+  }
+
+  /**
+   * Get the steps that apply to the given facts
+   * @param {Array} steps - Step definitions
+   * @param {Object} facts - Facts object
+   * @returns {Array} Applicable steps
+   */
+  getApplicableSteps(steps, facts) {
+    return steps.filter(step => this.matches(step.when, facts));
+  }
+
+  /**
+   * Get the panels of a step that apply to the given facts
+   * @param {Object} step - Step definition
+   * @param {Object} facts - Facts object
+   * @returns {Array} Applicable panels
+   */
+  getApplicablePanels(step, facts) {
+    return (step.panels || []).filter(panel => this.matches(panel.when, facts));
+  }
+
+  /**
+   * Resolve the kicker text for a step. The first matching entry in
+   * `kickers` wins, otherwise the default `kicker` is used.
+   * @param {Object} step - Step definition
+   * @param {Object} facts - Facts object
+   * @returns {string} Kicker text
+   */
+  resolveKicker(step, facts) {
+    const match = (step.kickers || []).find(entry => this.matches(entry.when, facts));
+    return match ? match.text : step.kicker;
+  }
+
+  /**
+   * Resolve a dotted path (e.g. "federal.bn") against a context object
+   * @param {string} path - Dotted path
+   * @param {Object} context - Context with provincial, federal and state entries
+   * @returns {*} Resolved value or undefined
+   */
+  resolve(path, context) {
+    return path.split('.').reduce((value, part) => (value == null ? undefined : value[part]), context);
+  }
+
+  /**
+   * Replace {{path}} placeholders in text with values from the context
+   * @param {string} text - Text with placeholders
+   * @param {Object} context - Context object
+   * @returns {string} Interpolated text
+   */
+  interpolate(text, context) {
+    if (!text) return '';
+    return text.replace(/\{\{\s*([\w.]+)\s*\}\}/g, (match, path) => {
+      const value = this.resolve(path, context);
+      return value == null ? '' : String(value);
+    });
+  }
+}
+
+// Export singleton instance
+const rulesEngine = new RulesEngine();
+export default rulesEngine;
\ No newline at end of file
@@ -0,0 +1,118 @@
+/**
+ * Sales Tax Module
+ * Works out GST, HST and provincial sales tax from the structured `tax` data in resources.json
+ */
+
+import i18n, { t } from './i18n.js';
+
+class SalesTax {
+  /**
+   * Get the taxes charged on a taxable sale in a province.
+   * HST replaces GST and provincial sales tax where it applies.
+   * @param {Object} tax - Provincial tax data ({ gst, hst, pst, pstName, ... })
+   * @returns {Array<Object>} Tax components ({ key: 'gst'|'hst'|'pst', rate, name? })
+   */
+  getComponents(tax) {
+    if (!tax) return [];
+
+    if (tax.hst) {
+      return [{ key: 'hst', rate: tax.hst }];
+    }
+
+    const components = [{ key: 'gst', rate: tax.gst }];
+    if (tax.pst) {
+      components.push({ key: 'pst', rate: tax.pst, name: tax.pstName });
+    }
+    return components;
+  }
+
+  /**
+   * Get the combined sales tax rate for a province
+   * @param {Object} tax - Provincial tax data
+   * @returns {number} Combined rate in percent
+   */
+  getCombinedRate(tax) {
+    return this.getComponents(tax).reduce((sum, component) => sum + component.rate, 0);
+  }
+
+  /**
+   * Check whether the province charges its own sales tax that needs a
+   * separate provincial registration (PST, RST or QST)
+   * @param {Object} tax - Provincial tax data
+   * @returns {boolean}
+   */
+  hasProvincialSalesTax(tax) {
+    return !!(tax && !tax.hst && tax.pst);
+  }
+
+  /**
+   * Describe the sales taxes charged in a province (e.g. "GST 5% + PST 7%.")
+   * @param {Object} tax - Provincial tax data
+   * @returns {string} Summary text
+   */
+  describe(tax) {
+    if (!tax) return '';
+
+    if (tax.hst) {
+      return t('tax.summaryHst', { hst: t('tax.hst'), rate: i18n.formatPercent(tax.hst) });
+    }
+    if (tax.pst) {
+      return t('tax.summaryGstPst', {
+        gst: t('tax.gst'),
+        gstRate: i18n.formatPercent(tax.gst),
+        pst: tax.pstName,
+        pstRate: i18n.formatPercent(tax.pst)
+      });
+    }
+    return t('tax.summaryGst', { gst: t('tax.gst'), rate: i18n.formatPercent(tax.gst) });
+  }
+
+  /**
+   * Describe when to register for the provincial sales tax
+   * @param {Object} tax - Provincial tax data
+   * @returns {string} Registration text, or '' if the province has no separate sales tax
+   */
+  describeRegistration(tax) {
+    if (!this.hasProvincialSalesTax(tax)) return '';
+
+    return tax.registrationThreshold
+      ? t('tax.registerThreshold', { pst: tax.pstName, amount: i18n.formatCurrency(tax.registrationThreshold) })
+      : t('tax.registerNoThreshold', { pst: tax.pstName });
+  }
+
+  /**
+   * Calculate the tax on a pre-tax amount. Each tax is rounded to the cent.
+   * @param {number} amount - Amount before tax in dollars
+   * @param {Object} tax - Provincial tax data
+   * @returns {Object} { subtotal, lines: [{ key, name, rate, amount }], totalTax, total }
+   */
+  calculate(amount, tax) {
+    const subtotal = Number.isFinite(amount) && amount > 0 ? amount : 0;
+
+    const lines = this.getComponents(tax).map(component => ({
+      ...component,
+      amount: this.roundToCents(subtotal * component.rate / 100)
+    }));
+    const totalTax = this.roundToCents(lines.reduce((sum, line) => sum + line.amount, 0));
+
+    return {
+      subtotal,
+      lines,
+      totalTax,
+      total: this.roundToCents(subtotal + totalTax)
+    };
+  }
+
+  /**
+   * Round a dollar amount to the nearest cent
+   * @param {number} value - Amount in dollars
+   * @returns {number} Rounded amount
+   */
+  roundToCents(value) {
+    return Math.round((value + Number.EPSILON) * 100) / 100;
+  }
+}
+
+// Export singleton instance
+const salesTax = new SalesTax();
+export default salesTax;
\ No newline at end of file
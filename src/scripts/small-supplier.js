@@ -0,0 +1,200 @@
+/**
+ * Small Supplier Module
+ * Applies the CRA small-supplier tests to taxable sales entered by calendar quarter
+ */
+
+import i18n, { t } from './i18n.js';
+
+// Taxable supplies above this amount end small-supplier status
+export const SMALL_SUPPLIER_THRESHOLD = 30000;
+
+// Days allowed to register after ceasing to be a small supplier
+export const REGISTRATION_DAYS = 29;
+
+class SmallSupplier {
+  /**
+   * Get the quarter key (e.g. "2025-Q3") for a date
+   * @param {Date} date - Date
+   * @returns {string} Quarter key
+   */
+  getQuarterKey(date) {
+    return `${date.getFullYear()}-Q${Math.floor(date.getMonth() / 3) + 1}`;
+  }
+
+  /**
+   * Parse a quarter key
+   * @param {string} key - Quarter key (e.g. "2025-Q3")
+   * @returns {Object|null} { year, quarter, start, end } or null if invalid
+   */
+  parseQuarterKey(key) {
+    const match = /^(\d{4})-Q([1-4])$/.exec(key || '');
+    if (!match) return null;
+
+    const year = Number(match[1]);
+    const quarter = Number(match[2]);
+    const firstMonth = (quarter - 1) * 3;
+
+    return {
+      year,
+      quarter,
+      start: new Date(year, firstMonth, 1),
+      end: new Date(year, firstMonth + 3, 0)
+    };
+  }
+
+  /**
+   * Get the key of the quarter that follows (or precedes) a quarter
+   * @param {string} key - Quarter key
+   * @param {number} offset - Number of quarters to move (negative for earlier)
+   * @returns {string} Quarter key
+   */
+  shiftQuarter(key, offset) {
+    const { year, quarter } = this.parseQuarterKey(key);
+    const index = year * 4 + (quarter - 1) + offset;
+    return `${Math.floor(index / 4)}-Q${(index % 4) + 1}`;
+  }
+
+  /**
+   * Get the quarters shown in the calculator: the last four completed
+   * quarters, the current quarter and the next three for planning
+   * @param {Date} today - Reference date
+   * @returns {Array<string>} Quarter keys in chronological order
+   */
+  getCalculatorQuarters(today = new Date()) {
+    const current = this.getQuarterKey(today);
+    return Array.from({ length: 8 }, (_, index) => this.shiftQuarter(current, index - 4));
+  }
+
+  /**
+   * Apply the single-quarter and four-consecutive-quarter tests.
+   *
+   * - Single quarter: sales over $30,000 in one calendar quarter end small-supplier
+   *   status with the sale that crosses the threshold. GST/HST applies to that sale
+   *   and registration is due within 29 days of it.
+   * - Four quarters: when the last four consecutive calendar quarters total over
+   *   $30,000, small-supplier status ends on the last day of the month after that
+   *   quarter. GST/HST applies from the next day and registration is due within
+   *   29 days of it.
+   *
+   * @param {Object} quarterlyRevenue - Taxable sales keyed by quarter ("2025-Q3": 12000)
+   * @returns {Object} { status: 'unknown'|'small'|'single-quarter'|'four-quarters',
+   *   quarter, total, ceasesOn, collectFrom, registerBy }
+   */
+  assess(quarterlyRevenue = {}) {
+    const keys = Object.keys(quarterlyRevenue)
+      .filter(key => this.parseQuarterKey(key) && Number.isFinite(quarterlyRevenue[key]))
+      .sort();
+
+    if (keys.length === 0) {
+      return { status: 'unknown', quarter: null, total: 0, ceasesOn: null, collectFrom: null, registerBy: null };
+    }
+
+    // Walk every quarter from the first to the last entry; gaps count as no sales
+    const recentQuarters = []; // Last four quarters, oldest first
+    let key = keys[0];
+    const last = keys[keys.length - 1];
+
+    while (key <= last) {
+      const amount = quarterlyRevenue[key] || 0;
+      recentQuarters.push(amount);
+      if (recentQuarters.length > 4) recentQuarters.shift();
+
+      if (amount > SMALL_SUPPLIER_THRESHOLD) {
+        return { status: 'single-quarter', quarter: key, total: amount, ceasesOn: null, collectFrom: null, registerBy: null };
+      }
+
+      const total = recentQuarters.reduce((sum, value) => sum + value, 0);
+      if (total > SMALL_SUPPLIER_THRESHOLD) {
+        const { end } = this.parseQuarterKey(key);
+        const ceasesOn = new Date(end.getFullYear(), end.getMonth() + 2, 0);
+        const collectFrom = this.addDays(ceasesOn, 1);
+
+        return {
+          status: 'four-quarters',
+          quarter: key,
+          total,
+          ceasesOn,
+          collectFrom,
+          registerBy: this.addDays(collectFrom, REGISTRATION_DAYS)
+        };
+      }
+
+      key = this.shiftQuarter(key, 1);
+    }
+
+    return {
+      status: 'small',
+      quarter: last,
+      total: recentQuarters.reduce((sum, value) => sum + value, 0),
+      ceasesOn: null,
+      collectFrom: null,
+      registerBy: null
+    };
+  }
+
+  /**
+   * Check whether an assessment means GST/HST registration is mandatory
+   * @param {Object} assessment - Result of assess()
+   * @returns {boolean}
+   */
+  isRegistrationRequired(assessment) {
+    return assessment.status === 'single-quarter' || assessment.status === 'four-quarters';
+  }
+
+  /**
+   * Describe an assessment in the active locale
+   * @param {Object} assessment - Result of assess()
+   * @returns {string} Status text
+   */
+  describe(assessment) {
+    const params = {
+      quarter: assessment.quarter ? this.getQuarterLabel(assessment.quarter) : '',
+      total: i18n.formatCurrency(assessment.total),
+      threshold: i18n.formatCurrency(SMALL_SUPPLIER_THRESHOLD),
+      days: REGISTRATION_DAYS
+    };
+
+    switch (assessment.status) {
+      case 'single-quarter':
+        return t('smallSupplier.singleQuarter', params);
+      case 'four-quarters':
+        return t('smallSupplier.fourQuarters', {
+          ...params,
+          ceasesOn: i18n.formatDate(assessment.ceasesOn),
+          collectFrom: i18n.formatDate(assessment.collectFrom),
+          registerBy: i18n.formatDate(assessment.registerBy)
+        });
+      case 'small':
+        return t('smallSupplier.small', params);
+      default:
+        return t('smallSupplier.empty');
+    }
+  }
+
+  /**
+   * Get a readable label for a calendar quarter (e.g. "Jul–Sep 2025")
+   * @param {string} quarter - Quarter key
+   * @returns {string} Label
+   */
+  getQuarterLabel(quarter) {
+    const { start, end } = this.parseQuarterKey(quarter);
+    return t('smallSupplier.quarterLabel', {
+      start: i18n.formatDate(start, { month: 'short' }),
+      end: i18n.formatDate(end, { month: 'short', year: 'numeric' })
+    });
+  }
+
+  /**
+   * Add days to a date
+   * @param {Date} date - Start date
+   * @param {number} days - Days to add
+   * @returns {Date} New date
+   */
+  addDays(date, days) {
+    return new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+  }
+}
+
+// Export singleton instance
+const smallSupplier = new SmallSupplier();
+export default smallSupplier;
\ No newline at end of file
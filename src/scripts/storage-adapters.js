@@ -0,0 +1,399 @@
+/**
+ * Storage Adapters Module
+ * Places the state manager keeps progress in. Every adapter has the same
+ * four methods:
+ *
+ * - load(planId): Promise of what is stored for a plan, or null
+ * - save(planId, data, options): Promise of what is stored afterwards
+ * - subscribe(listener, onStatus): start hearing about saves made
+ *   elsewhere (another tab or device); returns a function that stops
+ * - history(planId, limit): Promise of earlier snapshots, newest first
+ *
+ * Browser adapters (localStorage, IndexedDB, memory) keep this device's copy
+ * of each plan: { state, meta, syncBase }, where save() replaces only the
+ * parts it is given. The Supabase adapter keeps user_progress rows by cloud
+ * plan ID. HybridAdapter puts a browser adapter in front of Supabase for
+ * local-first use: the state manager works on the local copy and syncs it
+ * with the remote one.
+ */
+
+import supabaseClient from '../lib/supabase.js';
+import authManager from './auth-manager.js';
+import localStore from './local-store.js';
+import tabSync from './tab-sync.js';
+
+const EMPTY_PLAN_DATA = { state: null, meta: null, syncBase: null };
+
+// Memory adapters sharing each Map of plans
+const memoryPeers = new WeakMap();
+
+/**
+ * Keeps progress in the versioned localStorage record (see local-store.js).
+ * Other tabs hear about saves through tabSync.
+ */
+export class LocalStorageAdapter {
+  /**
+   * Read a plan's local copy
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async load(planId) {
+    return localStore.getPlanData(planId);
+  }
+
+  /**
+   * Save parts of a plan's local copy and tell other tabs
+   * @param {string} planId - Plan ID
+   * @param {Object} data - Any of state, meta and syncBase; null removes one
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async save(planId, data) {
+    localStore.savePlanData(planId, data);
+    tabSync.notifyStateChanged();
+    return this.load(planId);
+  }
+
+  /**
+   * Listen for saves made in other tabs
+   * @param {Function} listener - Called with (planId, data); the plan is
+   *   not known here, so both are null
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    const handler = (event) => {
+      if (event.type === 'state') {
+        listener(null, null);
+      }
+    };
+    tabSync.addListener(handler);
+    return () => tabSync.removeListener(handler);
+  }
+
+  /**
+   * Browser storage keeps no history
+   * @returns {Promise<Array<Object>>} No snapshots
+   */
+  async history() {
+    return [];
+  }
+}
+
+/**
+ * Keeps progress in IndexedDB, which holds more than localStorage. Other
+ * tabs hear about saves over a BroadcastChannel.
+ */
+export class IndexedDBAdapter {
+  /**
+   * @param {string} dbName - Database name
+   */
+  constructor(dbName = 'business-guide-progress') {
+    this.dbName = dbName;
+    this.storeName = 'plans';
+    this.db = null;
+    this.opening = null;
+    this.channel = window.BroadcastChannel ? new BroadcastChannel(dbName) : null;
+  }
+
+  /**
+   * Open the database, creating the plans store on first use
+   * @returns {Promise<IDBDatabase>} Database
+   */
+  async open() {
+    if (this.db) {
+      return this.db;
+    }
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve, reject) => {
+        const request = window.indexedDB.open(this.dbName, 1);
+
+        request.onupgradeneeded = () => {
+          request.result.createObjectStore(this.storeName, { keyPath: 'planId' });
+        };
+        request.onsuccess = () => {
+          this.db = request.result;
+          resolve(this.db);
+        };
+        request.onerror = () => {
+          this.opening = null;
+          reject(request.error);
+        };
+      });
+    }
+
+    return this.opening;
+  }
+
+  /**
+   * Read a plan's local copy
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async load(planId) {
+    await this.open();
+    const saved = await this.run('readonly', store => store.get(planId));
+    return { ...EMPTY_PLAN_DATA, ...saved?.data };
+  }
+
+  /**
+   * Save parts of a plan's local copy and tell other tabs
+   * @param {string} planId - Plan ID
+   * @param {Object} data - Any of state, meta and syncBase; null removes one
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async save(planId, data) {
+    await this.open();
+    let saved;
+    // Read and write in one transaction, so saves made together do not
+    // overwrite each other
+    await this.run('readwrite', store => {
+      const request = store.get(planId);
+      request.onsuccess = () => {
+        saved = { ...EMPTY_PLAN_DATA, ...request.result?.data, ...data };
+        store.put({ planId, data: saved });
+      };
+      return request;
+    });
+
+    try {
+      this.channel?.postMessage({ planId });
+    } catch (error) {
+      console.error('Error messaging other tabs:', error);
+    }
+    return saved;
+  }
+
+  /**
+   * Listen for saves made in other tabs
+   * @param {Function} listener - Called with (planId, null)
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    if (!this.channel) {
+      return () => {};
+    }
+
+    const handler = (event) => listener(event.data?.planId ?? null, null);
+    this.channel.addEventListener('message', handler);
+    return () => this.channel.removeEventListener('message', handler);
+  }
+
+  /**
+   * Browser storage keeps no history
+   * @returns {Promise<Array<Object>>} No snapshots
+   */
+  async history() {
+    return [];
+  }
+
+  /**
+   * Run a request against the plans store in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store; returns a request
+   * @returns {Promise<*>} Request result once the transaction completes
+   */
+  run(mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(this.storeName, mode);
+      const request = callback(transaction.objectStore(this.storeName));
+
+      transaction.oncomplete = () => resolve(request.result);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+/**
+ * Keeps progress in memory only, for tests and private windows where
+ * nothing should outlive the page. Adapters given the same Map act like
+ * tabs sharing storage: each hears about the others' saves.
+ */
+export class MemoryAdapter {
+  /**
+   * @param {Map} plans - Local copies by plan ID
+   */
+  constructor(plans = new Map()) {
+    this.plans = plans;
+    this.listeners = [];
+
+    if (!memoryPeers.has(plans)) {
+      memoryPeers.set(plans, new Set());
+    }
+    memoryPeers.get(plans).add(this);
+  }
+
+  /**
+   * Read a plan's local copy
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async load(planId) {
+    return structuredClone({ ...EMPTY_PLAN_DATA, ...this.plans.get(planId) });
+  }
+
+  /**
+   * Save parts of a plan's local copy and tell adapters sharing it
+   * @param {string} planId - Plan ID
+   * @param {Object} data - Any of state, meta and syncBase; null removes one
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async save(planId, data) {
+    const saved = structuredClone({ ...this.plans.get(planId), ...data });
+    this.plans.set(planId, saved);
+
+    memoryPeers.get(this.plans).forEach(peer => {
+      if (peer !== this) {
+        peer.listeners.forEach(listener => listener(planId, structuredClone(saved)));
+      }
+    });
+    return this.load(planId);
+  }
+
+  /**
+   * Listen for saves made by adapters sharing this one's plans
+   * @param {Function} listener - Called with (planId, data)
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    this.listeners.push(listener);
+    return () => {
+      this.listeners = this.listeners.filter(item => item !== listener);
+    };
+  }
+
+  /**
+   * Memory keeps no history
+   * @returns {Promise<Array<Object>>} No snapshots
+   */
+  async history() {
+    return [];
+  }
+}
+
+/**
+ * Keeps progress in the signed-in user's user_progress rows. Plan IDs are
+ * cloud plan IDs.
+ */
+export class SupabaseAdapter {
+  /**
+   * @param {Object} client - Supabase client wrapper
+   */
+  constructor(client = supabaseClient) {
+    this.client = client;
+  }
+
+  /**
+   * Read a plan's progress row
+   * @param {string} planId - Cloud plan ID
+   * @returns {Promise<Object|null>} Row, or null if there is none
+   */
+  async load(planId) {
+    return this.client.getUserProgress(this.getUserId(), planId);
+  }
+
+  /**
+   * Save a plan's progress row
+   * @param {string} planId - Cloud plan ID
+   * @param {Object} data - Row columns
+   * @param {Object} options - { expectedVersion }: the version the row must
+   *   still have, or null to create it
+   * @returns {Promise<Object>} Saved row
+   * @throws {Error} With code VERSION_CONFLICT if the row changed since
+   */
+  async save(planId, data, { expectedVersion = null } = {}) {
+    return this.client.saveUserProgress(this.getUserId(), planId, data, expectedVersion);
+  }
+
+  /**
+   * Listen for rows saved on other devices over Realtime
+   * @param {Function} listener - Called with (planId, row)
+   * @param {Function} onStatus - Called with each channel status
+   * @returns {Function} Stops listening; returns a promise
+   */
+  subscribe(listener, onStatus = () => {}) {
+    const channel = this.client.subscribeToUserProgress(
+      this.getUserId(),
+      (row) => listener(row.plan_id, row),
+      onStatus
+    );
+    return () => this.client.unsubscribe(channel);
+  }
+
+  /**
+   * Read the snapshots saved with each change
+   * @param {string} planId - Cloud plan ID
+   * @param {number} limit - Snapshots to read
+   * @returns {Promise<Array<Object>>} progress_history rows, newest first
+   */
+  async history(planId, limit) {
+    return this.client.getProgressHistory(this.getUserId(), planId, limit);
+  }
+
+  /**
+   * Get the signed-in user's ID
+   * @returns {string} User ID
+   * @throws {Error} If nobody is signed in
+   */
+  getUserId() {
+    const user = authManager.getCurrentUser();
+    if (!user) {
+      throw new Error('Sign in to use cloud storage');
+    }
+    return user.id;
+  }
+}
+
+/**
+ * Local-first storage: loads and saves go to the local adapter at once,
+ * and the state manager syncs the local copy with the remote adapter when
+ * it can. History comes from the remote adapter, which keeps it.
+ */
+export class HybridAdapter {
+  /**
+   * @param {Object} options - { local, remote } adapters
+   */
+  constructor({ local, remote }) {
+    this.local = local;
+    this.remote = remote;
+  }
+
+  /**
+   * Read a plan's local copy
+   * @param {string} planId - Plan ID
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async load(planId) {
+    return this.local.load(planId);
+  }
+
+  /**
+   * Save parts of a plan's local copy
+   * @param {string} planId - Plan ID
+   * @param {Object} data - Any of state, meta and syncBase
+   * @returns {Promise<Object>} { state, meta, syncBase }
+   */
+  async save(planId, data) {
+    return this.local.save(planId, data);
+  }
+
+  /**
+   * Listen for local saves made in other tabs. Remote saves are subscribed
+   * to on this.remote while signed in.
+   * @param {Function} listener - Called with (planId, data)
+   * @returns {Function} Stops listening
+   */
+  subscribe(listener) {
+    return this.local.subscribe(listener);
+  }
+
+  /**
+   * Read the remote snapshots
+   * @param {string} planId - Cloud plan ID
+   * @param {number} limit - Snapshots to read
+   * @returns {Promise<Array<Object>>} Snapshots, newest first
+   */
+  async history(planId, limit) {
+    return this.remote.history(planId, limit);
+  }
+}
\ No newline at end of file
@@ -5,17 +5,45 @@
 
 import enhancedStateManager from './enhanced-state-manager.js';
 import authManager from './auth-manager.js';
-import supabaseClient from '../lib/supabase.js';
+import { ERROR_TYPES } from '../lib/supabase.js';
+import progressSchema from './progress-schema.js';
+import syncQueue from './sync-queue.js';
+import tabSync from './tab-sync.js';
+import planManager from './plan-manager.js';
+import { createId } from '../lib/ids.js';
+import i18n, { t } from './i18n.js';
+import { DOM } from './ui-components.js';
+
+// How differences between local and cloud progress are resolved when merging
+export const CONFLICT_STRATEGIES = ['timestamp', 'local', 'cloud', 'manual'];
+
+// Failed syncs are retried after an exponential backoff, doubling from the
+// base delay. The circuit breaker stops the retries, so the longest wait is
+// RETRY_BASE_DELAY * 2 ** (CIRCUIT_FAILURE_THRESHOLD - 2): 16 seconds.
+const RETRY_BASE_DELAY = 2000; // 2 seconds
+
+// Consecutive failures that open the circuit breaker, pausing automatic sync
+// until the cooldown has passed and a trial sync works
+const CIRCUIT_FAILURE_THRESHOLD = 5;
+const CIRCUIT_COOLDOWN = 10 * 60 * 1000; // 10 minutes
+
+// Errors that a later attempt may not hit
+const RETRYABLE_ERRORS = [ERROR_TYPES.NETWORK, ERROR_TYPES.SERVER, ERROR_TYPES.CONFLICT, ERROR_TYPES.UNKNOWN];
 
 export class SyncManager {
   constructor() {
     this.isOnline = navigator.onLine;
-    this.syncQueue = [];
-    this.retryAttempts = 0;
-    this.maxRetries = 3;
-    this.retryDelay = 5000; // 5 seconds
+    this.queueLength = 0; // Offline operations waiting in syncQueue
+    this.retryAttempts = 0; // Consecutive failed syncs
+    this.sessionRefreshed = false; // Session refreshed since the last sync that worked
+    this.retryTimeout = null;
+    this.circuitOpenUntil = null; // Time automatic sync resumes, while paused
     this.syncInProgress = false;
+    this.migrating = false; // Sign-in migration choice pending
     this.conflictResolution = 'timestamp'; // 'timestamp', 'local', 'cloud', 'manual'
+
+    // Called after merged cloud progress is applied; the app replaces this to re-render
+    this.handleProgressChanged = () => {};
   }
 
   /**
@@ -34,6 +62,37 @@ export class SyncManager {
     // Listen to state changes for auto-sync
     enhancedStateManager.addSyncListener((syncEvent) => {
       this.handleSyncEvent(syncEvent);
+      this.trackSyncResult(syncEvent);
+      if (syncEvent.progressChanged) {
+        this.handleProgressChanged();
+      }
+    });
+
+    // Settle items changed both here and on another device with the user's strategy
+    enhancedStateManager.resolveConflicts = (conflicts) => this.resolveConflicts(conflicts);
+
+    // Log changes made offline or signed out so they can be replayed later
+    enhancedStateManager.handleLocalChanges = (changes) => {
+      this.recordOperations(changes);
+    };
+    this.queueLength = await syncQueue.count();
+
+    // Hold automatic syncs while repeated failures have opened the circuit,
+    // and while the user chooses how to migrate local progress at sign-in
+    enhancedStateManager.isSyncPaused = () => this.migrating || this.isCircuitOpen();
+
+    // A plan switched to replays its own offline changes, or syncs
+    enhancedStateManager.handlePlanChange = () => this.processSyncQueue();
+
+    // A tab that takes over cloud sync replays what other tabs logged offline
+    tabSync.addListener(async (event) => {
+      if (event.type !== 'leader') return;
+
+      if (!event.isLeader) {
+        this.cancelRetry();
+      } else if (await syncQueue.count() > 0) {
+        this.processSyncQueue();
+      }
     });
 
     console.log('Sync manager initialized');
@@ -60,11 +119,16 @@ export class SyncManager {
    */
   async handleAuthChange(authState) {
     if (authState.isAuthenticated) {
+      // Sign-in is handled once, by the tab that runs cloud sync
+      if (!tabSync.isLeader()) {
+        return;
+      }
+
       console.log('User signed in - initiating data migration and sync');
       await this.handleUserSignIn(authState.user);
     } else {
-      console.log('User signed out - clearing sync queue');
-      this.clearSyncQueue();
+      console.log('User signed out - logging changes until next sign-in');
+      this.resetRetries();
     }
   }
 
@@ -74,31 +138,51 @@ export class SyncManager {
    */
   async handleUserSignIn(user) {
     try {
+      // Link this device's plans to the account's before touching progress
+      await planManager.syncPlans();
+      await enhancedStateManager.followActivePlan();
+
+      // Progress was synced on this device before: replay what changed since
+      if (enhancedStateManager.getSyncBase()) {
+        await this.processSyncQueue();
+        return;
+      }
+
       // Check if we have local progress data
       const hasLocalData = enhancedStateManager.hasProgressData();
       
       if (hasLocalData) {
-        // Show migration options to user
-        const migrationChoice = await this.showMigrationDialog();
-        
-        switch (migrationChoice) {
-          case 'merge':
-            await this.mergeLocalAndCloudData();
-            break;
-          case 'cloud':
-            await this.useCloudData();
-            break;
-          case 'local':
-            await this.uploadLocalData();
-            break;
-          default:
-            // Default: merge data
-            await this.mergeLocalAndCloudData();
+        // Nothing, logged changes included, syncs until the user has chosen
+        this.migrating = true;
+        try {
+          // Show migration options to user
+          const migrationChoice = await this.showMigrationDialog();
+
+          switch (migrationChoice) {
+            case 'merge':
+              await this.mergeLocalAndCloudData();
+              break;
+            case 'cloud':
+              await this.useCloudData();
+              break;
+            case 'local':
+              await this.uploadLocalData();
+              break;
+            default:
+              // Default: merge data
+              await this.mergeLocalAndCloudData();
+          }
+        } finally {
+          this.migrating = false;
         }
       } else {
         // No local data, just sync from cloud
         await enhancedStateManager.syncFromCloud();
       }
+
+      // The logged changes, including any made signed out, are part of the
+      // local progress just migrated
+      await this.clearSyncQueue({ includeSignedOut: true });
     } catch (error) {
       console.error('Error handling user sign in:', error);
     }
@@ -146,30 +230,30 @@ export class SyncManager {
       <div class="migration-modal-overlay"></div>
       <div class="migration-modal-content">
         <div class="migration-modal-header">
-          <h3>Welcome back! We found existing progress</h3>
+          <h3>${t('sync.migrationTitle')}</h3>
         </div>
         <div class="migration-modal-body">
-          <p>We found progress saved on this device and in your account. How would you like to proceed?</p>
+          <p>${t('sync.migrationIntro')}</p>
           
           <div class="migration-options">
             <div class="migration-option">
               <button id="migrationMerge" class="migration-btn migration-btn-primary">
-                <strong>Smart Merge</strong>
-                <span>Combine local and cloud progress (recommended)</span>
+                <strong>${t('sync.mergeTitle')}</strong>
+                <span>${t('sync.mergeDescription')}</span>
               </button>
             </div>
             
             <div class="migration-option">
               <button id="migrationCloud" class="migration-btn">
-                <strong>Use Cloud Data</strong>
-                <span>Replace local progress with cloud data</span>
+                <strong>${t('sync.cloudTitle')}</strong>
+                <span>${t('sync.cloudDescription')}</span>
               </button>
             </div>
             
             <div class="migration-option">
               <button id="migrationLocal" class="migration-btn">
-                <strong>Use Local Data</strong>
-                <span>Upload local progress to cloud</span>
+                <strong>${t('sync.localTitle')}</strong>
+                <span>${t('sync.localDescription')}</span>
               </button>
             </div>
           </div>
@@ -189,13 +273,12 @@ export class SyncManager {
   }
 
   /**
-   * Merge local and cloud data intelligently
+   * Merge local and cloud data. Each answer, quarter and step that differs
+   * is resolved with the conflict strategy saved in the user's profile.
    */
   async mergeLocalAndCloudData() {
     try {
-      const user = authManager.getCurrentUser();
-      const cloudProgress = await supabaseClient.getUserProgress(user.id);
-      const localState = enhancedStateManager.getState();
+      const cloudProgress = await enhancedStateManager.storage.remote.load(await enhancedStateManager.getCloudPlanId());
       
       if (!cloudProgress) {
         // No cloud data, upload local
@@ -203,54 +286,167 @@ export class SyncManager {
         return;
       }
 
-      // Merge strategy: most recent completion per step, latest form data
-      const mergedData = {
-        // Use most recent form data
-        province: this.getMostRecent(localState.province, cloudProgress.province, 
-                                   localState._meta?.lastModified, new Date(cloudProgress.updated_at).getTime()),
-        industry: this.getMostRecent(localState.industry, cloudProgress.industry,
-                                   localState._meta?.lastModified, new Date(cloudProgress.updated_at).getTime()),
-        hiring: this.getMostRecent(localState.hiring, cloudProgress.hiring,
-                                 localState._meta?.lastModified, new Date(cloudProgress.updated_at).getTime()),
-        revenue: this.getMostRecent(localState.revenue, cloudProgress.revenue,
-                                  localState._meta?.lastModified, new Date(cloudProgress.updated_at).getTime()),
-        
-        // Merge completed steps (union of both)
-        completed: {
-          ...cloudProgress.completed,
-          ...localState.completed
-        }
-      };
+      // Changes that turn local progress into cloud progress
+      const cloudState = enhancedStateManager.getStateFromCloud(cloudProgress);
+      const conflicts = enhancedStateManager.stampConflicts(
+        progressSchema.diff(enhancedStateManager.getState(), cloudState), cloudProgress);
 
-      // Update state with merged data
-      enhancedStateManager.state = {
-        ...enhancedStateManager.state,
-        ...mergedData
-      };
+      await this.loadConflictResolution();
+      const choices = await this.resolveConflicts(conflicts);
+      enhancedStateManager.applyCloudChanges(cloudProgress,
+        conflicts.filter((conflict, index) => choices[index] === 'cloud'));
 
       // Upload merged data to cloud
+      enhancedStateManager.setChangeReason('merge');
       await enhancedStateManager.forceSyncToCloud();
+      this.handleProgressChanged();
       
-      this.showNotification('Progress merged successfully!', 'success');
+      this.showNotification(t('sync.mergeSuccess'), 'success');
     } catch (error) {
       console.error('Error merging data:', error);
-      this.showNotification('Error merging progress data', 'error');
+      this.showNotification(t('sync.mergeError'), 'error');
+    }
+  }
+
+  /**
+   * Pick the local or cloud value for each conflict with the current
+   * strategy, asking the user in the manual strategy
+   * @param {Array<Object>} conflicts - Changes from local ("from") to cloud
+   *   ("to") values, with localStamp and cloudStamp
+   * @returns {Promise<Array<string>>} 'local' or 'cloud' for each conflict
+   */
+  async resolveConflicts(conflicts) {
+    if (this.conflictResolution === 'manual' && conflicts.length > 0) {
+      return await this.showConflictDialog(conflicts);
+    }
+    return conflicts.map(conflict => this.getAutomaticChoice(this.conflictResolution, conflict));
+  }
+
+  /**
+   * Pick the side that wins a conflict without asking the user
+   * @param {string} strategy - 'timestamp', 'local' or 'cloud'
+   * @param {Object} conflict - Conflict with localStamp and cloudStamp
+   * @returns {string} 'local' or 'cloud'
+   */
+  getAutomaticChoice(strategy, conflict) {
+    if (strategy === 'local' || strategy === 'cloud') {
+      return strategy;
     }
+    return conflict.localStamp >= conflict.cloudStamp ? 'local' : 'cloud';
+  }
+
+  /**
+   * Set how merge conflicts are resolved
+   * @param {string} strategy - One of CONFLICT_STRATEGIES; anything else
+   *   falls back to 'timestamp'
+   */
+  setConflictResolution(strategy) {
+    this.conflictResolution = CONFLICT_STRATEGIES.includes(strategy) ? strategy : 'timestamp';
   }
 
   /**
-   * Get most recent value based on timestamps
-   * @param {*} localValue - Local value
-   * @param {*} cloudValue - Cloud value
-   * @param {number} localTime - Local timestamp
-   * @param {number} cloudTime - Cloud timestamp
-   * @returns {*} Most recent value
+   * Read the conflict strategy from the signed-in user's profile
+   * @returns {Promise<string>} Conflict strategy
    */
-  getMostRecent(localValue, cloudValue, localTime, cloudTime) {
-    if (!localTime || !cloudTime) {
-      return localValue || cloudValue;
+  async loadConflictResolution() {
+    const profile = await authManager.getUserProfile();
+    if (profile) {
+      this.setConflictResolution(profile.sync_conflict_resolution);
     }
-    return localTime > cloudTime ? localValue : cloudValue;
+    return this.conflictResolution;
+  }
+
+  /**
+   * Ask the user to pick the local or cloud value for each conflict
+   * @param {Array<Object>} conflicts - Conflicts with localStamp and cloudStamp
+   * @returns {Promise<Array<string>>} 'local' or 'cloud' for each conflict
+   */
+  async showConflictDialog(conflicts) {
+    return new Promise((resolve) => {
+      const modal = this.createConflictModal(conflicts);
+      document.body.appendChild(modal);
+
+      modal.querySelectorAll('[data-conflict-all]').forEach(button => {
+        button.addEventListener('click', () => {
+          const side = button.dataset.conflictAll;
+          modal.querySelectorAll(`input[type="radio"][value="${side}"]`).forEach(radio => {
+            radio.checked = true;
+          });
+        });
+      });
+
+      modal.querySelector('#conflictApply').addEventListener('click', () => {
+        const choices = conflicts.map((conflict, index) =>
+          modal.querySelector(`input[name="conflict-${index}"]:checked`).value);
+        this.closeMigrationModal(modal);
+        resolve(choices);
+      });
+
+      modal.classList.add('open');
+    });
+  }
+
+  /**
+   * Create the conflict dialog: one row per differing answer, quarter or
+   * step, showing when each side changed, with the newer side selected
+   * @param {Array<Object>} conflicts - Conflicts with localStamp and cloudStamp
+   * @returns {Element} Modal element
+   */
+  createConflictModal(conflicts) {
+    const formatTime = time => time
+      ? i18n.formatDate(time, { dateStyle: 'medium', timeStyle: 'short' })
+      : t('sync.conflictUnknownTime');
+
+    // Values and keys come from the cloud row, so they are escaped
+    const rows = conflicts.map((conflict, index) => {
+      const preselected = this.getAutomaticChoice('timestamp', conflict);
+      const option = (side, value, time) => `
+        <td>
+          <label class="conflict-choice">
+            <input type="radio" name="conflict-${index}" value="${side}" ${side === preselected ? 'checked' : ''}>
+            <span>
+              ${DOM.escape(progressSchema.formatValue(conflict.field, value))}
+              <small class="conflict-time">${t('sync.conflictChanged', { time: formatTime(time) })}</small>
+            </span>
+          </label>
+        </td>`;
+      return `
+        <tr>
+          <th scope="row">${DOM.escape(progressSchema.getChangeLabel(conflict))}</th>
+          ${option('local', conflict.from, conflict.localStamp)}
+          ${option('cloud', conflict.to, conflict.cloudStamp)}
+        </tr>`;
+    }).join('');
+
+    const modal = document.createElement('div');
+    modal.className = 'migration-modal conflict-modal';
+    modal.innerHTML = `
+      <div class="migration-modal-overlay"></div>
+      <div class="migration-modal-content">
+        <div class="migration-modal-header">
+          <h3>${t('sync.conflictTitle')}</h3>
+        </div>
+        <div class="migration-modal-body">
+          <p>${t('sync.conflictIntro')}</p>
+          <table class="import-diff">
+            <thead>
+              <tr>
+                <th>${t('import.columns.field')}</th>
+                <th>${t('sync.conflictLocal')}</th>
+                <th>${t('sync.conflictCloud')}</th>
+              </tr>
+            </thead>
+            <tbody>${rows}</tbody>
+          </table>
+          <div class="import-actions">
+            <button type="button" class="btn" data-conflict-all="local">${t('sync.conflictAllLocal')}</button>
+            <button type="button" class="btn" data-conflict-all="cloud">${t('sync.conflictAllCloud')}</button>
+            <button type="button" class="btn primary" id="conflictApply">${t('sync.conflictApply')}</button>
+          </div>
+        </div>
+      </div>
+    `;
+    return modal;
   }
 
   /**
@@ -259,28 +455,31 @@ export class SyncManager {
   async useCloudData() {
     try {
       await enhancedStateManager.syncFromCloud();
-      this.showNotification('Using cloud progress data', 'success');
+      this.showNotification(t('sync.usingCloud'), 'success');
     } catch (error) {
       console.error('Error using cloud data:', error);
-      this.showNotification('Error loading cloud data', 'error');
+      this.showNotification(t('sync.cloudError'), 'error');
     }
   }
 
   /**
-   * Upload local data to cloud
+   * Upload local data to cloud, replacing the account's progress
    */
   async uploadLocalData() {
     try {
-      await enhancedStateManager.forceSyncToCloud();
-      this.showNotification('Local progress uploaded to cloud', 'success');
+      if (!await enhancedStateManager.forceSyncToCloud({ keepLocal: true })) {
+        throw new Error('Upload failed');
+      }
+      this.showNotification(t('sync.uploaded'), 'success');
     } catch (error) {
       console.error('Error uploading local data:', error);
-      this.showNotification('Error uploading progress', 'error');
+      this.showNotification(t('sync.uploadError'), 'error');
     }
   }
 
   /**
-   * Handle sync events from state manager
+   * Handle sync events from state manager; the app replaces this to update
+   * its own UI
    * @param {Object} syncEvent - Sync event
    */
   handleSyncEvent(syncEvent) {
@@ -288,49 +487,176 @@ export class SyncManager {
     if (window.authUI) {
       window.authUI.updateSyncStatus(syncEvent.status);
     }
+  }
 
-    // Handle sync errors
-    if (syncEvent.status === 'error' && this.isOnline) {
-      this.queueRetrySync();
+  /**
+   * Reset the retry policy after a sync works, and apply it after one fails
+   * @param {Object} syncEvent - Sync event
+   */
+  trackSyncResult(syncEvent) {
+    if (syncEvent.status === 'synced') {
+      this.resetRetries();
+    } else if (syncEvent.status === 'error' && syncEvent.errorType) {
+      this.handleSyncError(syncEvent.errorType);
     }
   }
 
   /**
-   * Queue a sync retry
+   * Retry errors a later attempt may not hit; stop on ones it will
+   * @param {string} errorType - One of ERROR_TYPES
+   */
+  async handleSyncError(errorType) {
+    if (RETRYABLE_ERRORS.includes(errorType)) {
+      // Offline failures are replayed by the 'online' event instead
+      if (this.isOnline) {
+        this.queueRetrySync();
+      }
+      return;
+    }
+
+    this.cancelRetry();
+
+    if (errorType === ERROR_TYPES.AUTH && !this.sessionRefreshed) {
+      // The access token expired: refresh it once and try again
+      this.sessionRefreshed = true;
+      if (await authManager.refreshSession()) {
+        console.log('Session refreshed - retrying sync');
+        await enhancedStateManager.forceSyncToCloud();
+        return;
+      }
+    }
+
+    // Retrying cannot help until the user signs in again or access is fixed
+    console.warn(`Sync stopped (${errorType}):`, enhancedStateManager.getLastSyncError());
+    this.showNotification(enhancedStateManager.getLastSyncError(), 'warning');
+  }
+
+  /**
+   * Queue a sync retry after an exponential backoff, or open the circuit
+   * breaker once too many syncs in a row have failed
    */
   queueRetrySync() {
-    if (this.retryAttempts < this.maxRetries) {
-      this.retryAttempts++;
-      
-      setTimeout(async () => {
-        console.log(`Retry sync attempt ${this.retryAttempts}/${this.maxRetries}`);
-        const success = await enhancedStateManager.forceSyncToCloud();
-        
-        if (success) {
-          this.retryAttempts = 0;
-        } else if (this.retryAttempts >= this.maxRetries) {
-          this.showNotification('Sync failed after multiple attempts', 'error');
-          this.retryAttempts = 0;
-        }
-      }, this.retryDelay * this.retryAttempts);
+    this.retryAttempts++;
+    this.cancelRetry();
+
+    if (this.retryAttempts >= CIRCUIT_FAILURE_THRESHOLD) {
+      this.openCircuit();
+      return;
+    }
+
+    const delay = this.getRetryDelay(this.retryAttempts);
+    console.log(`Retrying sync in ${Math.round(delay / 1000)}s (attempt ${this.retryAttempts})`);
+    this.retryTimeout = setTimeout(() => this.retrySync(), delay);
+  }
+
+  /**
+   * Get the delay before a retry. Half of it is random so that devices
+   * which failed together do not all retry at the same moment.
+   * @param {number} attempt - Retry attempt, from 1
+   * @returns {number} Delay in milliseconds
+   */
+  getRetryDelay(attempt) {
+    const backoff = RETRY_BASE_DELAY * 2 ** (attempt - 1);
+    return Math.round(backoff / 2 + Math.random() * backoff / 2);
+  }
+
+  /**
+   * Retry a failed sync, unless the connection or session has gone since
+   */
+  async retrySync() {
+    this.retryTimeout = null;
+    if (!this.isOnline || !authManager.isUserAuthenticated()) {
+      return;
+    }
+
+    console.log(`Retry sync attempt ${this.retryAttempts}`);
+    await enhancedStateManager.forceSyncToCloud();
+  }
+
+  /**
+   * Pause automatic sync for the cooldown, then let one trial sync through.
+   * If it fails the circuit opens again straight away.
+   */
+  openCircuit() {
+    this.circuitOpenUntil = Date.now() + CIRCUIT_COOLDOWN;
+    console.warn(`Sync paused after ${this.retryAttempts} failures`);
+    enhancedStateManager.setSyncStatus('paused');
+
+    this.retryTimeout = setTimeout(() => {
+      this.retryTimeout = null;
+      this.circuitOpenUntil = null;
+      this.retrySync();
+    }, CIRCUIT_COOLDOWN);
+  }
+
+  /**
+   * Check if automatic sync is paused by the circuit breaker
+   * @returns {boolean}
+   */
+  isCircuitOpen() {
+    return this.circuitOpenUntil !== null && Date.now() < this.circuitOpenUntil;
+  }
+
+  /**
+   * Cancel a scheduled retry or trial sync
+   */
+  cancelRetry() {
+    if (this.retryTimeout) {
+      clearTimeout(this.retryTimeout);
+      this.retryTimeout = null;
     }
   }
 
   /**
-   * Process queued sync operations
+   * Close the circuit breaker and forget past failures after a sync works
+   */
+  resetRetries() {
+    this.cancelRetry();
+    this.retryAttempts = 0;
+    this.sessionRefreshed = false;
+    this.circuitOpenUntil = null;
+  }
+
+  /**
+   * Log local changes made while offline or signed out
+   * @param {Array<Object>} changes - Changes ({ field, key, to, time })
+   */
+  async recordOperations(changes) {
+    if (this.isOnline && authManager.isUserAuthenticated()) {
+      return;
+    }
+
+    try {
+      const userId = authManager.getCurrentUser()?.id || null;
+      const planId = enhancedStateManager.getPlanId();
+      for (const { field, key, to, time } of changes) {
+        await syncQueue.add({ id: createId(), field, key, value: to, time, userId, planId });
+      }
+      this.queueLength = await syncQueue.count();
+    } catch (error) {
+      console.error('Error logging offline changes:', error);
+    }
+  }
+
+  /**
+   * Replay logged changes onto the cloud progress, then drop them from the log
    */
   async processSyncQueue() {
-    if (this.syncInProgress || this.syncQueue.length === 0) {
+    if (this.syncInProgress || this.migrating || !this.isOnline || !authManager.isUserAuthenticated() || !tabSync.isLeader()) {
       return;
     }
 
     this.syncInProgress = true;
 
     try {
-      while (this.syncQueue.length > 0) {
-        const operation = this.syncQueue.shift();
-        await this.executeSync(operation);
+      const operations = await this.getPlanOperations();
+
+      if (operations.length > 0 && await enhancedStateManager.replayOperations(operations)) {
+        await syncQueue.remove(operations.map(operation => operation.id));
+      } else if (operations.length === 0) {
+        await enhancedStateManager.syncFromCloud();
       }
+      this.queueLength = await syncQueue.count();
     } catch (error) {
       console.error('Error processing sync queue:', error);
     } finally {
@@ -339,62 +665,71 @@ export class SyncManager {
   }
 
   /**
-   * Execute a sync operation
-   * @param {Object} operation - Sync operation
+   * Get the logged changes to replay onto the current plan's progress.
+   * Changes logged while signed out are only replayed for the account whose
+   * sync base the plan holds, i.e. the one that synced it here last; for any
+   * other account the sign-in migration choice decides what happens to
+   * them. Changes logged before plans existed belong to the first plan.
+   * @param {Object} options - { includeSignedOut }: include every change
+   *   logged while signed out, e.g. once the migration choice has settled
+   *   them
+   * @returns {Promise<Array<Object>>} Operations
    */
-  async executeSync(operation) {
-    try {
-      switch (operation.type) {
-        case 'upload':
-          await enhancedStateManager.forceSyncToCloud();
-          break;
-        case 'download':
-          await enhancedStateManager.syncFromCloud();
-          break;
-        default:
-          console.warn('Unknown sync operation:', operation);
-      }
-    } catch (error) {
-      console.error('Error executing sync operation:', error);
-      // Re-queue operation for retry
-      this.syncQueue.push(operation);
-    }
+  async getPlanOperations({ includeSignedOut = false } = {}) {
+    const userId = authManager.getCurrentUser()?.id;
+    const ownsPlan = includeSignedOut || Boolean(enhancedStateManager.getSyncBase());
+    const planId = enhancedStateManager.getPlanId();
+    const firstPlanId = planManager.getPlans()[0].id;
+    return (await syncQueue.getAll()).filter(operation =>
+      (operation.userId ? operation.userId === userId : ownsPlan) &&
+      (operation.planId || firstPlanId) === planId);
   }
 
   /**
-   * Clear sync queue
+   * Clear the current plan's logged changes from the sync queue
+   * @param {Object} options - Options for getPlanOperations
    */
-  clearSyncQueue() {
-    this.syncQueue = [];
-    this.retryAttempts = 0;
+  async clearSyncQueue(options = {}) {
+    try {
+      const operations = await this.getPlanOperations(options);
+      await syncQueue.remove(operations.map(operation => operation.id));
+      this.queueLength = await syncQueue.count();
+    } catch (error) {
+      console.error('Error clearing sync queue:', error);
+    }
+    this.resetRetries();
   }
 
   /**
-   * Force manual sync
-   * @returns {Promise<boolean>} Success status
+   * Force manual sync: pull cloud changes, then push local ones
+   * @returns {Promise<Object>} { success, message, error }
    */
   async forceSync() {
     if (!authManager.isUserAuthenticated()) {
-      this.showNotification('Please sign in to sync your progress', 'info');
-      return false;
+      return { success: false, error: t('sync.signInToSync') };
     }
 
     if (!this.isOnline) {
-      this.showNotification('No internet connection', 'error');
-      return false;
+      return { success: false, error: t('sync.noConnection') };
+    }
+
+    if (enhancedStateManager.syncInProgress) {
+      return { success: false, error: t('sync.alreadySyncing') };
     }
 
     try {
-      // Sync both ways
-      await enhancedStateManager.syncFromCloud();
-      await enhancedStateManager.forceSyncToCloud();
-      
-      this.showNotification('Progress synced successfully!', 'success');
-      return true;
+      // Sync both ways, stopping at the first failure
+      const success = await enhancedStateManager.syncFromCloud() &&
+        await enhancedStateManager.forceSyncToCloud();
+
+      if (!success) {
+        return { success: false, error: enhancedStateManager.getLastSyncError() || t('sync.failed') };
+      }
+
+      return { success: true, message: t('sync.success') };
     } catch (error) {
       console.error('Error during manual sync:', error);
-      this.showNotification('Sync failed. Please try again.', 'error');
-      return false;
+      return { success: false, error: t('sync.failed') };
     }
   }
 
@@ -406,10 +741,12 @@ export class SyncManager {
     return {
       isOnline: this.isOnline,
       isAuthenticated: authManager.isUserAuthenticated(),
-      queueLength: this.syncQueue.length,
+      queueLength: this.queueLength,
       lastSyncTime: enhancedStateManager.getLastSyncTime(),
+      lastSyncError: enhancedStateManager.getLastSyncError(),
       syncStatus: enhancedStateManager.getSyncStatus(),
-      retryAttempts: this.retryAttempts
+      retryAttempts: this.retryAttempts,
+      pausedUntil: this.isCircuitOpen() ? this.circuitOpenUntil : null
     };
   }
 
@@ -449,27 +786,28 @@ export class SyncManager {
   /**
    * Import progress data
    * @param {Object} importData - Data to import
+   * @param {string} mode - 'replace' or 'merge'
    * @returns {Promise<boolean>} Success status
    */
-  async importProgressData(importData) {
+  async importProgressData(importData, mode = 'replace') {
     try {
-      const success = enhancedStateManager.importProgress(importData);
+      const success = enhancedStateManager.importProgress(importData, mode);
       
       if (success) {
-        this.showNotification('Progress imported successfully!', 'success');
+        this.showNotification(t('sync.imported'), 'success');
         
         // Sync to cloud if authenticated
         if (authManager.isUserAuthenticated()) {
           await enhancedStateManager.forceSyncToCloud();
         }
       } else {
-        this.showNotification('Failed to import progress data', 'error');
+        this.showNotification(t('sync.importFailed'), 'error');
       }
       
       return success;
     } catch (error) {
       console.error('Error importing progress data:', error);
-      this.showNotification('Error importing progress data', 'error');
+      this.showNotification(t('sync.importError'), 'error');
       return false;
     }
   }
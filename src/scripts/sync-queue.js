@@ -0,0 +1,153 @@
+/**
+ * Sync Queue Module
+ * Durable, ordered log of progress changes made while offline or signed out,
+ * kept in IndexedDB so it survives a reload until it is replayed
+ */
+
+const DB_NAME = 'business-guide-sync';
+const DB_VERSION = 1;
+const STORE_NAME = 'operations';
+
+class SyncQueue {
+  constructor() {
+    this.db = null;
+    this.opening = null;
+    // Fallback when IndexedDB is unavailable (e.g. some private windows)
+    this.memory = [];
+    this.nextSeq = 1;
+  }
+
+  /**
+   * Open the database, creating the operations store on first use
+   * @returns {Promise<IDBDatabase|null>} Database, or null to use memory
+   */
+  async open() {
+    if (this.db || !window.indexedDB) {
+      return this.db;
+    }
+
+    if (!this.opening) {
+      this.opening = new Promise((resolve) => {
+        const request = window.indexedDB.open(DB_NAME, DB_VERSION);
+
+        request.onupgradeneeded = () => {
+          // Operations replay in "seq" order; "id" is the idempotency key
+          const store = request.result.createObjectStore(STORE_NAME, { keyPath: 'seq', autoIncrement: true });
+          store.createIndex('id', 'id', { unique: true });
+        };
+        request.onsuccess = () => {
+          this.db = request.result;
+          resolve(this.db);
+        };
+        request.onerror = () => {
+          console.warn('IndexedDB unavailable, keeping the sync queue in memory:', request.error);
+          resolve(null);
+        };
+      });
+    }
+
+    return this.opening;
+  }
+
+  /**
+   * Append an operation to the log. Adding an operation whose id is already
+   * logged does nothing.
+   * @param {Object} operation - Operation ({ id, field, key, value, time,
+   *   userId, planId })
+   * @returns {Promise<void>}
+   */
+  async add(operation) {
+    const db = await this.open();
+    if (!db) {
+      if (!this.memory.some(item => item.id === operation.id)) {
+        this.memory.push({ ...operation, seq: this.nextSeq++ });
+      }
+      return;
+    }
+
+    try {
+      await this.run('readwrite', store => store.add(operation));
+    } catch (error) {
+      if (error?.name !== 'ConstraintError') {
+        throw error;
+      }
+    }
+  }
+
+  /**
+   * Get all logged operations in the order they were made
+   * @returns {Promise<Array<Object>>} Operations
+   */
+  async getAll() {
+    const db = await this.open();
+    if (!db) {
+      return [...this.memory];
+    }
+    return this.run('readonly', store => store.getAll());
+  }
+
+  /**
+   * Remove operations from the log
+   * @param {Array<string>} ids - Operation ids
+   * @returns {Promise<void>}
+   */
+  async remove(ids) {
+    const db = await this.open();
+    if (!db) {
+      this.memory = this.memory.filter(item => !ids.includes(item.id));
+      return;
+    }
+
+    const operations = await this.getAll();
+    const seqs = operations.filter(item => ids.includes(item.id)).map(item => item.seq);
+    await this.run('readwrite', store => {
+      seqs.forEach(seq => store.delete(seq));
+    });
+  }
+
+  /**
+   * Remove every operation from the log
+   * @returns {Promise<void>}
+   */
+  async clear() {
+    const db = await this.open();
+    if (!db) {
+      this.memory = [];
+      return;
+    }
+    await this.run('readwrite', store => store.clear());
+  }
+
+  /**
+   * Count the logged operations
+   * @returns {Promise<number>}
+   */
+  async count() {
+    const db = await this.open();
+    if (!db) {
+      return this.memory.length;
+    }
+    return this.run('readonly', store => store.count());
+  }
+
+  /**
+   * Run a request against the operations store in its own transaction
+   * @param {string} mode - 'readonly' or 'readwrite'
+   * @param {Function} callback - Receives the store; may return a request
+   * @returns {Promise<*>} Request result once the transaction completes
+   */
+  run(mode, callback) {
+    return new Promise((resolve, reject) => {
+      const transaction = this.db.transaction(STORE_NAME, mode);
+      const request = callback(transaction.objectStore(STORE_NAME));
+
+      transaction.oncomplete = () => resolve(request ? request.result : undefined);
+      transaction.onerror = () => reject(transaction.error);
+      transaction.onabort = () => reject(transaction.error);
+    });
+  }
+}
+
+// Export singleton instance
+const syncQueue = new SyncQueue();
+export default syncQueue;
\ No newline at end of file
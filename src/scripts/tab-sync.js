@@ -0,0 +1,224 @@
+/**
+ * Tab Sync Module
+ * Keeps open tabs of the guide in step: tells other tabs when progress is
+ * stored, and elects one leader tab to run cloud sync
+ */
+
+import { STORE_KEY } from './local-store.js';
+import { createId } from '../lib/ids.js';
+
+const CHANNEL_NAME = 'business-guide-tabs';
+const LEADER_KEY = '_tab_leader';
+const HEARTBEAT_INTERVAL = 2000; // 2 seconds
+const LEADER_TIMEOUT = 6000; // Lease lapses if the leader misses heartbeats
+
+class TabSync {
+  constructor() {
+    this.tabId = createId();
+    this.channel = null;
+    this.leader = false;
+    this.heartbeat = null;
+    this.listeners = [];
+  }
+
+  /**
+   * Start listening to other tabs and take part in the leader election
+   */
+  initialize() {
+    if (this.heartbeat) return;
+
+    if (window.BroadcastChannel) {
+      this.channel = new BroadcastChannel(CHANNEL_NAME);
+      this.channel.onmessage = (event) => this.handleMessage(event.data);
+    }
+    window.addEventListener('storage', (event) => this.handleStorage(event));
+
+    // The tab the user is looking at leads, so dialogs open where they can be seen
+    document.addEventListener('visibilitychange', () => {
+      if (document.visibilityState === 'visible') {
+        this.claimLeadership();
+      }
+    });
+    window.addEventListener('pagehide', () => this.resign());
+
+    if (document.visibilityState === 'visible') {
+      this.claimLeadership();
+    } else {
+      this.checkLeadership();
+    }
+    this.heartbeat = setInterval(() => this.checkLeadership(), HEARTBEAT_INTERVAL);
+  }
+
+  /**
+   * Check if this tab runs cloud sync
+   * @returns {boolean}
+   */
+  isLeader() {
+    return this.leader;
+  }
+
+  /**
+   * Tell other tabs that progress in localStorage changed
+   */
+  notifyStateChanged() {
+    this.post({ type: 'state' });
+  }
+
+  /**
+   * Add a listener for events from other tabs. It receives
+   * { type: 'state' } when another tab stored progress, and
+   * { type: 'leader', isLeader } when this tab gains or loses leadership.
+   * @param {Function} listener - Listener function
+   */
+  addListener(listener) {
+    this.listeners.push(listener);
+  }
+
+  /**
+   * Remove an event listener
+   * @param {Function} listener - Listener function
+   */
+  removeListener(listener) {
+    const index = this.listeners.indexOf(listener);
+    if (index > -1) {
+      this.listeners.splice(index, 1);
+    }
+  }
+
+  /**
+   * Renew this tab's lease, or take over one that has lapsed
+   */
+  checkLeadership() {
+    const lease = this.readLease();
+    if (!lease || lease.tabId === this.tabId || lease.expires < Date.now()) {
+      this.writeLease();
+    }
+    this.setLeader(this.readLease()?.tabId === this.tabId);
+  }
+
+  /**
+   * Become the leader straight away and tell the previous one to step down
+   */
+  claimLeadership() {
+    this.writeLease();
+    this.setLeader(true);
+    this.post({ type: 'leader' });
+  }
+
+  /**
+   * Give up leadership when the tab closes, so another can take over
+   */
+  resign() {
+    if (!this.leader) return;
+
+    if (this.readLease()?.tabId === this.tabId) {
+      localStorage.removeItem(LEADER_KEY);
+    }
+    this.setLeader(false);
+    this.post({ type: 'resign' });
+  }
+
+  /**
+   * Read the leader lease
+   * @returns {Object|null} Lease ({ tabId, expires })
+   */
+  readLease() {
+    try {
+      return JSON.parse(localStorage.getItem(LEADER_KEY) || 'null');
+    } catch (error) {
+      return null;
+    }
+  }
+
+  /**
+   * Write a leader lease for this tab
+   */
+  writeLease() {
+    localStorage.setItem(LEADER_KEY, JSON.stringify({
+      tabId: this.tabId,
+      expires: Date.now() + LEADER_TIMEOUT
+    }));
+  }
+
+  /**
+   * Record whether this tab leads and tell listeners when that changes
+   * @param {boolean} leader - Whether this tab leads
+   */
+  setLeader(leader) {
+    if (leader === this.leader) return;
+
+    this.leader = leader;
+    console.log(leader ? 'This tab now runs cloud sync' : 'Another tab now runs cloud sync');
+    this.notifyListeners({ type: 'leader', isLeader: leader });
+  }
+
+  /**
+   * Handle a message from another tab
+   * @param {Object} message - Message ({ type, from, ... })
+   */
+  handleMessage(message) {
+    if (!message || message.from === this.tabId) return;
+
+    switch (message.type) {
+      case 'state':
+        this.notifyListeners({ type: 'state' });
+        break;
+      case 'leader':
+        this.setLeader(false);
+        break;
+      case 'resign':
+        this.checkLeadership();
+        break;
+      default:
+        console.warn('Unknown tab message:', message);
+    }
+  }
+
+  /**
+   * Handle localStorage writes from other tabs. Progress changes are only
+   * picked up here when BroadcastChannel is unavailable.
+   * @param {StorageEvent} event - Storage event
+   */
+  handleStorage(event) {
+    if (event.key === LEADER_KEY) {
+      if (event.newValue === null) {
+        // The leader closed: take over rather than wait for the lease to lapse
+        this.checkLeadership();
+      } else {
+        this.setLeader(this.readLease()?.tabId === this.tabId);
+      }
+    } else if (event.key === STORE_KEY && !this.channel) {
+      this.notifyListeners({ type: 'state' });
+    }
+  }
+
+  /**
+   * Send a message to the other tabs
+   * @param {Object} message - Message
+   */
+  post(message) {
+    try {
+      this.channel?.postMessage({ ...message, from: this.tabId });
+    } catch (error) {
+      console.error('Error messaging other tabs:', error);
+    }
+  }
+
+  /**
+   * Notify all listeners
+   * @param {Object} event - Tab event
+   */
+  notifyListeners(event) {
+    this.listeners.forEach(listener => {
+      try {
+        listener(event);
+      } catch (error) {
+        console.error('Error in tab listener:', error);
+      }
+    });
+  }
+}
+
+// Export singleton instance
+const tabSync = new TabSync();
+export default tabSync;
\ No newline at end of file
@@ -5,6 +5,11 @@
 
 import dataManager from './data-manager.js';
 import enhancedStateManager from './enhanced-state-manager.js';
+import rulesEngine from './rules-engine.js';
+import salesTax from './sales-tax.js';
+import smallSupplier from './small-supplier.js';
+import deadlines, { FILING_FREQUENCIES, CORPORATE_STRUCTURES } from './deadlines.js';
+import i18n, { t } from './i18n.js';
 
 /**
  * DOM utility functions
@@ -28,6 +33,33 @@ export const DOM = {
    */
   $$(selector, parent = document) {
     return [...parent.querySelectorAll(selector)];
+  },
+
+  /**
+   * Escape text for an HTML template, e.g. values read from the cloud
+   * @param {*} text - Text
+   * @returns {string} Escaped text
+   */
+  escape(text) {
+    const entities = { '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;' };
+    return String(text ?? '').replace(/[&<>"']/g, char => entities[char]);
+  },
+
+  /**
+   * Offer text as a file download
+   * @param {string} content - File content
+   * @param {string} filename - File name
+   * @param {string} type - MIME type
+   */
+  download(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
   }
 };
 
@@ -51,6 +83,8 @@ export class UIComponents {
       revSeg: DOM.$('#revSeg'),
       generateBtn: DOM.$('#generate'),
       resetBtn: DOM.$('#reset'),
+      exportPlanBtn: DOM.$('#exportPlan'),
+      importPlanBtn: DOM.$('#importPlan'),
       guideEl: DOM.$('#guide'),
       todoEl: DOM.$('#todo'),
       summaryEl: DOM.$('#summary'),
@@ -92,17 +126,51 @@ export class UIComponents {
     });
   }
 
+  /**
+   * Build the facts the rules engine evaluates step conditions against
+   * @param {Object} state - Application state
+   * @returns {Object} Facts object
+   */
+  getFacts(state) {
+    return rulesEngine.buildFacts(state, enhancedStateManager.getDerivedFacts());
+  }
+
+  /**
+   * Get the steps that apply to the current state
+   * @param {Object} state - Application state
+   * @returns {Array} Applicable step definitions
+   */
+  getApplicableSteps(state) {
+    return rulesEngine.getApplicableSteps(dataManager.getStepsForIndustry(state.industry), this.getFacts(state));
+  }
+
+  /**
+   * Build the context used to resolve resource links and {{placeholders}} in step data
+   * @param {Object} state - Application state
+   * @returns {Object} Context (state, provincial, federal, industry, structures, smallSupplier)
+   */
+  getContext(state) {
+    const assessment = enhancedStateManager.getSmallSupplierAssessment();
+    const formatDate = date => (date ? i18n.formatDate(date) : '');
+
+    return {
+      ...dataManager.getResourceContext(state),
+      smallSupplier: {
+        ceasesOn: formatDate(assessment.ceasesOn),
+        collectFrom: formatDate(assessment.collectFrom),
+        registerBy: formatDate(assessment.registerBy)
+      }
+    };
+  }
+
   /**
    * Render the complete step-by-step guide
    */
   renderGuide() {
     const state = enhancedStateManager.getState();
-    const provincialResources = dataManager.getProvincialResources(state.province);
-    const federalResources = dataManager.getFederalResources();
-    const steps = dataManager.getSteps();
-    const structures = dataManager.getBusinessStructures();
+    const context = this.getContext(state);
 
-    if (!provincialResources) {
+    if (!context.provincial) {
       console.error('Provincial resources not found for:', state.province);
       return;
     }
@@ -110,9 +178,11 @@ export class UIComponents {
     // Clear existing guide content
     this.elements.guideEl.innerHTML = '';
 
-    // Render each step
-    steps.forEach(stepConfig => {
-      this.renderStep(stepConfig, state, provincialResources, federalResources, structures);
+    const facts = this.getFacts(state);
+
+    // Render each step that applies to the current state
+    this.getApplicableSteps(state).forEach((stepConfig, index) => {
+      this.renderStep(stepConfig, index + 1, context, facts);
     });
 
     // Update summary
@@ -128,18 +198,17 @@ export class UIComponents {
     this.restoreStepCompletionState();
 
     // Mark state as saved
-    this.elements.stateInfoEl.textContent = 'Saved';
+    this.setTranslatedText(this.elements.stateInfoEl, 'status.saved');
   }
 
   /**
    * Render individual step
    * @param {Object} stepConfig - Step configuration
-   * @param {Object} state - Application state
-   * @param {Object} provincialResources - Provincial resource URLs
-   * @param {Object} federalResources - Federal resource URLs
-   * @param {Array} structures - Business structures array
+   * @param {number} position - 1-based position of the step in the rendered guide
+   * @param {Object} context - Resource context (state, provincial, federal, industry, structures)
+   * @param {Object} facts - Facts for rule evaluation
    */
-  renderStep(stepConfig, state, provincialResources, federalResources, structures) {
+  renderStep(stepConfig, position, context, facts) {
     const stepElement = document.createElement('section');
     stepElement.className = 'card step';
     stepElement.dataset.key = stepConfig.key;
@@ -149,20 +218,15 @@ export class UIComponents {
       stepElement.classList.add('open');
     }
 
-    // Generate step content based on step type
-    const content = this.generateStepContent(stepConfig, state, provincialResources, federalResources, structures);
+    // Generate step content from the step's panel definitions
+    const content = this.generateStepContent(stepConfig, context, facts);
     
     // Determine kicker text based on conditions
-    let kicker = stepConfig.kicker;
-    if (stepConfig.key === 'cra' && stepConfig.kickerConditional) {
-      kicker = enhancedStateManager.isGSTRequired() ? stepConfig.kicker : stepConfig.kickerConditional;
-    } else if (stepConfig.key === 'hiring' && stepConfig.kickerConditional) {
-      kicker = enhancedStateManager.isHiring() ? stepConfig.kicker : stepConfig.kickerConditional;
-    }
+    const kicker = rulesEngine.interpolate(rulesEngine.resolveKicker(stepConfig, facts), context);
 
     stepElement.innerHTML = `
       <div class="step-head">
-        <span class="badge">${String(stepConfig.order).padStart(2,'0')}</span>
+        <span class="badge">${String(position).padStart(2,'0')}</span>
         <div class="step-title">${stepConfig.title}</div>
         <div class="kicker">${kicker}</div>
         <svg class="chev" width="18" height="18" viewBox="0 0 24 24" fill="none" aria-hidden="true">
@@ -174,7 +238,11 @@ export class UIComponents {
         <div class="mark-row" style="margin-top:12px;">
           <label class="mark">
             <input type="checkbox" data-complete="${stepConfig.key}" ${isCompleted ? 'checked' : ''}/>
-            Mark complete
+            ${t('guide.markComplete')}
+          </label>
+          <label class="due-date">
+            ${t('guide.dueDate')}
+            <input type="date" data-due-date="${stepConfig.key}" value="${enhancedStateManager.getStepDueDate(stepConfig.key)}"/>
           </label>
         </div>
       </div>
@@ -206,6 +274,29 @@ export class UIComponents {
       });
     }
 
+    // Save the date the user plans to finish the step by
+    const dueDateInput = stepElement.querySelector('[data-due-date]');
+    if (dueDateInput) {
+      dueDateInput.addEventListener('change', (event) => {
+        enhancedStateManager.setStepDueDate(event.target.dataset.dueDate, event.target.value);
+      });
+    }
+
+    // Wire up small-supplier calculators
+    DOM.$$('[data-small-supplier]', stepElement).forEach(calculator => {
+      this.setupSmallSupplierCalculator(calculator);
+    });
+
+    // Wire up deadline calendars
+    DOM.$$('[data-deadlines]', stepElement).forEach(panelEl => {
+      this.setupDeadlines(panelEl);
+    });
+
+    // Wire up sales tax calculators
+    DOM.$$('[data-tax-calculator]', stepElement).forEach(calculator => {
+      this.setupTaxCalculator(calculator, context.provincial.tax);
+    });
+
     // Add modal functionality to buttons with data-modal attribute
     DOM.$$('[data-modal]', stepElement).forEach(button => {
       button.addEventListener('click', () => {
@@ -217,297 +308,434 @@ export class UIComponents {
   }
 
   /**
-   * Generate content for specific steps
+   * Generate content for a step from its panel definitions.
+   * Consecutive panels with a `col` width are laid out together in one row.
    * @param {Object} stepConfig - Step configuration
-   * @param {Object} state - Application state
-   * @param {Object} provincialResources - Provincial resources
-   * @param {Object} federalResources - Federal resources
-   * @param {Array} structures - Business structures
+   * @param {Object} context - Resource context
+   * @param {Object} facts - Facts for rule evaluation
    * @returns {string} HTML content for the step
    */
-  generateStepContent(stepConfig, state, provincialResources, federalResources, structures) {
-    switch (stepConfig.key) {
-      case 'structure':
-        return this.generateStructureContent(structures);
-      case 'name':
-        return this.generateNameContent(federalResources);
-      case 'register':
-        return this.generateRegisterContent(provincialResources, federalResources);
-      case 'cra':
-        return this.generateCRAContent(provincialResources, federalResources);
-      case 'licences':
-        return this.generateLicencesContent();
-      case 'banking':
-        return this.generateBankingContent(federalResources);
-      case 'hiring':
-        return this.generateHiringContent(provincialResources);
-      case 'privacy':
-        return this.generatePrivacyContent(federalResources);
-      case 'brand':
-        return this.generateBrandContent(federalResources);
-      case 'finish':
-        return this.generateFinishContent();
+  generateStepContent(stepConfig, context, facts) {
+    const panels = rulesEngine.getApplicablePanels(stepConfig, facts);
+
+    if (panels.length === 0) {
+      return `<div class="panel"><p>${t('guide.contentNotFound')}</p></div>`;
+    }
+
+    let html = '';
+    let row = [];
+    const flushRow = () => {
+      if (row.length > 0) {
+        html += `<div class="row">${row.join('')}</div>`;
+        row = [];
+      }
+    };
+
+    panels.forEach(panel => {
+      const panelHtml = this.generatePanel(panel, context);
+      if (panel.col) {
+        row.push(`<div class="col-${panel.col}">${panelHtml}</div>`);
+      } else {
+        flushRow();
+        html += panelHtml;
+      }
+    });
+    flushRow();
+
+    return html;
+  }
+
+  /**
+   * Generate a single panel by type
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
+   * @returns {string} HTML content
+   */
+  generatePanel(panel, context) {
+    switch (panel.type) {
+      case 'structures':
+        return this.generateStructureContent(context.structures);
+      case 'info':
+        return this.generateInfoPanel(
+          this.renderRichText(panel.title, context),
+          this.renderRichText(panel.text, context)
+        );
+      case 'salesTax':
+        return this.generateSalesTaxPanel(panel, context);
+      case 'smallSupplier':
+        return this.generateSmallSupplierCalculator(panel, context);
+      case 'taxCalculator':
+        return this.generateTaxCalculator(panel, context);
+      case 'deadlines':
+        return this.generateDeadlinesPanel(panel, context);
       default:
-        return '<div class="panel"><p>Step content not found.</p></div>';
+        return this.generateContentPanel(panel, context);
     }
   }
 
   /**
-   * Generate business structure selection content
-   * @param {Array} structures - Business structures array
+   * Generate a standard content panel (title, text, list items, links and tip)
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generateStructureContent(structures) {
-    const structureGrid = structures.map(structure => `
-      <div class="col-6">
-        <div class="panel">
-          <div style="display:flex; justify-content:space-between; align-items:center; gap:8px;">
-            <div>
-              <strong>${structure.name}</strong>
-              <div class="muted">${structure.description}</div>
-            </div>
-            <button class="btn" data-modal="${structure.id}">Details</button>
-          </div>
+  generateContentPanel(panel, context) {
+    const parts = [];
+
+    if (panel.title) {
+      parts.push(`<strong>${this.renderRichText(panel.title, context)}</strong>`);
+    }
+
+    if (panel.text) {
+      parts.push(`<p class="muted">${this.renderRichText(panel.text, context)}</p>`);
+    }
+
+    if (panel.items && panel.items.length > 0) {
+      const items = panel.items.map(item => `<li>${this.renderRichText(item, context)}</li>`).join('');
+      parts.push(`<ul class="list">${items}</ul>`);
+    }
+
+    if (panel.links && panel.links.length > 0) {
+      const links = panel.links
+        .map(link => this.generateLink(link.label, link.url || rulesEngine.resolve(link.resource, context)))
+        .join(' ');
+      parts.push(`<p class="inline-links">${links}</p>`);
+    }
+
+    if (panel.tip) {
+      parts.push(`
+        <div class="info">
+          <span>${panel.tip.text}</span> 
+          <button data-modal="${panel.tip.modal}">${panel.tip.label}</button>
         </div>
-      </div>
-    `).join('');
+      `);
+    }
 
-    return `
-      <div class="row">${structureGrid}</div>
-      ${this.generateInfoPanel('How do I choose?', 
-        'Consider liability (how much personal risk you accept), taxation, investor needs, and paperwork tolerance. Corporations add cost/complexity but offer limited liability and potential tax planning. Sole props are simplest but you bear all risk.')}
-    `;
+    return `<div class="panel">${parts.join('')}</div>`;
   }
 
   /**
-   * Generate name clearing content
-   * @param {Object} federalResources - Federal resource URLs
+   * Generate the sales tax panel from the province's structured tax data:
+   * a summary of the rates and, where the province has its own sales tax,
+   * how to register for it
+   * @param {Object} panel - Panel definition (title and links)
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generateNameContent(federalResources) {
-    return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>Check availability</strong>
-            <p class="muted">Search existing names and trademarks before registering.</p>
-            <div class="inline-links">
-              <a href="${federalResources.nameSearch}" target="_blank" rel="noopener">NUANS search</a>
-            </div>
-          </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>Naming rules</strong>
-            <p class="muted">Each province has specific rules. Use plain, non‑misleading names and include required legal elements if incorporating.</p>
-          </div>
-        </div>
-      </div>
-    `;
+  generateSalesTaxPanel(panel, context) {
+    const tax = context.provincial.tax;
+    const items = [];
+
+    if (salesTax.hasProvincialSalesTax(tax)) {
+      items.push(salesTax.describeRegistration(tax));
+    }
+
+    const links = [...(panel.links || [])];
+    if (salesTax.hasProvincialSalesTax(tax) && tax.registrationUrl) {
+      links.unshift({ label: t('tax.registerLink', { pst: tax.pstName }), url: tax.registrationUrl });
+    }
+
+    return this.generateContentPanel({ ...panel, text: salesTax.describe(tax), items, links }, context);
   }
 
   /**
-   * Generate registration content
-   * @param {Object} provincialResources - Provincial resources
-   * @param {Object} federalResources - Federal resources
+   * Generate the small-supplier calculator: taxable sales by calendar quarter
+   * and the resulting GST/HST registration status. The inputs are wired up by
+   * setupSmallSupplierCalculator once the step is rendered.
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generateRegisterContent(provincialResources, federalResources) {
-    return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>Province/territory</strong>
-            <p class="muted">Start here for your local registration/incorporation.</p>
-            <p class="inline-links">
-              <a href="${provincialResources.register}" target="_blank" rel="noopener">Open your registry</a>
-            </p>
-          </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>Federal (optional)</strong>
-            <p class="muted">Incorporate federally, then register extra‑provincially where you operate.</p>
-            <p class="inline-links">
-              <a href="${federalResources.corpFed}" target="_blank" rel="noopener">Corporations Canada</a>
-            </p>
-          </div>
+  generateSmallSupplierCalculator(panel, context) {
+    const quarterlyRevenue = context.state.quarterlyRevenue || {};
+
+    const inputs = smallSupplier.getCalculatorQuarters().map(quarter => {
+      const value = quarterlyRevenue[quarter];
+      return `
+        <div class="quarter-field">
+          <label for="revenue-${quarter}">${smallSupplier.getQuarterLabel(quarter)}</label>
+          <input type="number" id="revenue-${quarter}" min="0" step="1" inputmode="numeric"
+                 value="${value ?? ''}" data-quarter="${quarter}"/>
         </div>
+      `;
+    }).join('');
+
+    return `
+      <div class="panel small-supplier" style="margin-top:12px;" data-small-supplier>
+        <strong>${this.renderRichText(panel.title, context)}</strong>
+        <p class="muted">${t('smallSupplier.intro')}</p>
+        <div class="quarter-grid">${inputs}</div>
+        <div class="info" data-small-supplier-result></div>
       </div>
-      ${this.generateInfoPanel('Province vs. Federal?', 
-        'Federal incorporation gives name protection across Canada and may help if you operate in multiple provinces. Provincial incorporation is simpler if you only operate in one province/territory. Either way, you generally still register where you do business.')}
     `;
   }
 
   /**
-   * Generate CRA business number content
-   * @param {Object} provincialResources - Provincial resources
-   * @param {Object} federalResources - Federal resources
+   * Save quarterly sales as they are entered and refresh the result, the
+   * revenue answer and the step kickers that depend on it
+   * @param {Element} calculator - Calculator panel element
+   */
+  setupSmallSupplierCalculator(calculator) {
+    const result = DOM.$('[data-small-supplier-result]', calculator);
+    const update = () => {
+      result.textContent = smallSupplier.describe(enhancedStateManager.getSmallSupplierAssessment());
+    };
+
+    DOM.$$('input[data-quarter]', calculator).forEach(input => {
+      input.addEventListener('input', () => {
+        const amount = input.value === '' ? null : parseFloat(input.value);
+        enhancedStateManager.setQuarterlyRevenue(input.dataset.quarter, amount);
+
+        const state = enhancedStateManager.getState();
+        update();
+        this.setSegmentValue(this.elements.revSeg, state.revenue);
+        this.updateSummary(state);
+        this.updateKickers(state);
+        DOM.$$('[data-deadlines]', this.elements.guideEl).forEach(panelEl => {
+          this.renderDeadlineTimeline(panelEl);
+        });
+      });
+    });
+
+    update();
+  }
+
+  /**
+   * Refresh the kickers of the rendered steps after the state changes
+   * @param {Object} state - Application state
+   */
+  updateKickers(state) {
+    const context = this.getContext(state);
+    const facts = this.getFacts(state);
+
+    this.getApplicableSteps(state).forEach(stepConfig => {
+      const kickerEl = this.elements.guideEl.querySelector(`[data-key="${stepConfig.key}"] .kicker`);
+      if (kickerEl) {
+        kickerEl.textContent = rulesEngine.interpolate(rulesEngine.resolveKicker(stepConfig, facts), context);
+      }
+    });
+  }
+
+  /**
+   * Generate the deadline calendar: the answers the dates depend on and a
+   * timeline filled in by renderDeadlineTimeline
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generateCRAContent(provincialResources, federalResources) {
+  generateDeadlinesPanel(panel, context) {
+    const state = context.state;
+    const option = (value, label, selected) =>
+      `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`;
+
+    const structureOptions = [option('', t('controls.choose'), state.structure)]
+      .concat(context.structures.map(structure => option(structure.id, structure.name, state.structure)))
+      .join('');
+    const frequencyOptions = FILING_FREQUENCIES
+      .map(frequency => option(frequency, t(`deadlines.frequencies.${frequency}`), state.gstFilingFrequency))
+      .join('');
+
     return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>Get a Business Number (BN)</strong>
-            <p class="inline-links">
-              <a href="${federalResources.bn}" target="_blank" rel="noopener">Register with CRA</a>
-            </p>
-            <p class="muted">After you get a BN, add program accounts as needed (GST/HST, payroll, import/export).</p>
+      <div class="panel deadlines" style="margin-top:12px;" data-deadlines>
+        <strong>${this.renderRichText(panel.title, context)}</strong>
+        <p class="muted">${t('deadlines.intro')}</p>
+        <div class="deadline-fields">
+          <div class="deadline-field">
+            <label for="deadlineStructure">${t('deadlines.structure')}</label>
+            <select id="deadlineStructure" data-deadline-field="structure">${structureOptions}</select>
           </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>GST/HST</strong>
-            <p class="muted">${provincialResources.taxNote}</p>
-            <p class="inline-links">
-              <a href="${federalResources.gstHst}" target="_blank" rel="noopener">GST/HST overview</a>
-            </p>
+          <div class="deadline-field">
+            <label for="deadlineFiscalYearEnd">${t('deadlines.fiscalYearEnd')}</label>
+            <input type="date" id="deadlineFiscalYearEnd" data-deadline-field="fiscalYearEnd" value="${state.fiscalYearEnd}"/>
+          </div>
+          <div class="deadline-field" data-deadline-incorporation>
+            <label for="deadlineIncorporationDate">${t('deadlines.incorporationDate')}</label>
+            <input type="date" id="deadlineIncorporationDate" data-deadline-field="incorporationDate" value="${state.incorporationDate}"/>
+          </div>
+          <div class="deadline-field" data-deadline-gst>
+            <label for="deadlineGstFrequency">${t('deadlines.gstFilingFrequency')}</label>
+            <select id="deadlineGstFrequency" data-deadline-field="gstFilingFrequency">${frequencyOptions}</select>
           </div>
         </div>
+        <div data-deadline-notes></div>
+        <ol class="timeline" data-deadline-timeline></ol>
+        <p class="muted">${t('deadlines.weekendNote')}</p>
       </div>
     `;
   }
 
   /**
-   * Generate licences and permits content
-   * @returns {string} HTML content
+   * Save the deadline answers as they change and refresh the timeline
+   * @param {Element} panelEl - Deadline panel element
    */
-  generateLicencesContent() {
-    return `
-      <div class="panel">
-        <p class="muted">Requirements vary by location and industry (e.g., food handling, construction, transport). Check your municipal and provincial websites for business permits and zoning.</p>
-        <div class="info">
-          <span>Tip:</span> 
-          <button data-modal="permits">See common permits</button>
-        </div>
-      </div>
-    `;
+  setupDeadlines(panelEl) {
+    const setters = {
+      structure: value => enhancedStateManager.setStructure(value),
+      fiscalYearEnd: value => enhancedStateManager.setFiscalYearEnd(value),
+      incorporationDate: value => enhancedStateManager.setIncorporationDate(value),
+      gstFilingFrequency: value => enhancedStateManager.setGstFilingFrequency(value)
+    };
+
+    DOM.$$('[data-deadline-field]', panelEl).forEach(field => {
+      field.addEventListener('change', () => {
+        setters[field.dataset.deadlineField](field.value);
+        this.renderDeadlineTimeline(panelEl);
+      });
+    });
+
+    this.renderDeadlineTimeline(panelEl);
   }
 
   /**
-   * Generate banking and bookkeeping content
-   * @param {Object} federalResources - Federal resources
-   * @returns {string} HTML content
+   * Get the deadlines for the current answers
+   * @param {Object} state - Application state
+   * @returns {Object} { deadlines, notes } from deadlines.getDeadlines()
    */
-  generateBankingContent(federalResources) {
-    return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>Open a business bank account</strong>
-            <ul class="list">
-              <li>Bring ID and your registration/incorporation documents.</li>
-              <li>Keep business and personal transactions separate.</li>
-            </ul>
-          </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>Set up bookkeeping</strong>
-            <ul class="list">
-              <li>Choose accounting software early.</li>
-              <li>Track expenses, invoices, and receipts.</li>
-              <li>Use CRA <a href="${federalResources.craMyBiz}" target="_blank" rel="noopener">My Business Account</a> to manage filings.</li>
-            </ul>
+  getDeadlines(state) {
+    const provincial = dataManager.getProvincialResources(state.province);
+
+    return deadlines.getDeadlines(state, {
+      gstRequired: enhancedStateManager.isGSTRequired(),
+      annualReturn: provincial ? provincial.annualReturn : null
+    });
+  }
+
+  /**
+   * Render the deadline timeline and show the fields that apply
+   * @param {Element} panelEl - Deadline panel element
+   */
+  renderDeadlineTimeline(panelEl) {
+    const state = enhancedStateManager.getState();
+    const context = this.getContext(state);
+    const annualReturn = context.provincial.annualReturn;
+    const { deadlines: items, notes } = this.getDeadlines(state);
+
+    const needsIncorporationDate = CORPORATE_STRUCTURES.includes(state.structure) && annualReturn.basis === 'anniversary';
+    DOM.$('[data-deadline-incorporation]', panelEl).style.display = needsIncorporationDate ? '' : 'none';
+    DOM.$('[data-deadline-gst]', panelEl).style.display = enhancedStateManager.isGSTRequired() ? '' : 'none';
+
+    DOM.$('[data-deadline-notes]', panelEl).innerHTML = notes
+      .map(note => `<div class="info">${t(`deadlines.notes.${note}`, { name: annualReturn.name })}</div>`)
+      .join('');
+
+    const timeline = DOM.$('[data-deadline-timeline]', panelEl);
+    if (items.length === 0) {
+      timeline.innerHTML = `<li class="muted">${t('deadlines.empty')}</li>`;
+      return;
+    }
+
+    timeline.innerHTML = items.map(deadline => {
+      const { title, detail } = deadlines.describe(deadline, context.provincial.name);
+      const date = deadlines.formatISODate(deadline.date);
+
+      return `
+        <li class="timeline-item" data-deadline="${deadline.id}">
+          <time datetime="${date}">${i18n.formatDate(deadline.date)}</time>
+          <div>
+            <strong>${this.generateLink(title, rulesEngine.resolve(deadline.resource, context))}</strong>
+            <div class="muted">${detail} · ${t(`deadlines.frequencies.${deadline.frequency}`)}</div>
           </div>
-        </div>
-      </div>
-    `;
+        </li>
+      `;
+    }).join('');
   }
 
   /**
-   * Generate hiring content
-   * @param {Object} provincialResources - Provincial resources
+   * Generate the sales tax calculator panel. The inputs are wired up by
+   * setupTaxCalculator once the step is rendered.
+   * @param {Object} panel - Panel definition
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generateHiringContent(provincialResources) {
+  generateTaxCalculator(panel, context) {
+    const tax = context.provincial.tax;
+    const rate = i18n.formatPercent(salesTax.getCombinedRate(tax));
+    const inputId = `taxAmount-${context.state.province}`;
+
     return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>CRA Payroll</strong>
-            <ul class="list">
-              <li>Open a payroll (RP) account under your BN before first remittance deadline.</li>
-              <li>Withhold and remit CPP, EI, and income tax.</li>
-            </ul>
-          </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>Workers' compensation</strong>
-            <p class="muted">Register with your province/territory's board if required.</p>
-            <p class="inline-links">
-              <a href="${provincialResources.workersComp}" target="_blank" rel="noopener">Open workers' comp site</a>
-            </p>
-          </div>
-        </div>
+      <div class="panel tax-calculator" style="margin-top:12px;" data-tax-calculator>
+        <strong>${this.renderRichText(panel.title, context)}</strong>
+        <p class="muted">${t('tax.combinedRate', { province: context.provincial.name, rate })}</p>
+        <label for="${inputId}">${t('tax.amount')}</label>
+        <input type="number" id="${inputId}" min="0" step="0.01" inputmode="decimal" placeholder="0.00" data-tax-amount/>
+        <dl class="tax-breakdown" data-tax-breakdown></dl>
+        <div class="tiny">${t('tax.exemptNote')}</div>
       </div>
     `;
   }
 
   /**
-   * Generate privacy and CASL content
-   * @param {Object} federalResources - Federal resources
+   * Recalculate a tax calculator's breakdown as the amount changes
+   * @param {Element} calculator - Calculator panel element
+   * @param {Object} tax - Provincial tax data
+   */
+  setupTaxCalculator(calculator, tax) {
+    const input = DOM.$('[data-tax-amount]', calculator);
+    const breakdown = DOM.$('[data-tax-breakdown]', calculator);
+    const money = amount => i18n.formatCurrency(amount, { minimumFractionDigits: 2, maximumFractionDigits: 2 });
+
+    const update = () => {
+      const result = salesTax.calculate(parseFloat(input.value), tax);
+      const lines = result.lines.map(line => `
+        <dt>${line.name || t(`tax.${line.key}`)} (${i18n.formatPercent(line.rate)})</dt>
+        <dd>${money(line.amount)}</dd>
+      `).join('');
+
+      breakdown.innerHTML = `
+        ${lines}
+        <dt>${t('tax.totalTax')}</dt><dd>${money(result.totalTax)}</dd>
+        <dt><strong>${t('tax.total')}</strong></dt><dd><strong>${money(result.total)}</strong></dd>
+      `;
+    };
+
+    input.addEventListener('input', update);
+    update();
+  }
+
+  /**
+   * Render step text: replaces {{path}} placeholders and [label](resource.path) links
+   * @param {string} text - Text from step data
+   * @param {Object} context - Resource context
    * @returns {string} HTML content
    */
-  generatePrivacyContent(federalResources) {
-    return `
-      <div class="row">
-        <div class="col-6">
-          <div class="panel">
-            <strong>PIPEDA (privacy)</strong>
-            <p class="muted">Have a simple privacy policy, collect only what you need, secure your data, and honor access/deletion requests.</p>
-            <p class="inline-links">
-              <a href="${federalResources.pipeda}" target="_blank" rel="noopener">Learn about PIPEDA</a>
-            </p>
-          </div>
-        </div>
-        <div class="col-6">
-          <div class="panel">
-            <strong>CASL (anti‑spam)</strong>
-            <p class="muted">Get consent, identify your business in messages, and include an unsubscribe link.</p>
-            <p class="inline-links">
-              <a href="${federalResources.casl}" target="_blank" rel="noopener">CASL official guidance</a>
-            </p>
-          </div>
-        </div>
-      </div>
-    `;
+  renderRichText(text, context) {
+    return rulesEngine.interpolate(text, context)
+      .replace(/\[([^\]]+)\]\(([\w.]+)\)/g, (match, label, path) =>
+        this.generateLink(label, rulesEngine.resolve(path, context)));
   }
 
   /**
-   * Generate brand protection content
-   * @param {Object} federalResources - Federal resources
+   * Generate an external link, or plain text if the URL is not available
+   * @param {string} label - Link label
+   * @param {string} url - Link URL
    * @returns {string} HTML content
    */
-  generateBrandContent(federalResources) {
-    return `
-      <div class="panel">
-        <p class="muted">Consider registering a trademark to protect your brand across Canada.</p>
-        <p class="inline-links">
-          <a href="${federalResources.trademarks}" target="_blank" rel="noopener">Trademark basics</a>
-        </p>
-      </div>
-    `;
+  generateLink(label, url) {
+    if (!url) return label;
+    return `<a href="${url}" target="_blank" rel="noopener">${label}</a>`;
   }
 
   /**
-   * Generate finish content
+   * Generate business structure selection content
+   * @param {Array} structures - Business structures array
    * @returns {string} HTML content
    */
-  generateFinishContent() {
-    return `
-      <div class="panel">
-        <ul class="list">
-          <li>Confirm your registrations and account numbers.</li>
-          <li>Set calendar reminders for tax deadlines.</li>
-          <li>Create simple SOPs (invoicing, expenses, payroll).</li>
-          <li>Add any industry‑specific permits (food, construction, transport, health, etc.).</li>
-        </ul>
+  generateStructureContent(structures) {
+    const structureGrid = structures.map(structure => `
+      <div class="col-6">
+        <div class="panel">
+          <div style="display:flex; justify-content:space-between; align-items:center; gap:8px;">
+            <div>
+              <strong>${structure.name}</strong>
+              <div class="muted">${structure.description}</div>
+            </div>
+            <button class="btn" data-modal="${structure.id}">${t('guide.details')}</button>
+          </div>
+        </div>
       </div>
-    `;
+    `).join('');
+
+    return `<div class="row">${structureGrid}</div>`;
   }
 
   /**
@@ -529,7 +757,7 @@ export class UIComponents {
    * Render the sidebar checklist
    */
   renderChecklist() {
-    const steps = dataManager.getSteps();
+    const steps = this.getApplicableSteps(enhancedStateManager.getState());
     const checklistItems = steps.map(step => {
       const isCompleted = enhancedStateManager.isStepCompleted(step.key);
       return `
@@ -576,15 +804,28 @@ export class UIComponents {
   updateSummary(state) {
     const provincialResources = dataManager.getProvincialResources(state.province);
     const provinceName = provincialResources ? provincialResources.name : state.province;
+    const industryType = dataManager.getIndustryTypes().find(type => type.value === state.industry);
     
+    delete this.elements.summaryEl.dataset.i18n;
     this.elements.summaryEl.innerHTML = `
-      <div>Province: <strong>${provinceName}</strong></div>
-      <div>Industry: <strong>${state.industry}</strong></div>
-      <div>Hiring: <strong>${state.hiring}</strong></div>
-      <div>Revenue: <strong>${state.revenue === 'gte30' ? '≥ $30k' : '< $30k'}</strong></div>
+      <div>${t('summary.province')}: <strong>${provinceName}</strong></div>
+      <div>${t('summary.industry')}: <strong>${industryType ? industryType.label : state.industry}</strong></div>
+      <div>${t('summary.hiring')}: <strong>${t(`summary.${state.hiring}`)}</strong></div>
+      <div>${t('summary.revenue')}: <strong>${state.revenue === 'gte30' ? t('summary.revenueOver') : t('summary.revenueUnder')}</strong></div>
     `;
   }
 
+  /**
+   * Set an element's text from a message key. The key is kept in data-i18n
+   * so the text is translated again when the language changes.
+   * @param {Element} element - Target element
+   * @param {string} key - Message key
+   */
+  setTranslatedText(element, key) {
+    element.dataset.i18n = key;
+    element.textContent = t(key);
+  }
+
   /**
    * Restore step completion checkboxes from state
    */
@@ -604,8 +845,8 @@ export class UIComponents {
   clearGuide() {
     this.elements.guideEl.innerHTML = '';
     this.elements.todoEl.innerHTML = '';
-    this.elements.summaryEl.textContent = 'Choose options and generate your plan.';
-    this.elements.stateInfoEl.textContent = 'Unsaved';
+    this.setTranslatedText(this.elements.summaryEl, 'sidebar.choosePrompt');
+    this.setTranslatedText(this.elements.stateInfoEl, 'status.unsaved');
   }
 
   /**
@@ -616,7 +857,7 @@ export class UIComponents {
   showTaskCompletionFeedback(checkbox, taskKey) {
     // Create and show a temporary success indicator
     const feedbackEl = document.createElement('span');
-    feedbackEl.textContent = '✓ Saved';
+    feedbackEl.textContent = t('guide.feedbackSaved');
     feedbackEl.style.cssText = `
       color: #5bd69e;
       font-size: 12px;
@@ -639,13 +880,13 @@ export class UIComponents {
     if (window.authManager && window.authManager.isUserAuthenticated()) {
       // Update to show syncing
       setTimeout(() => {
-        feedbackEl.textContent = '☁ Syncing...';
+        feedbackEl.textContent = t('guide.feedbackSyncing');
         feedbackEl.style.color = '#6aa7ff';
       }, 800);
       
       // Show synced after delay (simulating sync completion)
       setTimeout(() => {
-        feedbackEl.textContent = '☁ Synced';
+        feedbackEl.textContent = t('guide.feedbackSynced');
         feedbackEl.style.color = '#5bd69e';
       }, 2000);
     }